@@ -22,14 +22,116 @@ CREATE TABLE charities (
     id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
     name TEXT NOT NULL,
     ein TEXT UNIQUE,
+    organization_type TEXT DEFAULT 'public_charity' CHECK (organization_type IN ('public_charity', 'private_foundation')),
     is_verified BOOLEAN DEFAULT FALSE,
     verification_date DATETIME,
-    verified_by TEXT REFERENCES users(id),
-    metadata TEXT, -- JSON: {address, website, phone, description}
+    verified_by TEXT REFERENCES users(id), -- NULL when verified by an IRS import
+    city TEXT,
+    state TEXT,
+    ntee_code TEXT, -- National Taxonomy of Exempt Entities code from the EO BMF
+    deductibility_status TEXT CHECK (deductibility_status IN ('deductible', 'deductible_by_treaty', 'not_deductible')),
+    irs_source TEXT, -- 'irs_bmf' or 'irs_pub78' when last refreshed from IRS data
+    irs_updated_at DATETIME,
+    revocation_date DATE, -- Effective date of automatic revocation of exemption
+    revocation_posting_date DATE, -- Date the IRS posted the revocation
+    reinstatement_date DATE, -- Effective date exemption was reinstated, if any
+    metadata TEXT, -- JSON: {address, website, phone, description, irs_name}
+    aliases TEXT, -- JSON array of alternate names, searched with the name
+    created_by TEXT REFERENCES users(id), -- User who added the charity; NULL for seeded and imported rows
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Full-text index for charity search, kept in sync with charities by triggers.
+-- After loading rows without the triggers: INSERT INTO charities_fts(charities_fts) VALUES ('rebuild');
+CREATE VIRTUAL TABLE charities_fts USING fts5(
+    name, aliases, city, state,
+    content = 'charities',
+    content_rowid = 'rowid',
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+CREATE TRIGGER charities_fts_insert AFTER INSERT ON charities BEGIN
+    INSERT INTO charities_fts (rowid, name, aliases, city, state)
+    VALUES (new.rowid, new.name, new.aliases, new.city, new.state);
+END;
+
+CREATE TRIGGER charities_fts_delete AFTER DELETE ON charities BEGIN
+    INSERT INTO charities_fts (charities_fts, rowid, name, aliases, city, state)
+    VALUES ('delete', old.rowid, old.name, old.aliases, old.city, old.state);
+END;
+
+CREATE TRIGGER charities_fts_update AFTER UPDATE OF name, aliases, city, state ON charities BEGIN
+    INSERT INTO charities_fts (charities_fts, rowid, name, aliases, city, state)
+    VALUES ('delete', old.rowid, old.name, old.aliases, old.city, old.state);
+    INSERT INTO charities_fts (rowid, name, aliases, city, state)
+    VALUES (new.rowid, new.name, new.aliases, new.city, new.state);
+END;
+
+-- Trigram index of charity names and aliases, for typo-tolerant search candidates
+-- (a misspelled word still shares most of its three-letter sequences with the right one).
+-- After loading rows without the triggers: INSERT INTO charities_trigram(charities_trigram) VALUES ('rebuild');
+CREATE VIRTUAL TABLE charities_trigram USING fts5(
+    name, aliases,
+    content = 'charities',
+    content_rowid = 'rowid',
+    tokenize = 'trigram'
+);
+
+CREATE TRIGGER charities_trigram_insert AFTER INSERT ON charities BEGIN
+    INSERT INTO charities_trigram (rowid, name, aliases)
+    VALUES (new.rowid, new.name, new.aliases);
+END;
+
+CREATE TRIGGER charities_trigram_delete AFTER DELETE ON charities BEGIN
+    INSERT INTO charities_trigram (charities_trigram, rowid, name, aliases)
+    VALUES ('delete', old.rowid, old.name, old.aliases);
+END;
+
+CREATE TRIGGER charities_trigram_update AFTER UPDATE OF name, aliases ON charities BEGIN
+    INSERT INTO charities_trigram (charities_trigram, rowid, name, aliases)
+    VALUES ('delete', old.rowid, old.name, old.aliases);
+    INSERT INTO charities_trigram (rowid, name, aliases)
+    VALUES (new.rowid, new.name, new.aliases);
+END;
+
+-- IRS Auto-Revocation List by EIN, kept for organizations not yet in charities
+-- and copied onto a charity's revocation columns when it is added
+CREATE TABLE irs_revocations (
+    ein TEXT PRIMARY KEY,
+    name TEXT,
+    revocation_date DATE NOT NULL,
+    posting_date DATE,
+    reinstatement_date DATE,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User-proposed edits to charities, applied when an admin approves them
+CREATE TABLE charity_change_proposals (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    charity_id TEXT NOT NULL REFERENCES charities(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    changes TEXT NOT NULL, -- JSON of proposed field values: name, ein, address, website, phone
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    review_note TEXT,
+    reviewed_by TEXT REFERENCES users(id),
+    reviewed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-user charity favorites and nicknames
+CREATE TABLE user_charities (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    charity_id TEXT NOT NULL REFERENCES charities(id) ON DELETE CASCADE,
+    is_favorite BOOLEAN DEFAULT FALSE,
+    nickname TEXT, -- Shown instead of the charity name for this user
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, charity_id)
+);
+
 -- Donations table with JSON metadata for flexibility
 CREATE TABLE donations (
     id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
@@ -44,13 +146,85 @@ CREATE TABLE donations (
     description TEXT,
     metadata TEXT, -- JSON for type-specific fields
     receipt_file_id TEXT, -- R2 file reference
+    acknowledgment_status TEXT CHECK (acknowledgment_status IN ('requested', 'received', 'missing')), -- NULL when not required
+    acknowledgment_file_id TEXT REFERENCES file_uploads(id), -- Charity's written acknowledgment
+    acknowledgment_date DATE, -- Date the acknowledgment was received
+    recurring_donation_id TEXT REFERENCES recurring_donations(id), -- Schedule that created this donation
+    deductibility_flag TEXT CHECK (deductibility_flag IN ('charity_revoked', 'charity_not_deductible')), -- NULL when no known issue
+    flagged_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Acquisition lots for stock and crypto holdings
+CREATE TABLE cost_basis_lots (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    asset_class TEXT NOT NULL CHECK (asset_class IN ('stock', 'crypto')),
+    symbol TEXT NOT NULL,
+    acquired_date DATE NOT NULL,
+    quantity DECIMAL(18,8) NOT NULL, -- Quantity acquired
+    cost_basis DECIMAL(12,2) NOT NULL, -- Total basis of the quantity acquired
+    remaining_quantity DECIMAL(18,8) NOT NULL, -- Quantity not yet donated
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Lots consumed by a stock or crypto donation
+CREATE TABLE donation_lots (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    donation_id TEXT NOT NULL REFERENCES donations(id) ON DELETE CASCADE,
+    lot_id TEXT NOT NULL REFERENCES cost_basis_lots(id),
+    quantity DECIMAL(18,8) NOT NULL,
+    cost_basis DECIMAL(12,2) NOT NULL,
+    is_long_term BOOLEAN NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recurring donation schedules, materialized into donations by the scheduled handler
+CREATE TABLE recurring_donations (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    charity_id TEXT NOT NULL REFERENCES charities(id),
+    type TEXT NOT NULL CHECK (type IN ('money', 'items', 'mileage', 'stock', 'crypto')),
+    amount DECIMAL(10,2) NOT NULL,
+    frequency TEXT NOT NULL CHECK (frequency IN ('weekly', 'biweekly', 'monthly', 'quarterly', 'semiannually', 'annually')),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    next_occurrence DATE, -- NULL once the schedule has ended
+    status TEXT DEFAULT 'active' CHECK (status IN ('active', 'paused', 'ended')),
+    skipped_dates TEXT, -- JSON array of occurrence dates to skip
+    description TEXT,
+    metadata TEXT, -- JSON copied onto each created donation
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
--- Item valuations for donation assistance
+-- Valuation guide editions: each import of a source's guide for a tax year is a new version.
+-- The latest active version for the donation's tax year is in force; rolled back versions are kept.
+CREATE TABLE valuation_guide_editions (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    source TEXT NOT NULL, -- 'goodwill', 'salvation_army', 'manual'
+    tax_year INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('importing', 'active', 'rolled_back')), -- 'importing' while a background import job builds it
+    item_count INTEGER NOT NULL DEFAULT 0,
+    based_on_edition_id TEXT, -- edition whose items were carried forward
+    imported_by TEXT,
+    rolled_back_by TEXT,
+    rolled_back_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (based_on_edition_id) REFERENCES valuation_guide_editions(id),
+    FOREIGN KEY (imported_by) REFERENCES users(id),
+    FOREIGN KEY (rolled_back_by) REFERENCES users(id),
+    UNIQUE(source, tax_year, version)
+);
+
+-- Item valuations for donation assistance (one row per item in each guide edition)
 CREATE TABLE item_valuations (
     id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    edition_id TEXT NOT NULL,
     category TEXT NOT NULL,
     item_name TEXT NOT NULL,
     condition_good DECIMAL(6,2),
@@ -59,7 +233,50 @@ CREATE TABLE item_valuations (
     last_updated DATE NOT NULL,
     source TEXT NOT NULL, -- 'goodwill', 'salvation_army', 'manual'
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(category, item_name, source)
+    FOREIGN KEY (edition_id) REFERENCES valuation_guide_editions(id) ON DELETE CASCADE,
+    UNIQUE(edition_id, category, item_name)
+);
+
+-- Cached stock and crypto prices; historical days are fetched once and kept
+CREATE TABLE price_quotes (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    asset_class TEXT NOT NULL CHECK (asset_class IN ('stock', 'crypto')),
+    symbol TEXT NOT NULL,
+    quote_date DATE NOT NULL,
+    interval TEXT NOT NULL CHECK (interval IN ('daily', 'current')), -- 'current' rows expire after a TTL
+    open DECIMAL(18,8),
+    high DECIMAL(18,8),
+    low DECIMAL(18,8),
+    close DECIMAL(18,8),
+    source TEXT NOT NULL, -- Provider name, or 'manual' for admin corrections
+    fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    corrected_by TEXT REFERENCES users(id),
+    corrected_at DATETIME,
+    UNIQUE(asset_class, symbol, quote_date, interval)
+);
+
+-- Date ranges already fetched from providers (days without quotes were not trading days)
+CREATE TABLE price_quote_coverage (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    asset_class TEXT NOT NULL,
+    symbol TEXT NOT NULL,
+    from_date DATE NOT NULL,
+    to_date DATE NOT NULL,
+    source TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Cryptocurrency asset registry (symbols accepted for crypto donations)
+CREATE TABLE crypto_assets (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    symbol TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    provider_id TEXT, -- CoinGecko coin id used for pricing; NULL means manual pricing only
+    decimals INTEGER NOT NULL DEFAULT 8,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by TEXT REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
 -- User sessions for authentication
@@ -115,6 +332,41 @@ CREATE TABLE file_uploads (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Background CSV imports; the uploaded file is kept in R2 and processed in chunks
+CREATE TABLE import_jobs (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    import_type TEXT NOT NULL CHECK (import_type IN ('item_valuations', 'bmf', 'pub78', 'revocations')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+    options TEXT, -- JSON import options (source, tax_year, replace_existing, deductible_only)
+    original_filename TEXT,
+    file_size INTEGER NOT NULL,
+    r2_key TEXT NOT NULL UNIQUE, -- R2 object key of the uploaded CSV
+    edition_id TEXT REFERENCES valuation_guide_editions(id), -- guide edition being built by item_valuations jobs
+    processed_rows INTEGER NOT NULL DEFAULT 0,
+    byte_offset INTEGER NOT NULL DEFAULT 0, -- where the next chunk starts in the file
+    next_line INTEGER NOT NULL DEFAULT 1, -- line number at byte_offset
+    csv_delimiter TEXT, -- detected from the file when the job starts
+    csv_headers TEXT, -- JSON header row of item_valuations files
+    error_count INTEGER NOT NULL DEFAULT 0,
+    result TEXT, -- JSON totals across chunks
+    error_message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0, -- consecutive failed chunk attempts
+    locked_until DATETIME, -- set while a worker processes a chunk
+    created_by TEXT NOT NULL REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    completed_at DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rows an import job could not import
+CREATE TABLE import_job_errors (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    job_id TEXT NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+    line INTEGER NOT NULL, -- line of the CSV file the row starts on
+    message TEXT NOT NULL
+);
+
 -- Admin-editable content (tooltips, help text, etc.)
 CREATE TABLE admin_content (
     id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
@@ -128,14 +380,40 @@ CREATE TABLE admin_content (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Per-year tax profile used for AGI deduction limits
+CREATE TABLE user_tax_years (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tax_year INTEGER NOT NULL,
+    agi DECIMAL(12,2) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, tax_year)
+);
+
 -- Indexes for performance
 CREATE INDEX idx_donations_user_date ON donations(user_id, date DESC);
 CREATE INDEX idx_donations_type ON donations(type);
+CREATE INDEX idx_donations_acknowledgment ON donations(user_id, acknowledgment_status);
+CREATE INDEX idx_donations_flag ON donations(user_id, deductibility_flag);
+CREATE INDEX idx_donations_charity ON donations(charity_id);
+CREATE UNIQUE INDEX idx_donations_recurring_date ON donations(recurring_donation_id, date);
+CREATE INDEX idx_lots_user_symbol ON cost_basis_lots(user_id, asset_class, symbol, acquired_date);
+CREATE INDEX idx_donation_lots_donation ON donation_lots(donation_id);
+CREATE INDEX idx_recurring_due ON recurring_donations(status, next_occurrence);
 CREATE INDEX idx_sessions_user_expires ON user_sessions(user_id, expires_at);
 CREATE INDEX idx_sessions_expires ON user_sessions(expires_at);
 CREATE INDEX idx_charities_verified ON charities(is_verified);
 CREATE INDEX idx_charities_name ON charities(name);
+CREATE INDEX idx_charities_state ON charities(state);
+CREATE INDEX idx_charity_proposals_status ON charity_change_proposals(status, created_at);
 CREATE INDEX idx_item_valuations_category ON item_valuations(category);
+CREATE INDEX idx_item_valuations_item ON item_valuations(category, item_name);
+CREATE INDEX idx_guide_editions_source_year ON valuation_guide_editions(source, tax_year, status);
+CREATE INDEX idx_import_jobs_status ON import_jobs(status, created_at);
+CREATE INDEX idx_import_job_errors_job ON import_job_errors(job_id, line);
+CREATE INDEX idx_crypto_assets_name ON crypto_assets(name);
+CREATE INDEX idx_price_coverage_symbol ON price_quote_coverage(asset_class, symbol, from_date, to_date);
 CREATE INDEX idx_audit_logs_user_created ON audit_logs(user_id, created_at DESC);
 CREATE INDEX idx_payments_user_status ON payment_transactions(user_id, status);
 
@@ -147,16 +425,33 @@ INSERT INTO charities (name, ein, is_verified, metadata) VALUES
     ('United Way', '13-5562162', TRUE, '{"address": "1331 Pennsylvania Ave NW, Washington, DC 20004", "website": "https://unitedway.org", "phone": "(703) 836-7112"}');
 
 -- Sample item valuations
-INSERT INTO item_valuations (category, item_name, condition_good, condition_fair, condition_poor, source, last_updated) VALUES
-    ('Clothing', 'Men''s Shirt', 8.00, 4.00, 2.00, 'goodwill', date('now')),
-    ('Clothing', 'Women''s Dress', 12.00, 6.00, 3.00, 'goodwill', date('now')),
-    ('Clothing', 'Pants/Slacks', 10.00, 5.00, 2.50, 'goodwill', date('now')),
-    ('Household', 'Coffee Maker', 15.00, 8.00, 4.00, 'goodwill', date('now')),
-    ('Household', 'Microwave', 50.00, 25.00, 12.00, 'goodwill', date('now')),
-    ('Electronics', 'Television (32" or less)', 75.00, 40.00, 20.00, 'goodwill', date('now')),
-    ('Electronics', 'Computer Monitor', 60.00, 30.00, 15.00, 'goodwill', date('now')),
-    ('Books', 'Hardcover Book', 3.00, 1.50, 0.75, 'goodwill', date('now')),
-    ('Books', 'Paperback Book', 1.50, 0.75, 0.35, 'goodwill', date('now'));
+INSERT INTO valuation_guide_editions (source, tax_year, version, item_count) VALUES
+    ('goodwill', CAST(strftime('%Y', 'now') AS INTEGER), 1, 9);
+
+INSERT INTO item_valuations (edition_id, category, item_name, condition_good, condition_fair, condition_poor, source, last_updated)
+SELECT (SELECT id FROM valuation_guide_editions WHERE source = 'goodwill'), column1, column2, column3, column4, column5, 'goodwill', date('now')
+FROM (VALUES
+    ('Clothing', 'Men''s Shirt', 8.00, 4.00, 2.00),
+    ('Clothing', 'Women''s Dress', 12.00, 6.00, 3.00),
+    ('Clothing', 'Pants/Slacks', 10.00, 5.00, 2.50),
+    ('Household', 'Coffee Maker', 15.00, 8.00, 4.00),
+    ('Household', 'Microwave', 50.00, 25.00, 12.00),
+    ('Electronics', 'Television (32" or less)', 75.00, 40.00, 20.00),
+    ('Electronics', 'Computer Monitor', 60.00, 30.00, 15.00),
+    ('Books', 'Hardcover Book', 3.00, 1.50, 0.75),
+    ('Books', 'Paperback Book', 1.50, 0.75, 0.35));
+
+-- Supported cryptocurrencies
+INSERT INTO crypto_assets (symbol, name, provider_id, decimals) VALUES
+    ('BTC', 'Bitcoin', 'bitcoin', 8),
+    ('ETH', 'Ethereum', 'ethereum', 18),
+    ('ADA', 'Cardano', 'cardano', 6),
+    ('SOL', 'Solana', 'solana', 9),
+    ('XRP', 'XRP', 'ripple', 6),
+    ('DOT', 'Polkadot', 'polkadot', 10),
+    ('AVAX', 'Avalanche', 'avalanche-2', 18),
+    ('MATIC', 'Polygon', 'matic-network', 18),
+    ('LTC', 'Litecoin', 'litecoin', 8);
 
 -- Admin content for tooltips and help
 INSERT INTO admin_content (content_key, title, content, content_type, created_by) VALUES
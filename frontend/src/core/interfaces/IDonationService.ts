@@ -49,6 +49,14 @@ export interface IDonationService extends IService {
    */
   getDonationSummary(year?: number): Promise<DonationSummary>;
 
+  /**
+   * Download the year-end report for an accountant
+   * @param year - Tax year (optional, defaults to current year)
+   * @param format - pdf, or zip for the PDF bundled with the year's receipts
+   * @returns The report file
+   */
+  getYearEndReport(year?: number, format?: 'pdf' | 'zip'): Promise<Blob>;
+
   /**
    * Check if user can create more donations (freemium limit)
    * @param userId - User identifier
@@ -69,6 +77,13 @@ export interface IDonationService extends IService {
    * @returns Import result with success/error counts
    */
   importDonations(importData: DonationImportData): Promise<ImportResult>;
+
+  /**
+   * Export donations for a tax year or date range
+   * @param options - Format and period
+   * @returns The export file (parse JSON exports as DonationExport)
+   */
+  exportDonations(options: DonationExportOptions): Promise<Blob>;
 }
 
 /**
@@ -121,6 +136,10 @@ export interface MoneyDonationMetadata {
   method: 'Cash' | 'Check' | 'Credit Card' | 'Bank Transfer' | 'Other';
   check_number?: string;
   transaction_id?: string;
+  importSource?: 'csv' | 'template' | 'ofx' | 'qfx'; // set on imported donations
+  importPayee?: string; // payee text from the file, reused to match later imports
+  importId?: string; // statement account and transaction id (OFX/QFX)
+  importedAt?: string;
 }
 
 /**
@@ -130,6 +149,7 @@ export interface ItemsDonationMetadata {
   items: DonatedItem[];
   total_items: number;
   pickup_date?: string;
+  valuationWarnings?: string[];
 }
 
 export interface DonatedItem {
@@ -138,10 +158,29 @@ export interface DonatedItem {
   condition: 'Good' | 'Fair' | 'Excellent';
   quantity: number;
   unitValue: number;
+  valuationId?: string;
+  valuation?: ItemValuationSnapshot;
   description?: string;
   notes?: string;
 }
 
+/**
+ * Valuation guide values recorded when an item was valued
+ */
+export interface ItemValuationSnapshot {
+  valuationId: string;
+  editionId: string;
+  source: string;
+  sourceYear: number;
+  editionVersion: number;
+  condition: 'good' | 'fair' | 'poor';
+  guideValue: number | null;
+  unitValueFromGuide: boolean;
+  low: number | null;
+  high: number | null;
+  valuedAt: string;
+}
+
 /**
  * Mileage donation metadata
  */
@@ -168,7 +207,7 @@ export interface StockDonationMetadata {
  * Cryptocurrency donation metadata
  */
 export interface CryptoDonationMetadata {
-  symbol: 'BTC' | 'ETH' | 'ADA' | 'SOL' | 'XRP' | 'DOT' | 'AVAX' | 'MATIC' | 'LTC' | 'OTHER';
+  symbol: string; // Registry symbol from /api/pricing/crypto/assets, or 'OTHER'
   amount: number;
   pricePerUnit: number;
   transactionHash?: string;
@@ -265,28 +304,128 @@ export interface FileUpload {
 }
 
 /**
- * Import data structure
+ * Export options (GET /api/donations/export); give a year or a from/to range
  */
-export interface DonationImportData {
-  format: 'csv' | 'json' | 'excel';
-  data: string | object[];
-  mapping?: Record<string, string>;
-  options?: {
-    skipErrors: boolean;
-    dryRun: boolean;
+export interface DonationExportOptions {
+  format?: 'csv' | 'txf' | 'json'; // default csv
+  year?: number; // default the current year when no range is given
+  from?: string;
+  to?: string;
+  type?: DonationType;
+}
+
+/**
+ * JSON export layout (version 1)
+ */
+export interface DonationExport {
+  format: 'charity-tracker-donations';
+  version: 1;
+  exported_at: string;
+  period: { from: string; to: string; tax_year: number | null };
+  totals: { count: number; tax_deductible_amount: number; cash: number; noncash: number };
+  donations: ExportedDonation[];
+}
+
+export interface ExportedDonation {
+  id: string;
+  date: string;
+  type: DonationType;
+  schedule_a: 'cash' | 'noncash';
+  charity: { id: string; name: string | null; ein: string | null };
+  tax_deductible_amount: number;
+  fair_market_value: number | null;
+  cost_basis: number | null;
+  capital_gains_avoided: number | null;
+  description: string | null;
+  details: DonationMetadata;
+  acknowledgment: {
+    status: 'requested' | 'received' | 'missing' | null;
+    date: string | null;
+    file_id: string | null;
   };
+  receipt_file_id: string | null;
+  deductibility_flag: 'charity_revoked' | 'charity_not_deductible' | null;
+  recurring_donation_id: string | null;
+  files: ExportedFile[];
+}
+
+export interface ExportedFile {
+  file_id: string;
+  filename: string;
+  content_type: string;
+  file_size: number;
+  purpose: 'receipt' | 'acknowledgment';
+  uploaded_at: string;
+  url: string; // GET for metadata and a download link
 }
 
+/**
+ * Import data structure (POST /api/donations/import and /api/donations/import/preview)
+ */
+export interface DonationImportData {
+  format?: 'csv' | 'template' | 'ofx' | 'qfx'; // detected from the data when omitted
+  data: string; // file contents
+  mapping?: Partial<Record<DonationImportField, string>>; // import field -> CSV column header
+  payment_method?: MoneyDonationMetadata['method']; // for rows that do not say
+  charity_id?: string; // one charity for every row
+  charity_map?: Record<string, string>; // charity name in the file -> charity id
+  skip_rows?: number[];
+  skip_duplicates?: boolean; // default true
+  skip_errors?: boolean; // default true: import the ready rows and report the rest
+  dry_run?: boolean;
+}
+
+export type DonationImportField =
+  | 'date'
+  | 'amount'
+  | 'debit'
+  | 'credit'
+  | 'charity_name'
+  | 'charity_ein'
+  | 'description'
+  | 'payment_method'
+  | 'check_number';
+
 /**
  * Import result
  */
 export interface ImportResult {
   success: boolean;
-  totalRecords: number;
-  successfulImports: number;
-  failedImports: number;
+  total_records: number;
+  successful_imports: number;
+  failed_imports: number;
+  duplicate_count: number;
+  skipped_count: number;
+  dry_run: boolean;
   errors: ImportError[];
-  createdDonations: Donation[];
+  created_donations: Donation[];
+  rows: ImportRowResult[];
+}
+
+/**
+ * What happened to one row of an import file
+ */
+export interface ImportRowResult {
+  row: number; // CSV line or OFX transaction number
+  status: 'ready' | 'duplicate' | 'needs_charity' | 'error' | 'skipped';
+  date: string | null;
+  amount: number | null;
+  charity_name: string | null;
+  charity_ein: string | null;
+  description: string | null;
+  payment_method: MoneyDonationMetadata['method'];
+  check_number: string | null;
+  charity: {
+    id: string;
+    name: string;
+    ein: string | null;
+    match: 'selected' | 'ein' | 'previous_import' | 'nickname' | 'name';
+  } | null;
+  candidates?: { id: string; name: string; ein: string | null; similarity: number }[];
+  duplicate_of: { donation_id: string; date: string; amount: number } | { row: number } | null;
+  skip_reason: string | null;
+  errors: { field: string | null; message: string }[];
+  donation_id?: string;
 }
 
 export interface ImportError {
@@ -11,6 +11,10 @@ import { handlePayments } from './routes/payments.js';
 import { handleAdmin } from './routes/admin.js';
 import { handleImport } from './routes/import.js';
 import { handlePricing } from './routes/pricing.js';
+import { handleRecurring, materializeRecurringDonations } from './routes/recurring.js';
+import { handleHoldings } from './routes/holdings.js';
+import { handleValuations } from './routes/valuations.js';
+import { IMPORT_JOBS_CRON, processImportJobs, consumeImportQueue } from './routes/importJobs.js';
 import { corsHeaders, handleCORS } from './utils/cors.js';
 import { errorResponse } from './utils/response.js';
 
@@ -77,6 +81,18 @@ export default {
           return await handlePricing(request, env, ctx);
         }
 
+        if (apiPath.startsWith('/recurring')) {
+          return await handleRecurring(request, env, ctx);
+        }
+
+        if (apiPath.startsWith('/holdings')) {
+          return await handleHoldings(request, env, ctx);
+        }
+
+        if (apiPath.startsWith('/valuations')) {
+          return await handleValuations(request, env, ctx);
+        }
+
         // Unknown API route
         return errorResponse('Not Found', 404);
       }
@@ -97,6 +113,17 @@ export default {
    * Scheduled event handler for maintenance tasks
    */
   async scheduled(event, env, ctx) {
+    // Background imports run on their own, more frequent trigger
+    if (event.cron === IMPORT_JOBS_CRON) {
+      try {
+        const jobsProcessed = await processImportJobs(env);
+        console.log(`Processed ${jobsProcessed} import jobs`);
+      } catch (error) {
+        console.error('Import jobs error:', error);
+      }
+      return;
+    }
+
     try {
       console.log('Running scheduled maintenance tasks');
 
@@ -106,6 +133,10 @@ export default {
         WHERE expires_at < datetime('now')
       `).run();
 
+      // Create donations for due recurring schedules
+      const recurringCreated = await materializeRecurringDonations(env);
+      console.log(`Created ${recurringCreated} recurring donations`);
+
       // Clean up old audit logs (keep last 90 days)
       await env.DB.prepare(`
         DELETE FROM audit_logs
@@ -116,5 +147,12 @@ export default {
     } catch (error) {
       console.error('Scheduled task error:', error);
     }
+  },
+
+  /**
+   * Queue consumer for background import jobs
+   */
+  async queue(batch, env, ctx) {
+    await consumeImportQueue(batch, env);
   }
 };
\ No newline at end of file
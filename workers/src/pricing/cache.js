@@ -0,0 +1,186 @@
+/**
+ * D1-backed price cache
+ * Completed trading days are stored once and reused forever; current quotes expire after a TTL.
+ * Quotes corrected by an admin (source 'manual') are never overwritten by provider data.
+ */
+
+import { getConfig } from '../utils/config.js';
+import { getCurrentPrice, getDailyPrices } from './index.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Today's date as YYYY-MM-DD (UTC)
+ */
+function getToday() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Get the day before a YYYY-MM-DD date
+ */
+function getPreviousDay(date) {
+  const previous = new Date(`${date}T00:00:00Z`);
+  previous.setUTCDate(previous.getUTCDate() - 1);
+  return previous.toISOString().split('T')[0];
+}
+
+/**
+ * Store daily bars, keeping admin corrections intact
+ */
+async function storeDailyPrices(env, assetClass, symbol, days, source) {
+  if (days.length === 0) return;
+
+  await env.DB.batch(days.map(day => env.DB.prepare(`
+    INSERT INTO price_quotes (id, asset_class, symbol, quote_date, interval, open, high, low, close, source, fetched_at)
+    VALUES (?, ?, ?, ?, 'daily', ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT (asset_class, symbol, quote_date, interval) DO UPDATE SET
+      open = excluded.open, high = excluded.high, low = excluded.low, close = excluded.close,
+      source = excluded.source, fetched_at = excluded.fetched_at
+    WHERE price_quotes.source != 'manual'
+  `).bind(
+    uuidv4(),
+    assetClass,
+    symbol,
+    day.date,
+    day.open ?? null,
+    day.high ?? null,
+    day.low ?? null,
+    day.close ?? null,
+    source
+  )));
+}
+
+/**
+ * Get the current price, served from cache while younger than PRICE_CACHE_TTL_SECONDS
+ * @returns {Promise<{ price: number, source: string, cached: boolean } | null>}
+ */
+export async function getCachedCurrentPrice(env, assetClass, symbol) {
+  const ttlSeconds = getConfig(env).pricing.cacheTtlSeconds;
+  const today = getToday();
+
+  try {
+    const cached = await env.DB.prepare(`
+      SELECT close, source, fetched_at FROM price_quotes
+      WHERE asset_class = ? AND symbol = ? AND quote_date = ? AND interval = 'current'
+    `).bind(assetClass, symbol, today).first();
+
+    if (cached) {
+      const ageSeconds = (Date.now() - new Date(`${cached.fetched_at.replace(' ', 'T')}Z`).getTime()) / 1000;
+      if (cached.source === 'manual' || ageSeconds < ttlSeconds) {
+        return { price: cached.close, source: cached.source, cached: true };
+      }
+    }
+  } catch (cacheError) {
+    console.warn('Price cache read error:', cacheError);
+  }
+
+  const quote = await getCurrentPrice(env, assetClass, symbol);
+  if (!quote) return null;
+
+  try {
+    await env.DB.prepare(`
+      INSERT INTO price_quotes (id, asset_class, symbol, quote_date, interval, close, source, fetched_at)
+      VALUES (?, ?, ?, ?, 'current', ?, ?, datetime('now'))
+      ON CONFLICT (asset_class, symbol, quote_date, interval) DO UPDATE SET
+        close = excluded.close, source = excluded.source, fetched_at = excluded.fetched_at
+      WHERE price_quotes.source != 'manual'
+    `).bind(uuidv4(), assetClass, symbol, today, quote.price, quote.source).run();
+  } catch (cacheError) {
+    console.warn('Price cache write error:', cacheError);
+  }
+
+  return { ...quote, cached: false };
+}
+
+/**
+ * Record that a source's daily prices have been fetched for a date range.
+ * Ranges that overlap or touch the new one are merged into a single row, so
+ * refetches do not add rows; disjoint ranges stay separate so gaps are refetched.
+ */
+async function recordCoverage(env, assetClass, symbol, fromDate, toDate, source) {
+  const touching = `
+    WHERE asset_class = ? AND symbol = ? AND source = ?
+      AND from_date <= date(?, '+1 day') AND to_date >= date(?, '-1 day')
+  `;
+
+  const existing = await env.DB.prepare(`
+    SELECT MIN(from_date) as from_date, MAX(to_date) as to_date
+    FROM price_quote_coverage ${touching}
+  `).bind(assetClass, symbol, source, toDate, fromDate).first();
+
+  const mergedFrom = existing?.from_date && existing.from_date < fromDate ? existing.from_date : fromDate;
+  const mergedTo = existing?.to_date && existing.to_date > toDate ? existing.to_date : toDate;
+
+  await env.DB.batch([
+    env.DB.prepare(`DELETE FROM price_quote_coverage ${touching}`)
+      .bind(assetClass, symbol, source, toDate, fromDate),
+    env.DB.prepare(`
+      INSERT INTO price_quote_coverage (id, asset_class, symbol, from_date, to_date, source)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(uuidv4(), assetClass, symbol, mergedFrom, mergedTo, source)
+  ]);
+}
+
+/**
+ * Get daily prices for a date range, fetching from providers only when the range
+ * has not been fetched before. Today's incomplete bar is never cached.
+ * @returns {Promise<{ days: Array, source: string, cached: boolean } | null>}
+ */
+export async function getCachedDailyPrices(env, assetClass, symbol, fromDate, toDate) {
+  const lastFinalDate = toDate < getToday() ? toDate : getPreviousDay(getToday());
+
+  try {
+    const coverage = await env.DB.prepare(`
+      SELECT id FROM price_quote_coverage
+      WHERE asset_class = ? AND symbol = ? AND from_date <= ? AND to_date >= ?
+      LIMIT 1
+    `).bind(assetClass, symbol, fromDate, lastFinalDate).first();
+
+    if (coverage && lastFinalDate === toDate) {
+      const cached = await env.DB.prepare(`
+        SELECT quote_date as date, open, high, low, close, source FROM price_quotes
+        WHERE asset_class = ? AND symbol = ? AND interval = 'daily'
+          AND quote_date BETWEEN ? AND ?
+        ORDER BY quote_date ASC
+      `).bind(assetClass, symbol, fromDate, toDate).all();
+
+      const days = cached.results || [];
+      if (days.length > 0) {
+        return { days, source: days[0].source, cached: true };
+      }
+    }
+  } catch (cacheError) {
+    console.warn('Price cache read error:', cacheError);
+  }
+
+  const history = await getDailyPrices(env, assetClass, symbol, fromDate, toDate);
+  if (!history) return null;
+
+  try {
+    const finalDays = history.days.filter(day => day.date <= lastFinalDate);
+    await storeDailyPrices(env, assetClass, symbol, finalDays, history.source);
+
+    if (fromDate <= lastFinalDate) {
+      await recordCoverage(env, assetClass, symbol, fromDate, lastFinalDate, history.source);
+    }
+
+    // Prefer stored rows so admin corrections take effect
+    const stored = await env.DB.prepare(`
+      SELECT quote_date as date, open, high, low, close, source FROM price_quotes
+      WHERE asset_class = ? AND symbol = ? AND interval = 'daily'
+        AND quote_date BETWEEN ? AND ?
+      ORDER BY quote_date ASC
+    `).bind(assetClass, symbol, fromDate, lastFinalDate).all();
+
+    const todayBars = history.days.filter(day => day.date > lastFinalDate);
+    return {
+      days: [...(stored.results || []), ...todayBars],
+      source: history.source,
+      cached: false
+    };
+  } catch (cacheError) {
+    console.warn('Price cache write error:', cacheError);
+  }
+
+  return { ...history, cached: false };
+}
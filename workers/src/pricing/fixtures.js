@@ -0,0 +1,57 @@
+/**
+ * Price fixtures for the local pricing provider
+ * Used by CI and development machines to exercise /api/pricing/* offline
+ *
+ * Shape: { [assetClass]: { [symbol]: { current, daily: [{ date, open, high, low, close }] } } }
+ */
+
+export const priceFixtures = {
+  stock: {
+    AAPL: {
+      current: 190.5,
+      daily: [
+        { date: '2024-01-02', open: 187.15, high: 188.44, low: 183.89, close: 185.64 },
+        { date: '2024-01-03', open: 184.22, high: 185.88, low: 183.43, close: 184.25 },
+        { date: '2024-01-04', open: 182.15, high: 183.09, low: 180.88, close: 181.91 },
+        { date: '2024-01-05', open: 181.99, high: 182.76, low: 180.17, close: 181.18 },
+        // 2024-01-06 and 2024-01-07 are a weekend
+        { date: '2024-01-08', open: 182.09, high: 185.6, low: 181.5, close: 185.56 },
+        { date: '2024-01-09', open: 183.92, high: 185.15, low: 182.73, close: 185.14 },
+        { date: '2024-01-10', open: 184.35, high: 186.4, low: 183.92, close: 186.19 },
+        { date: '2024-01-11', open: 186.54, high: 187.05, low: 183.62, close: 185.59 },
+        { date: '2024-01-12', open: 186.06, high: 186.74, low: 185.19, close: 185.92 },
+        // 2024-01-15 is Martin Luther King Jr. Day (market holiday)
+        { date: '2024-01-16', open: 182.16, high: 184.26, low: 180.93, close: 183.63 },
+        { date: '2024-01-17', open: 181.27, high: 182.93, low: 180.3, close: 182.68 }
+      ]
+    },
+    MSFT: {
+      current: 415.25,
+      daily: [
+        { date: '2024-01-05', open: 368.97, high: 372.06, low: 366.5, close: 367.75 },
+        { date: '2024-01-08', open: 369.3, high: 375.2, low: 369.01, close: 374.69 },
+        { date: '2024-01-09', open: 372.01, high: 375.99, low: 371.19, close: 375.79 }
+      ]
+    }
+  },
+  crypto: {
+    BTC: {
+      current: 65000,
+      daily: [
+        { date: '2024-01-01', open: null, high: null, low: null, close: 42280.23 },
+        { date: '2024-01-02', open: null, high: null, low: null, close: 44187.14 },
+        { date: '2024-01-03', open: null, high: null, low: null, close: 44961.6 },
+        { date: '2024-01-04', open: null, high: null, low: null, close: 42848.18 },
+        { date: '2024-01-05', open: null, high: null, low: null, close: 44179.92 }
+      ]
+    },
+    ETH: {
+      current: 3200,
+      daily: [
+        { date: '2024-01-01', open: null, high: null, low: null, close: 2281.47 },
+        { date: '2024-01-02', open: null, high: null, low: null, close: 2352.05 },
+        { date: '2024-01-03', open: null, high: null, low: null, close: 2355.86 }
+      ]
+    }
+  }
+};
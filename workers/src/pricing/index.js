@@ -0,0 +1,130 @@
+/**
+ * Pricing provider registry
+ * Providers are tried in configured order with a per-provider timeout
+ *
+ * A provider implements:
+ *   name: string
+ *   assetClasses: Array<'stock' | 'crypto'>
+ *   timeoutMs: number (default timeout)
+ *   isEnabled(config): boolean (optional)
+ *   getCurrentPrice(assetClass, symbol, { signal, env }): Promise<number | null>
+ *   getDailyPrices(assetClass, symbol, fromDate, toDate, { signal, env }):
+ *     Promise<Array<{ date, open, high, low, close }> | null>
+ */
+
+import { getConfig } from '../utils/config.js';
+import { yahooProvider } from './providers/yahoo.js';
+import { coinGeckoProvider } from './providers/coingecko.js';
+import { localProvider } from './providers/local.js';
+
+const providers = new Map();
+
+// Order used when PRICING_PROVIDERS is not configured
+const DEFAULT_PROVIDER_ORDER = ['yahoo', 'coingecko'];
+
+/**
+ * Register a pricing provider implementation
+ */
+export function registerPricingProvider(provider) {
+  if (!provider?.name || typeof provider.getCurrentPrice !== 'function') {
+    throw new Error('Pricing provider must have a name and getCurrentPrice()');
+  }
+  providers.set(provider.name, provider);
+}
+
+registerPricingProvider(yahooProvider);
+registerPricingProvider(coinGeckoProvider);
+registerPricingProvider(localProvider);
+
+/**
+ * Get the enabled providers for an asset class, in fallback order
+ */
+export function getPricingProviders(env, assetClass) {
+  const config = getConfig(env);
+  const order = config.pricing.providers.length > 0 ? config.pricing.providers : DEFAULT_PROVIDER_ORDER;
+
+  return order
+    .map(name => providers.get(name))
+    .filter(provider => provider && provider.assetClasses.includes(assetClass))
+    .filter(provider => !provider.isEnabled || provider.isEnabled(config));
+}
+
+/**
+ * Run a provider call, aborting it after the provider's timeout
+ */
+async function callWithTimeout(provider, timeoutMs, call) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${provider.name} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([call(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Try each provider in order until one returns a usable result
+ * @returns {Promise<{ value: *, source: string } | null>}
+ */
+async function withFallback(env, assetClass, description, call, isUsable) {
+  const config = getConfig(env);
+
+  for (const provider of getPricingProviders(env, assetClass)) {
+    const timeoutMs = config.pricing.timeouts[provider.name] || config.pricing.timeoutMs || provider.timeoutMs;
+
+    try {
+      const value = await callWithTimeout(provider, timeoutMs, signal => call(provider, { signal, env }));
+
+      if (isUsable(value)) {
+        return { value, source: provider.name };
+      }
+
+      console.warn(`${provider.name} returned no ${description}`);
+    } catch (error) {
+      console.warn(`${provider.name} error for ${description}:`, error.message);
+    }
+  }
+
+  console.error(`All pricing providers failed for ${description}`);
+  return null;
+}
+
+/**
+ * Get the current price of a symbol
+ * @returns {Promise<{ price: number, source: string } | null>}
+ */
+export async function getCurrentPrice(env, assetClass, symbol) {
+  const result = await withFallback(
+    env,
+    assetClass,
+    `${assetClass} ${symbol} current price`,
+    (provider, options) => provider.getCurrentPrice(assetClass, symbol, options),
+    price => typeof price === 'number' && price > 0
+  );
+
+  return result ? { price: result.value, source: result.source } : null;
+}
+
+/**
+ * Get daily prices for a symbol between two dates (inclusive)
+ * @returns {Promise<{ days: Array, source: string } | null>}
+ */
+export async function getDailyPrices(env, assetClass, symbol, fromDate, toDate) {
+  const result = await withFallback(
+    env,
+    assetClass,
+    `${assetClass} ${symbol} prices ${fromDate}..${toDate}`,
+    (provider, options) => provider.getDailyPrices(assetClass, symbol, fromDate, toDate, options),
+    days => Array.isArray(days) && days.length > 0
+  );
+
+  return result ? { days: result.value, source: result.source } : null;
+}
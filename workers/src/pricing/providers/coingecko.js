@@ -0,0 +1,92 @@
+/**
+ * CoinGecko pricing provider (cryptocurrency)
+ */
+
+import { getCryptoAsset } from '../../utils/cryptoAssets.js';
+
+const BASE_URL = 'https://api.coingecko.com/api/v3';
+
+/**
+ * Build request headers, including the API key when configured
+ */
+function getHeaders(env) {
+  const headers = { 'Accept': 'application/json' };
+  if (env?.COINGECKO_API_KEY) {
+    headers['x-cg-demo-api-key'] = env.COINGECKO_API_KEY;
+  }
+  return headers;
+}
+
+/**
+ * Resolve a symbol to its CoinGecko id from the asset registry
+ */
+async function getCoinGeckoId(env, symbol) {
+  const asset = await getCryptoAsset(env, symbol);
+  return asset?.provider_id || null;
+}
+
+/**
+ * Format a YYYY-MM-DD date for CoinGecko (DD-MM-YYYY)
+ */
+function formatCoinGeckoDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${day}-${month}-${year}`;
+}
+
+export const coinGeckoProvider = {
+  name: 'coingecko',
+  assetClasses: ['crypto'],
+  timeoutMs: 5000,
+
+  async getCurrentPrice(assetClass, symbol, { signal, env }) {
+    const cryptoId = await getCoinGeckoId(env, symbol);
+    if (!cryptoId) return null;
+
+    const response = await fetch(
+      `${BASE_URL}/simple/price?ids=${encodeURIComponent(cryptoId)}&vs_currencies=usd`,
+      { headers: getHeaders(env), signal }
+    );
+
+    if (!response.ok) {
+      throw new Error(`CoinGecko API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const price = data[cryptoId]?.usd;
+
+    return price && price > 0 ? price : null;
+  },
+
+  async getDailyPrices(assetClass, symbol, fromDate, toDate, { signal, env }) {
+    const cryptoId = await getCoinGeckoId(env, symbol);
+    if (!cryptoId) return null;
+
+    // The history endpoint returns one snapshot per day; fetch each day in range
+    const days = [];
+    const date = new Date(`${fromDate}T00:00:00Z`);
+    const end = new Date(`${toDate}T00:00:00Z`);
+
+    while (date <= end) {
+      const isoDate = date.toISOString().split('T')[0];
+      const response = await fetch(
+        `${BASE_URL}/coins/${encodeURIComponent(cryptoId)}/history?date=${formatCoinGeckoDate(isoDate)}`,
+        { headers: getHeaders(env), signal }
+      );
+
+      if (!response.ok) {
+        throw new Error(`CoinGecko historical API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const price = data?.market_data?.current_price?.usd;
+
+      if (price && price > 0) {
+        days.push({ date: isoDate, open: null, high: null, low: null, close: price });
+      }
+
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+
+    return days;
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Local fixture-backed pricing provider
+ * Select with PRICING_PROVIDERS=local; PRICING_FIXTURES may supply extra fixtures as JSON
+ */
+
+import { priceFixtures } from '../fixtures.js';
+
+/**
+ * Look up a symbol's fixture, preferring env-supplied fixtures
+ */
+function getFixture(env, assetClass, symbol) {
+  if (env?.PRICING_FIXTURES) {
+    try {
+      const custom = JSON.parse(env.PRICING_FIXTURES);
+      if (custom?.[assetClass]?.[symbol]) {
+        return custom[assetClass][symbol];
+      }
+    } catch (error) {
+      console.warn('Invalid PRICING_FIXTURES JSON:', error.message);
+    }
+  }
+
+  return priceFixtures[assetClass]?.[symbol] || null;
+}
+
+export const localProvider = {
+  name: 'local',
+  assetClasses: ['stock', 'crypto'],
+  timeoutMs: 1000,
+
+  async getCurrentPrice(assetClass, symbol, { env }) {
+    return getFixture(env, assetClass, symbol)?.current ?? null;
+  },
+
+  async getDailyPrices(assetClass, symbol, fromDate, toDate, { env }) {
+    const fixture = getFixture(env, assetClass, symbol);
+    if (!fixture?.daily) return null;
+
+    return fixture.daily.filter(day => day.date >= fromDate && day.date <= toDate);
+  }
+};
@@ -0,0 +1,66 @@
+/**
+ * Yahoo Finance pricing provider (stocks)
+ */
+
+const BASE_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+
+const headers = {
+  'User-Agent': 'Charity-Tracker/1.0',
+  'Accept': 'application/json'
+};
+
+export const yahooProvider = {
+  name: 'yahoo',
+  assetClasses: ['stock'],
+  timeoutMs: 5000,
+
+  isEnabled(config) {
+    return config.apis.yahooFinanceEnabled;
+  },
+
+  async getCurrentPrice(assetClass, symbol, { signal }) {
+    const response = await fetch(`${BASE_URL}/${encodeURIComponent(symbol)}`, { headers, signal });
+
+    if (!response.ok) {
+      throw new Error(`Yahoo Finance error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const price = data?.chart?.result?.[0]?.meta?.regularMarketPrice;
+
+    return price && !isNaN(price) ? parseFloat(price) : null;
+  },
+
+  async getDailyPrices(assetClass, symbol, fromDate, toDate, { signal }) {
+    const period1 = Math.floor(new Date(`${fromDate}T00:00:00Z`).getTime() / 1000);
+    const period2 = Math.floor(new Date(`${toDate}T23:59:59Z`).getTime() / 1000);
+
+    const response = await fetch(
+      `${BASE_URL}/${encodeURIComponent(symbol)}?period1=${period1}&period2=${period2}&interval=1d`,
+      { headers, signal }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Yahoo Finance history error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const result = data?.chart?.result?.[0];
+    const quote = result?.indicators?.quote?.[0];
+    const offset = result?.meta?.gmtoffset || 0;
+
+    if (!result?.timestamp || !quote) {
+      return null;
+    }
+
+    return result.timestamp
+      .map((timestamp, index) => ({
+        date: new Date((timestamp + offset) * 1000).toISOString().split('T')[0],
+        open: quote.open?.[index],
+        high: quote.high?.[index],
+        low: quote.low?.[index],
+        close: quote.close?.[index]
+      }))
+      .filter(day => day.high > 0 && day.low > 0);
+  }
+};
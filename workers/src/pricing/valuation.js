@@ -0,0 +1,82 @@
+/**
+ * IRS fair market value rules for donated securities
+ */
+
+import { getCachedDailyPrices } from './cache.js';
+
+/**
+ * Round a per-share price to four decimal places
+ */
+function roundPrice(price) {
+  return Math.round(price * 10000) / 10000;
+}
+
+/**
+ * Value a stock gift per Treas. Reg. 20.2031-2(b):
+ * the mean of the day's high and low, or, when the gift date is not a trading day
+ * (weekend/holiday), the average of the means on the nearest trading days before and after.
+ * @returns {Object|null} Valuation details, or null when prices are unavailable
+ */
+export async function getStockGiftDateValuation(symbol, date, env) {
+  const giftDate = new Date(`${date}T00:00:00Z`);
+  const from = new Date(giftDate);
+  from.setUTCDate(from.getUTCDate() - 10);
+  const to = new Date(giftDate);
+  to.setUTCDate(to.getUTCDate() + 10);
+
+  const history = await getCachedDailyPrices(
+    env,
+    'stock',
+    symbol.toUpperCase(),
+    from.toISOString().split('T')[0],
+    to.toISOString().split('T')[0]
+  );
+
+  if (!history) {
+    return null;
+  }
+
+  const days = history.days.filter(day => day.high > 0 && day.low > 0);
+
+  const meanOf = day => (day.high + day.low) / 2;
+  const describe = day => ({
+    date: day.date,
+    high: roundPrice(day.high),
+    low: roundPrice(day.low),
+    mean: roundPrice(meanOf(day))
+  });
+
+  const sameDay = days.find(day => day.date === date);
+  if (sameDay) {
+    return {
+      date,
+      is_trading_day: true,
+      high: roundPrice(sameDay.high),
+      low: roundPrice(sameDay.low),
+      mean: roundPrice(meanOf(sameDay)),
+      trading_days_used: [describe(sameDay)],
+      valuation_method: 'Mean of high and low on gift date',
+      source: history.source
+    };
+  }
+
+  const before = days.filter(day => day.date < date).pop();
+  const after = days.find(day => day.date > date);
+
+  // Both surrounding trading days are required (e.g. not yet available for a recent weekend)
+  if (!before || !after) {
+    return null;
+  }
+
+  // Each side is one trading day from the gift date, so the weighted average is a simple average
+  return {
+    date,
+    is_trading_day: false,
+    high: null,
+    low: null,
+    mean: roundPrice((meanOf(before) + meanOf(after)) / 2),
+    trading_days_used: [describe(before), describe(after)],
+    valuation_method: 'Average of means on nearest trading days before and after gift date',
+    source: history.source
+  };
+}
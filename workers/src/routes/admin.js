@@ -11,6 +11,12 @@ import {
   forbiddenResponse
 } from '../utils/response.js';
 import { sanitizeInput } from '../utils/validation.js';
+import { normalizeCryptoSymbol, OTHER_CRYPTO_SYMBOL } from '../utils/cryptoAssets.js';
+import { findDuplicatesOf } from '../utils/charityDuplicates.js';
+import { parseAliases } from '../utils/charitySearch.js';
+import { applyStoredRevocations, refreshDeductibilityFlags } from '../utils/revocation.js';
+import { validateCharityChanges, isEinAvailable, applyCharityChanges } from '../utils/charityChanges.js';
+import { v4 as uuidv4 } from 'uuid';
 
 /**
  * Handle admin routes
@@ -48,6 +54,21 @@ export async function handleAdmin(request, env, ctx) {
     case path.match(/^\/charities\/[a-f0-9-]+\/verify$/) && method === 'POST':
       return handleVerifyCharity(request, env, session, path.split('/')[2]);
 
+    case path === '/charities/proposals' && method === 'GET':
+      return handleGetCharityProposals(request, env, session);
+
+    case path.match(/^\/charities\/proposals\/[a-f0-9-]+\/approve$/) && method === 'POST':
+      return handleReviewCharityProposal(request, env, session, path.split('/')[3], 'approved');
+
+    case path.match(/^\/charities\/proposals\/[a-f0-9-]+\/reject$/) && method === 'POST':
+      return handleReviewCharityProposal(request, env, session, path.split('/')[3], 'rejected');
+
+    case path === '/charities/duplicates' && method === 'GET':
+      return handleGetDuplicateCharities(request, env, session);
+
+    case path === '/charities/merge' && method === 'POST':
+      return handleMergeCharities(request, env, session);
+
     case path === '/content' && method === 'GET':
       return handleGetAdminContent(request, env, session);
 
@@ -60,6 +81,24 @@ export async function handleAdmin(request, env, ctx) {
     case path === '/audit-logs' && method === 'GET':
       return handleGetAuditLogs(request, env, session);
 
+    case path === '/crypto-assets' && method === 'GET':
+      return handleGetCryptoAssets(request, env, session);
+
+    case path === '/crypto-assets' && method === 'POST':
+      return handleCreateCryptoAsset(request, env, session);
+
+    case path.match(/^\/crypto-assets\/[a-f0-9-]+$/) && method === 'PUT':
+      return handleUpdateCryptoAsset(request, env, session, path.split('/')[2]);
+
+    case path === '/price-quotes' && method === 'GET':
+      return handleGetPriceQuotes(request, env, session);
+
+    case path.match(/^\/price-quotes\/[a-f0-9-]+$/) && method === 'PUT':
+      return handleCorrectPriceQuote(request, env, session, path.split('/')[2]);
+
+    case path.match(/^\/price-quotes\/[a-f0-9-]+$/) && method === 'DELETE':
+      return handleDeletePriceQuote(request, env, session, path.split('/')[2]);
+
     default:
       return errorResponse('Not Found', 404);
   }
@@ -79,6 +118,7 @@ async function handleGetDashboard(request, env, session) {
         (SELECT COALESCE(SUM(tax_deductible_amount), 0) FROM donations) as total_donated,
         (SELECT COUNT(*) FROM charities WHERE is_verified = 1) as verified_charities,
         (SELECT COUNT(*) FROM charities WHERE is_verified = 0) as unverified_charities,
+        (SELECT COUNT(*) FROM charity_change_proposals WHERE status = 'pending') as pending_charity_proposals,
         (SELECT COUNT(*) FROM user_sessions WHERE expires_at > datetime('now')) as active_sessions
     `).first();
 
@@ -385,6 +425,313 @@ async function handleVerifyCharity(request, env, session, charityId) {
   }
 }
 
+/**
+ * List charity change proposals (pending by default)
+ */
+async function handleGetCharityProposals(request, env, session) {
+  try {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status') || 'pending';
+    const limit = parseInt(url.searchParams.get('limit') || '50');
+    const offset = parseInt(url.searchParams.get('offset') || '0');
+
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return validationErrorResponse(['Status must be pending, approved, or rejected']);
+    }
+
+    const proposals = await env.DB.prepare(`
+      SELECT
+        p.*,
+        c.name as charity_name,
+        c.ein as charity_ein,
+        c.metadata as charity_metadata,
+        c.is_verified as charity_is_verified,
+        u.name as user_name,
+        u.email as user_email
+      FROM charity_change_proposals p
+      JOIN charities c ON p.charity_id = c.id
+      LEFT JOIN users u ON p.user_id = u.id
+      WHERE p.status = ?
+      ORDER BY p.created_at ASC
+      LIMIT ? OFFSET ?
+    `).bind(status, limit, offset).all();
+
+    return successResponse({
+      proposals: (proposals.results || []).map(proposal => ({
+        ...proposal,
+        changes: JSON.parse(proposal.changes)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get charity proposals error:', error);
+    return errorResponse('Failed to retrieve charity proposals');
+  }
+}
+
+/**
+ * Approve (apply) or reject a charity change proposal
+ */
+async function handleReviewCharityProposal(request, env, session, proposalId, status) {
+  try {
+    const proposal = await env.DB.prepare(`
+      SELECT * FROM charity_change_proposals WHERE id = ?
+    `).bind(proposalId).first();
+
+    if (!proposal) {
+      return errorResponse('Proposal not found', 404);
+    }
+
+    if (proposal.status !== 'pending') {
+      return errorResponse(`Proposal has already been ${proposal.status}`, 400);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const note = body.note ? sanitizeInput(body.note) : null;
+    const changes = JSON.parse(proposal.changes);
+
+    if (status === 'approved') {
+      // Re-check against the charity's current state
+      const { errors } = validateCharityChanges(changes);
+      if (errors.length === 0 && !(await isEinAvailable(env, changes.ein, proposal.charity_id))) {
+        errors.push('Another charity now has this EIN');
+      }
+
+      if (errors.length > 0) {
+        return validationErrorResponse(errors);
+      }
+
+      await applyCharityChanges(env, proposal.charity_id, changes);
+    }
+
+    await env.DB.prepare(`
+      UPDATE charity_change_proposals
+      SET status = ?, review_note = ?, reviewed_by = ?, reviewed_at = datetime('now')
+      WHERE id = ?
+    `).bind(status, note, session.user_id, proposalId).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES (?, ?, 'charity', ?, ?)
+    `).bind(
+      session.user_id,
+      status === 'approved' ? 'approve_charity_change' : 'reject_charity_change',
+      proposal.charity_id,
+      JSON.stringify({ proposal_id: proposalId, proposed_by: proposal.user_id, changes, note })
+    ).run();
+
+    return successResponse({
+      id: proposalId,
+      charity_id: proposal.charity_id,
+      changes,
+      status,
+      review_note: note
+    }, `Proposal ${status}`);
+
+  } catch (error) {
+    console.error('Review charity proposal error:', error);
+    return errorResponse('Failed to review charity proposal');
+  }
+}
+
+/**
+ * Find likely duplicates of unverified charities
+ */
+async function handleGetDuplicateCharities(request, env, session) {
+  try {
+    const url = new URL(request.url);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '25'), 100);
+    const offset = parseInt(url.searchParams.get('offset') || '0');
+
+    // User-created charities are the usual source of duplicates
+    const charities = await env.DB.prepare(`
+      SELECT
+        c.*,
+        (SELECT COUNT(*) FROM donations d WHERE d.charity_id = c.id) as donation_count
+      FROM charities c
+      WHERE c.is_verified = 0
+      ORDER BY c.created_at DESC
+      LIMIT ? OFFSET ?
+    `).bind(limit, offset).all();
+
+    const groups = [];
+    for (const charity of charities.results || []) {
+      const duplicates = await findDuplicatesOf(env, charity);
+      if (duplicates.length === 0) continue;
+
+      // Suggest merging into a verified match, else the best-scoring one
+      const target = duplicates.find(match => match.charity.is_verified) || duplicates[0];
+
+      groups.push({
+        charity: {
+          id: charity.id,
+          name: charity.name,
+          ein: charity.ein,
+          donation_count: charity.donation_count
+        },
+        duplicates: duplicates.map(match => ({
+          id: match.charity.id,
+          name: match.charity.name,
+          ein: match.charity.ein,
+          is_verified: match.charity.is_verified,
+          score: match.score,
+          reasons: match.reasons
+        })),
+        suggested_target_id: target.charity.id
+      });
+    }
+
+    return successResponse({
+      groups,
+      pagination: {
+        limit,
+        offset,
+        scanned: (charities.results || []).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get duplicate charities error:', error);
+    return errorResponse('Failed to find duplicate charities');
+  }
+}
+
+/**
+ * Merge one charity into another: donations and schedules move to the target,
+ * and the source's names are kept as aliases of the target
+ */
+async function handleMergeCharities(request, env, session) {
+  try {
+    const body = await request.json();
+    const { source_id, target_id } = body;
+
+    // Validation
+    const errors = [];
+    if (!source_id) errors.push('Source charity is required');
+    if (!target_id) errors.push('Target charity is required');
+    if (source_id && source_id === target_id) errors.push('Cannot merge a charity into itself');
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const source = await env.DB.prepare(`
+      SELECT * FROM charities WHERE id = ?
+    `).bind(source_id).first();
+
+    const target = await env.DB.prepare(`
+      SELECT * FROM charities WHERE id = ?
+    `).bind(target_id).first();
+
+    if (!source || !target) {
+      return errorResponse('Charity not found', 404);
+    }
+
+    if (source.ein && target.ein && source.ein.replace(/\D/g, '') !== target.ein.replace(/\D/g, '')) {
+      return validationErrorResponse(['Charities have different EINs and cannot be merged']);
+    }
+
+    // Keep every name the source was known by, without repeating the target's
+    const seen = new Set([target.name.toLowerCase()]);
+    const aliases = [];
+    for (const name of [...parseAliases(target.aliases), source.name, ...parseAliases(source.aliases)]) {
+      if (name && !seen.has(name.toLowerCase())) {
+        seen.add(name.toLowerCase());
+        aliases.push(name);
+      }
+    }
+
+    const movedDonations = await env.DB.prepare(`
+      SELECT COUNT(*) as count FROM donations WHERE charity_id = ?
+    `).bind(source_id).first();
+
+    const [, , , , closedProposals] = await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE donations SET charity_id = ?, updated_at = datetime("now") WHERE charity_id = ?
+      `).bind(target_id, source_id),
+      env.DB.prepare(`
+        UPDATE recurring_donations SET charity_id = ?, updated_at = datetime("now") WHERE charity_id = ?
+      `).bind(target_id, source_id),
+      // Users who had both charities keep their existing target preferences
+      env.DB.prepare(`
+        UPDATE OR IGNORE user_charities SET charity_id = ? WHERE charity_id = ?
+      `).bind(target_id, source_id),
+      env.DB.prepare(`
+        DELETE FROM user_charities WHERE charity_id = ?
+      `).bind(source_id),
+      // Pending edits were proposed against the source and are closed; every
+      // proposal then moves to the target so the delete does not cascade it away
+      env.DB.prepare(`
+        UPDATE charity_change_proposals
+        SET status = 'rejected', review_note = ?, reviewed_by = ?, reviewed_at = datetime("now")
+        WHERE charity_id = ? AND status = 'pending'
+      `).bind(`${source.name} was merged into ${target.name}`, session.user_id, source_id),
+      env.DB.prepare(`
+        UPDATE charity_change_proposals SET charity_id = ? WHERE charity_id = ?
+      `).bind(target_id, source_id),
+      env.DB.prepare(`
+        DELETE FROM charities WHERE id = ?
+      `).bind(source_id),
+      // The target keeps its own fields, filling gaps from the source
+      env.DB.prepare(`
+        UPDATE charities
+        SET
+          aliases = ?,
+          ein = COALESCE(ein, ?),
+          is_verified = CASE WHEN is_verified OR ? THEN TRUE ELSE FALSE END,
+          metadata = json_patch(COALESCE(?, '{}'), COALESCE(metadata, '{}')),
+          updated_at = datetime("now")
+        WHERE id = ?
+      `).bind(
+        JSON.stringify(aliases),
+        source.ein,
+        !!source.is_verified,
+        source.metadata,
+        target_id
+      )
+    ]);
+
+    // A target without an EIN takes the source's, with any stored revocation for it
+    if (!target.ein && source.ein) {
+      await applyStoredRevocations(env, [source.ein]);
+    }
+
+    // The target's revocation dates now apply to the moved donations
+    await refreshDeductibilityFlags(env, [target_id]);
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES (?, 'merge_charity', 'charity', ?, ?, ?)
+    `).bind(
+      session.user_id,
+      target_id,
+      JSON.stringify({ source, target }),
+      JSON.stringify({
+        merged_from: source_id,
+        aliases,
+        donations_moved: movedDonations.count,
+        proposals_rejected: closedProposals.meta?.changes || 0
+      })
+    ).run();
+
+    const mergedCharity = await env.DB.prepare(`
+      SELECT * FROM charities WHERE id = ?
+    `).bind(target_id).first();
+
+    return successResponse({
+      ...mergedCharity,
+      aliases,
+      donations_moved: movedDonations.count
+    }, 'Charities merged successfully');
+
+  } catch (error) {
+    console.error('Merge charities error:', error);
+    return errorResponse('Failed to merge charities');
+  }
+}
+
 /**
  * Get admin-editable content
  */
@@ -609,4 +956,349 @@ async function handleGetAuditLogs(request, env, session) {
     console.error('Get audit logs error:', error);
     return errorResponse('Failed to retrieve audit logs');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Inspect cached price quotes
+ */
+async function handleGetPriceQuotes(request, env, session) {
+  try {
+    const url = new URL(request.url);
+    const limit = parseInt(url.searchParams.get('limit') || '100');
+    const offset = parseInt(url.searchParams.get('offset') || '0');
+    const symbol = url.searchParams.get('symbol');
+    const assetClass = url.searchParams.get('asset_class');
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+
+    let whereConditions = [];
+    const params = [];
+
+    if (symbol) {
+      whereConditions.push('symbol = ?');
+      params.push(symbol.toUpperCase());
+    }
+
+    if (assetClass) {
+      whereConditions.push('asset_class = ?');
+      params.push(assetClass);
+    }
+
+    if (from) {
+      whereConditions.push('quote_date >= ?');
+      params.push(from);
+    }
+
+    if (to) {
+      whereConditions.push('quote_date <= ?');
+      params.push(to);
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const quotes = await env.DB.prepare(`
+      SELECT * FROM price_quotes
+      ${whereClause}
+      ORDER BY symbol ASC, quote_date DESC
+      LIMIT ? OFFSET ?
+    `).bind(...params, limit, offset).all();
+
+    const countResult = await env.DB.prepare(`
+      SELECT COUNT(*) as total FROM price_quotes ${whereClause}
+    `).bind(...params).first();
+
+    return successResponse({
+      price_quotes: quotes.results || [],
+      pagination: {
+        total: countResult.total,
+        limit,
+        offset
+      }
+    });
+
+  } catch (error) {
+    console.error('Get price quotes error:', error);
+    return errorResponse('Failed to retrieve price quotes');
+  }
+}
+
+/**
+ * Correct a cached price quote; corrected quotes are never overwritten by providers
+ */
+async function handleCorrectPriceQuote(request, env, session, quoteId) {
+  try {
+    const quote = await env.DB.prepare(`
+      SELECT * FROM price_quotes WHERE id = ?
+    `).bind(quoteId).first();
+
+    if (!quote) {
+      return errorResponse('Price quote not found', 404);
+    }
+
+    const body = await request.json();
+    const updates = [];
+    const params = [];
+
+    for (const field of ['open', 'high', 'low', 'close']) {
+      if (body[field] !== undefined) {
+        const value = body[field] === null ? null : parseFloat(body[field]);
+        if (value !== null && (isNaN(value) || value <= 0)) {
+          return validationErrorResponse([`${field} must be a positive number`]);
+        }
+        updates.push(`${field} = ?`);
+        params.push(value);
+      }
+    }
+
+    if (updates.length === 0) {
+      return errorResponse('No updates provided', 400);
+    }
+
+    updates.push("source = 'manual'", 'corrected_by = ?', 'corrected_at = datetime("now")');
+    params.push(session.user_id, quoteId);
+
+    await env.DB.prepare(`
+      UPDATE price_quotes SET ${updates.join(', ')} WHERE id = ?
+    `).bind(...params).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES (?, 'correct_price_quote', 'price_quote', ?, ?, ?)
+    `).bind(
+      session.user_id,
+      quoteId,
+      JSON.stringify(quote),
+      JSON.stringify(body)
+    ).run();
+
+    const updatedQuote = await env.DB.prepare(`
+      SELECT * FROM price_quotes WHERE id = ?
+    `).bind(quoteId).first();
+
+    return successResponse(updatedQuote, 'Price quote corrected successfully');
+
+  } catch (error) {
+    console.error('Correct price quote error:', error);
+    return errorResponse('Failed to correct price quote');
+  }
+}
+
+/**
+ * Delete a cached price quote so it is fetched again on next use
+ */
+async function handleDeletePriceQuote(request, env, session, quoteId) {
+  try {
+    const quote = await env.DB.prepare(`
+      SELECT * FROM price_quotes WHERE id = ?
+    `).bind(quoteId).first();
+
+    if (!quote) {
+      return errorResponse('Price quote not found', 404);
+    }
+
+    await env.DB.prepare(`
+      DELETE FROM price_quotes WHERE id = ?
+    `).bind(quoteId).run();
+
+    // Forget fetched ranges covering this day so it is refetched
+    await env.DB.prepare(`
+      DELETE FROM price_quote_coverage
+      WHERE asset_class = ? AND symbol = ? AND from_date <= ? AND to_date >= ?
+    `).bind(quote.asset_class, quote.symbol, quote.quote_date, quote.quote_date).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values)
+      VALUES (?, 'delete_price_quote', 'price_quote', ?, ?)
+    `).bind(
+      session.user_id,
+      quoteId,
+      JSON.stringify(quote)
+    ).run();
+
+    return successResponse(null, 'Price quote deleted successfully');
+
+  } catch (error) {
+    console.error('Delete price quote error:', error);
+    return errorResponse('Failed to delete price quote');
+  }
+}
+
+/**
+ * Validate crypto asset fields shared by create and update
+ */
+function validateCryptoAssetFields({ name, provider_id, decimals }, errors) {
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length < 1)) {
+    errors.push('Name is required');
+  }
+  if (provider_id !== undefined && provider_id !== null && !/^[a-z0-9-]+$/.test(provider_id)) {
+    errors.push('Provider id must contain only lowercase letters, numbers, and hyphens');
+  }
+  if (decimals !== undefined && (!Number.isInteger(decimals) || decimals < 0 || decimals > 30)) {
+    errors.push('Decimals must be an integer between 0 and 30');
+  }
+}
+
+/**
+ * List the crypto asset registry, including inactive assets
+ */
+async function handleGetCryptoAssets(request, env, session) {
+  try {
+    const assets = await env.DB.prepare(`
+      SELECT * FROM crypto_assets ORDER BY symbol ASC
+    `).all();
+
+    return successResponse({ assets: assets.results || [] });
+
+  } catch (error) {
+    console.error('Get crypto assets error:', error);
+    return errorResponse('Failed to retrieve crypto assets');
+  }
+}
+
+/**
+ * Add a cryptocurrency to the registry
+ */
+async function handleCreateCryptoAsset(request, env, session) {
+  try {
+    const body = await request.json();
+    const { name, provider_id = null, decimals = 8 } = body;
+    const symbol = normalizeCryptoSymbol(body.symbol);
+
+    // Validation
+    const errors = [];
+    if (!/^[A-Z0-9.]{1,15}$/.test(symbol) || symbol === OTHER_CRYPTO_SYMBOL) {
+      errors.push('Symbol is required and must be 1-15 letters or numbers');
+    }
+    if (name === undefined) errors.push('Name is required');
+    validateCryptoAssetFields({ name, provider_id, decimals }, errors);
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const existing = await env.DB.prepare(`
+      SELECT id FROM crypto_assets WHERE symbol = ?
+    `).bind(symbol).first();
+
+    if (existing) {
+      return errorResponse('Symbol already exists in the registry', 409);
+    }
+
+    const assetId = uuidv4();
+    await env.DB.prepare(`
+      INSERT INTO crypto_assets (id, symbol, name, provider_id, decimals, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(
+      assetId,
+      symbol,
+      sanitizeInput(name),
+      provider_id,
+      decimals,
+      session.user_id
+    ).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES (?, 'create_crypto_asset', 'crypto_asset', ?, ?)
+    `).bind(
+      session.user_id,
+      assetId,
+      JSON.stringify({ symbol, name, provider_id, decimals })
+    ).run();
+
+    const asset = await env.DB.prepare(`
+      SELECT * FROM crypto_assets WHERE id = ?
+    `).bind(assetId).first();
+
+    return successResponse(asset, 'Crypto asset created successfully', 201);
+
+  } catch (error) {
+    console.error('Create crypto asset error:', error);
+    return errorResponse('Failed to create crypto asset');
+  }
+}
+
+/**
+ * Update or deactivate a registry asset
+ */
+async function handleUpdateCryptoAsset(request, env, session, assetId) {
+  try {
+    const existing = await env.DB.prepare(`
+      SELECT * FROM crypto_assets WHERE id = ?
+    `).bind(assetId).first();
+
+    if (!existing) {
+      return errorResponse('Crypto asset not found', 404);
+    }
+
+    const body = await request.json();
+    const { name, provider_id, decimals, is_active } = body;
+
+    // Validation
+    const errors = [];
+    validateCryptoAssetFields({ name, provider_id, decimals }, errors);
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    // Build update query
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      params.push(sanitizeInput(name));
+    }
+
+    if (provider_id !== undefined) {
+      updates.push('provider_id = ?');
+      params.push(provider_id);
+    }
+
+    if (decimals !== undefined) {
+      updates.push('decimals = ?');
+      params.push(decimals);
+    }
+
+    if (is_active !== undefined) {
+      updates.push('is_active = ?');
+      params.push(is_active);
+    }
+
+    if (updates.length === 0) {
+      return errorResponse('No updates provided', 400);
+    }
+
+    updates.push('updated_at = datetime("now")');
+    params.push(assetId);
+
+    await env.DB.prepare(`
+      UPDATE crypto_assets SET ${updates.join(', ')} WHERE id = ?
+    `).bind(...params).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES (?, 'update_crypto_asset', 'crypto_asset', ?, ?, ?)
+    `).bind(
+      session.user_id,
+      assetId,
+      JSON.stringify(existing),
+      JSON.stringify(body)
+    ).run();
+
+    const updatedAsset = await env.DB.prepare(`
+      SELECT * FROM crypto_assets WHERE id = ?
+    `).bind(assetId).first();
+
+    return successResponse(updatedAsset, 'Crypto asset updated successfully');
+
+  } catch (error) {
+    console.error('Update crypto asset error:', error);
+    return errorResponse('Failed to update crypto asset');
+  }
+}
@@ -13,6 +13,14 @@ import {
   isValidEIN,
   sanitizeInput
 } from '../utils/validation.js';
+import { searchCharities } from '../utils/charitySearch.js';
+import {
+  validateCharityChanges,
+  isEinAvailable,
+  applyCharityChanges
+} from '../utils/charityChanges.js';
+import { applyStoredRevocations } from '../utils/revocation.js';
+import { roundCents } from '../utils/donationRecords.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -30,9 +38,21 @@ export async function handleCharities(request, env, ctx) {
     case path === '' && method === 'POST':
       return handleCreateCharity(request, env);
 
+    case path === '/mine' && method === 'GET':
+      return handleGetMyCharities(request, env);
+
     case path.match(/^\/[a-f0-9-]+$/) && method === 'GET':
       return handleGetCharity(request, env, path.substring(1));
 
+    case path.match(/^\/[a-f0-9-]+\/preferences$/) && method === 'PUT':
+      return handleUpdateCharityPreferences(request, env, path.split('/')[1]);
+
+    case path.match(/^\/[a-f0-9-]+\/history$/) && method === 'GET':
+      return handleGetGivingHistory(request, env, path.split('/')[1]);
+
+    case path.match(/^\/[a-f0-9-]+$/) && method === 'PUT':
+      return handleUpdateCharity(request, env, path.substring(1));
+
     case path === '/search' && method === 'GET':
       return handleSearchCharities(request, env);
 
@@ -100,7 +120,7 @@ async function handleCreateCharity(request, env) {
     }
 
     const body = await request.json();
-    const { name, ein, metadata } = body;
+    const { name, ein, metadata, organization_type = 'public_charity' } = body;
 
     // Validation
     const errors = [];
@@ -110,6 +130,9 @@ async function handleCreateCharity(request, env) {
     if (ein && !isValidEIN(ein)) {
       errors.push('Invalid EIN format (should be XX-XXXXXXX)');
     }
+    if (!['public_charity', 'private_foundation'].includes(organization_type)) {
+      errors.push('Organization type must be public_charity or private_foundation');
+    }
 
     if (errors.length > 0) {
       return validationErrorResponse(errors);
@@ -129,15 +152,22 @@ async function handleCreateCharity(request, env) {
     const sanitizedName = sanitizeInput(name);
 
     await env.DB.prepare(`
-      INSERT INTO charities (id, name, ein, metadata, is_verified)
-      VALUES (?, ?, ?, ?, FALSE)
+      INSERT INTO charities (id, name, ein, organization_type, metadata, is_verified, created_by)
+      VALUES (?, ?, ?, ?, ?, FALSE, ?)
     `).bind(
       charityId,
       sanitizedName,
       ein || null,
-      metadata ? JSON.stringify(metadata) : null
+      organization_type,
+      metadata ? JSON.stringify(metadata) : null,
+      session.user_id
     ).run();
 
+    // Pick up a revocation imported before the charity was added
+    if (ein) {
+      await applyStoredRevocations(env, [ein]);
+    }
+
     // Audit log
     await env.DB.prepare(`
       INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
@@ -150,7 +180,7 @@ async function handleCreateCharity(request, env) {
 
     // Return created charity
     const createdCharity = await env.DB.prepare(`
-      SELECT id, name, ein, is_verified, created_at
+      SELECT id, name, ein, organization_type, is_verified, created_at
       FROM charities WHERE id = ?
     `).bind(charityId).first();
 
@@ -187,9 +217,17 @@ async function handleGetCharity(request, env, charityId) {
       WHERE charity_id = ?
     `).bind(charityId).first();
 
+    // Signed-in users also get their favorite flag and nickname
+    const session = await validateSession(getSessionFromRequest(request), env);
+    const preferences = session ? await env.DB.prepare(`
+      SELECT is_favorite, nickname FROM user_charities WHERE user_id = ? AND charity_id = ?
+    `).bind(session.user_id, charityId).first() : null;
+
     return successResponse({
       ...charity,
-      stats
+      stats,
+      is_favorite: !!preferences?.is_favorite,
+      nickname: preferences?.nickname || null
     });
 
   } catch (error) {
@@ -199,30 +237,130 @@ async function handleGetCharity(request, env, charityId) {
 }
 
 /**
- * Search charities by name
+ * Update a charity's name, EIN, address, website, or phone.
+ * Admins, and users editing an unverified charity they created, change it directly;
+ * other edits are queued as a change proposal for admin review.
+ */
+async function handleUpdateCharity(request, env, charityId) {
+  try {
+    const sessionId = getSessionFromRequest(request);
+    const session = await validateSession(sessionId, env);
+
+    if (!session) {
+      return unauthorizedResponse();
+    }
+
+    const charity = await env.DB.prepare(`
+      SELECT * FROM charities WHERE id = ?
+    `).bind(charityId).first();
+
+    if (!charity) {
+      return errorResponse('Charity not found', 404);
+    }
+
+    const body = await request.json();
+    const { changes, errors } = validateCharityChanges(body);
+
+    if (errors.length === 0 && !(await isEinAvailable(env, changes.ein, charityId))) {
+      errors.push('Charity with this EIN already exists');
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const canEditDirectly = session.role === 'admin' ||
+      (!charity.is_verified && charity.created_by === session.user_id);
+
+    if (!canEditDirectly) {
+      const proposalId = uuidv4();
+      await env.DB.prepare(`
+        INSERT INTO charity_change_proposals (id, charity_id, user_id, changes)
+        VALUES (?, ?, ?, ?)
+      `).bind(proposalId, charityId, session.user_id, JSON.stringify(changes)).run();
+
+      // Audit log
+      await env.DB.prepare(`
+        INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+        VALUES (?, 'propose_charity_change', 'charity', ?, ?)
+      `).bind(
+        session.user_id,
+        charityId,
+        JSON.stringify({ proposal_id: proposalId, changes })
+      ).run();
+
+      return successResponse({
+        proposal_id: proposalId,
+        charity_id: charityId,
+        changes,
+        status: 'pending'
+      }, 'Change submitted for admin review', 202);
+    }
+
+    await applyCharityChanges(env, charityId, changes);
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES (?, 'update_charity', 'charity', ?, ?, ?)
+    `).bind(
+      session.user_id,
+      charityId,
+      JSON.stringify(charity),
+      JSON.stringify(changes)
+    ).run();
+
+    const updatedCharity = await env.DB.prepare(`
+      SELECT * FROM charities WHERE id = ?
+    `).bind(charityId).first();
+
+    return successResponse(updatedCharity, 'Charity updated successfully');
+
+  } catch (error) {
+    console.error('Update charity error:', error);
+    return errorResponse('Failed to update charity');
+  }
+}
+
+/**
+ * Search charities by name, alias, city, state, or EIN
+ * Signed-in users see charities they have donated to ranked higher
  */
 async function handleSearchCharities(request, env) {
   try {
     const url = new URL(request.url);
     const query = url.searchParams.get('q');
-    const limit = parseInt(url.searchParams.get('limit') || '20');
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '20'), 100);
+    const state = url.searchParams.get('state');
+    const ntee = url.searchParams.get('ntee');
+    const verifiedOnly = url.searchParams.get('verified') === 'true';
 
     if (!query || query.trim().length < 2) {
       return validationErrorResponse(['Search query must be at least 2 characters']);
     }
 
-    const searchTerm = `%${sanitizeInput(query)}%`;
+    const errors = [];
+    if (state && !/^[A-Za-z]{2}$/.test(state)) errors.push('State must be a two-letter code');
+    if (ntee && !/^[A-Za-z][0-9A-Za-z]{0,3}$/.test(ntee)) errors.push('NTEE filter must be a code or code prefix (e.g. P or P21)');
 
-    const charities = await env.DB.prepare(`
-      SELECT id, name, ein, is_verified
-      FROM charities
-      WHERE name LIKE ? OR ein LIKE ?
-      ORDER BY is_verified DESC, name ASC
-      LIMIT ?
-    `).bind(searchTerm, searchTerm, limit).all();
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    // Search is public; a session only personalizes ranking
+    const session = await validateSession(getSessionFromRequest(request), env);
+
+    const charities = await searchCharities(env, {
+      query: sanitizeInput(query),
+      state,
+      ntee,
+      verifiedOnly,
+      limit,
+      userId: session?.user_id || null
+    });
 
     return successResponse({
-      charities: charities.results || [],
+      charities,
       query: query.trim()
     });
 
@@ -230,4 +368,184 @@ async function handleSearchCharities(request, env) {
     console.error('Search charities error:', error);
     return errorResponse('Failed to search charities');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * List the user's charities for the donation form: favorites first, then by most recent gift
+ */
+async function handleGetMyCharities(request, env) {
+  try {
+    const sessionId = getSessionFromRequest(request);
+    const session = await validateSession(sessionId, env);
+
+    if (!session) {
+      return unauthorizedResponse();
+    }
+
+    const charities = await env.DB.prepare(`
+      SELECT
+        c.id, c.name, c.ein, c.is_verified, c.organization_type,
+        COALESCE(uc.is_favorite, FALSE) as is_favorite,
+        uc.nickname,
+        COUNT(d.id) as donation_count,
+        COALESCE(SUM(d.tax_deductible_amount), 0) as lifetime_total,
+        MAX(d.date) as last_gift_date
+      FROM charities c
+      LEFT JOIN user_charities uc ON uc.charity_id = c.id AND uc.user_id = ?
+      LEFT JOIN donations d ON d.charity_id = c.id AND d.user_id = ?
+      WHERE c.id IN (
+        SELECT charity_id FROM user_charities
+        WHERE user_id = ? AND (is_favorite = TRUE OR nickname IS NOT NULL)
+        UNION
+        SELECT charity_id FROM donations WHERE user_id = ?
+      )
+      GROUP BY c.id
+      ORDER BY is_favorite DESC, last_gift_date DESC, c.name ASC
+    `).bind(session.user_id, session.user_id, session.user_id, session.user_id).all();
+
+    return successResponse({
+      charities: (charities.results || []).map(charity => ({
+        ...charity,
+        is_favorite: !!charity.is_favorite,
+        display_name: charity.nickname || charity.name
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get my charities error:', error);
+    return errorResponse('Failed to retrieve your charities');
+  }
+}
+
+/**
+ * Set the user's favorite flag and nickname for a charity
+ */
+async function handleUpdateCharityPreferences(request, env, charityId) {
+  try {
+    const sessionId = getSessionFromRequest(request);
+    const session = await validateSession(sessionId, env);
+
+    if (!session) {
+      return unauthorizedResponse();
+    }
+
+    const charity = await env.DB.prepare(`
+      SELECT id, name FROM charities WHERE id = ?
+    `).bind(charityId).first();
+
+    if (!charity) {
+      return errorResponse('Charity not found', 404);
+    }
+
+    const body = await request.json();
+    const { is_favorite, nickname } = body;
+
+    // Validation
+    const errors = [];
+    if (is_favorite !== undefined && typeof is_favorite !== 'boolean') {
+      errors.push('is_favorite must be true or false');
+    }
+    if (nickname !== undefined && nickname !== null && (typeof nickname !== 'string' || nickname.trim().length > 100)) {
+      errors.push('Nickname must be 100 characters or fewer');
+    }
+    if (is_favorite === undefined && nickname === undefined) {
+      errors.push('No updates provided');
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const existing = await env.DB.prepare(`
+      SELECT is_favorite, nickname FROM user_charities WHERE user_id = ? AND charity_id = ?
+    `).bind(session.user_id, charityId).first();
+
+    const isFavorite = is_favorite !== undefined ? is_favorite : !!existing?.is_favorite;
+    const newNickname = nickname !== undefined
+      ? (nickname && sanitizeInput(nickname)) || null
+      : existing?.nickname || null;
+
+    await env.DB.prepare(`
+      INSERT INTO user_charities (id, user_id, charity_id, is_favorite, nickname)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, charity_id) DO UPDATE SET
+        is_favorite = excluded.is_favorite,
+        nickname = excluded.nickname,
+        updated_at = datetime('now')
+    `).bind(uuidv4(), session.user_id, charityId, isFavorite, newNickname).run();
+
+    return successResponse({
+      charity_id: charityId,
+      name: charity.name,
+      is_favorite: isFavorite,
+      nickname: newNickname,
+      display_name: newNickname || charity.name
+    }, 'Charity preferences updated');
+
+  } catch (error) {
+    console.error('Update charity preferences error:', error);
+    return errorResponse('Failed to update charity preferences');
+  }
+}
+
+/**
+ * Get the user's giving history with a charity: lifetime and per-year totals and every gift
+ */
+async function handleGetGivingHistory(request, env, charityId) {
+  try {
+    const sessionId = getSessionFromRequest(request);
+    const session = await validateSession(sessionId, env);
+
+    if (!session) {
+      return unauthorizedResponse();
+    }
+
+    const charity = await env.DB.prepare(`
+      SELECT c.id, c.name, c.ein, c.is_verified, uc.is_favorite, uc.nickname
+      FROM charities c
+      LEFT JOIN user_charities uc ON uc.charity_id = c.id AND uc.user_id = ?
+      WHERE c.id = ?
+    `).bind(session.user_id, charityId).first();
+
+    if (!charity) {
+      return errorResponse('Charity not found', 404);
+    }
+
+    const donations = await env.DB.prepare(`
+      SELECT id, type, date, tax_deductible_amount, fair_market_value, description, acknowledgment_status
+      FROM donations
+      WHERE user_id = ? AND charity_id = ?
+      ORDER BY date DESC, created_at DESC
+    `).bind(session.user_id, charityId).all();
+
+    const gifts = donations.results || [];
+    const byYear = {};
+
+    for (const gift of gifts) {
+      const year = gift.date.substring(0, 4);
+      byYear[year] = byYear[year] || { year: parseInt(year), count: 0, total: 0 };
+      byYear[year].count++;
+      byYear[year].total += parseFloat(gift.tax_deductible_amount) || 0;
+    }
+
+    return successResponse({
+      charity: {
+        ...charity,
+        is_favorite: !!charity.is_favorite,
+        display_name: charity.nickname || charity.name
+      },
+      lifetime_total: roundCents(gifts.reduce((sum, gift) => sum + (parseFloat(gift.tax_deductible_amount) || 0), 0)),
+      donation_count: gifts.length,
+      first_gift_date: gifts.length > 0 ? gifts[gifts.length - 1].date : null,
+      last_gift_date: gifts.length > 0 ? gifts[0].date : null,
+      years: Object.values(byYear)
+        .map(entry => ({ ...entry, total: roundCents(entry.total) }))
+        .sort((a, b) => b.year - a.year),
+      donations: gifts
+    });
+
+  } catch (error) {
+    console.error('Get giving history error:', error);
+    return errorResponse('Failed to retrieve giving history');
+  }
+}
@@ -0,0 +1,369 @@
+/**
+ * IRS charity data import routes for Cloudflare Workers
+ * Mounted under /api/import/charities by handleImport (admin only):
+ * EO BMF and Pub 78 extracts, and the Auto-Revocation List
+ * Large extracts are sent in chunks of up to MAX_CHUNK_ROWS rows, as JSON `csv_data`
+ * or a streamed text/csv body; each chunk upserts by EIN. Background import jobs
+ * (importJobs.js) import whole files through the same row importers
+ */
+
+import { successResponse, errorResponse, validationErrorResponse } from '../utils/response.js';
+import { isHeaderRow, parseBmfRow, parsePub78Row } from '../utils/irs.js';
+import {
+  parseRevocationRow,
+  applyStoredRevocations,
+  refreshDeductibilityFlags,
+  REVOKED_CHARITY_FLAG
+} from '../utils/revocation.js';
+import { readCsvRequest } from '../utils/csv.js';
+import { groupRows, valuesPlaceholders, queryInGroups } from '../utils/d1.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Rows accepted per request, to stay within Worker CPU limits
+const MAX_CHUNK_ROWS = 5000;
+
+const IMPORT_FORMATS = {
+  bmf: { source: 'irs_bmf', parseRow: parseBmfRow },
+  pub78: { source: 'irs_pub78', parseRow: parsePub78Row }
+};
+
+/**
+ * Handle /api/import/charities routes
+ */
+export async function handleCharityImport(request, env, session, path) {
+  const format = path.replace('/charities/', '');
+
+  if (format === 'revocations' && request.method === 'POST') {
+    return handleImportRevocationChunk(request, env, session);
+  }
+
+  if (!IMPORT_FORMATS[format] || request.method !== 'POST') {
+    return errorResponse('Not Found', 404);
+  }
+
+  return handleImportCharityChunk(request, env, session, format);
+}
+
+/**
+ * Build the upsert statements for charity records, several rows per statement.
+ * Existing charities keep their display name; IRS fields and verification are refreshed.
+ */
+function buildCharityUpserts(env, charities, source) {
+  return groupRows(charities, 10, 1).map(group => env.DB.prepare(`
+    INSERT INTO charities (
+      id, name, ein, organization_type, is_verified, verification_date,
+      city, state, ntee_code, deductibility_status, irs_source, irs_updated_at, metadata
+    )
+    SELECT
+      column1, column2, column3, column4, column5, CASE WHEN column5 THEN datetime('now') END,
+      column6, column7, column8, column9, ?, datetime('now'), column10
+    FROM (VALUES ${valuesPlaceholders(group.length, 10)})
+    WHERE true
+    ON CONFLICT (ein) DO UPDATE SET
+      organization_type = excluded.organization_type,
+      is_verified = CASE WHEN excluded.is_verified THEN TRUE ELSE charities.is_verified END,
+      verification_date = CASE
+        WHEN excluded.is_verified AND NOT charities.is_verified THEN datetime('now')
+        ELSE charities.verification_date
+      END,
+      city = COALESCE(excluded.city, charities.city),
+      state = COALESCE(excluded.state, charities.state),
+      ntee_code = COALESCE(excluded.ntee_code, charities.ntee_code),
+      deductibility_status = excluded.deductibility_status,
+      irs_source = excluded.irs_source,
+      irs_updated_at = excluded.irs_updated_at,
+      metadata = json_patch(COALESCE(charities.metadata, '{}'), excluded.metadata),
+      updated_at = datetime('now')
+  `).bind(
+    source,
+    ...group.flatMap(charity => {
+      const metadata = { irs_name: charity.name };
+      if (charity.address) metadata.address = charity.address;
+      if (charity.subsection) metadata.irs_subsection = charity.subsection;
+      if (charity.deductibility_codes) metadata.pub78_codes = charity.deductibility_codes;
+
+      return [
+        uuidv4(),
+        charity.name,
+        charity.ein,
+        charity.organization_type,
+        charity.deductibility_status !== 'not_deductible',
+        charity.city,
+        charity.state,
+        charity.ntee_code,
+        charity.deductibility_status,
+        JSON.stringify(metadata)
+      ];
+    })
+  ));
+}
+
+/**
+ * Read the data rows of a chunk, skipping header rows
+ * @returns {Promise<{ rows: Array, error: string | null }>}
+ */
+async function readChunkRows(csvRows) {
+  const rows = [];
+
+  for await (const row of csvRows) {
+    if (isHeaderRow(row.values)) continue;
+
+    if (rows.length === MAX_CHUNK_ROWS) {
+      return { rows, error: `Chunks are limited to ${MAX_CHUNK_ROWS} rows; split the file and send each chunk separately` };
+    }
+    rows.push(row);
+  }
+
+  return { rows, error: rows.length === 0 ? 'CSV must contain at least one data row' : null };
+}
+
+/**
+ * Find which EINs already exist, mapped to their charity id and deductibility status
+ * @returns {Promise<Map<string, { id: string, deductibility_status: string | null }>>}
+ */
+async function getExistingEins(env, eins) {
+  const rows = await queryInGroups(eins, (placeholders, group) => env.DB.prepare(`
+    SELECT id, ein, deductibility_status FROM charities WHERE ein IN (${placeholders})
+  `).bind(...group));
+
+  return new Map(rows.map(row => [row.ein, { id: row.id, deductibility_status: row.deductibility_status }]));
+}
+
+/**
+ * Import parsed CSV rows of an IRS extract, upserting by EIN
+ * @param {Object} options - { chunk_index, deductible_only, job_id }
+ * @returns {Promise<{ result: Object, errors: Array<{ line: number, message: string }> }>}
+ */
+export async function importCharityRows(env, userId, format, rows, options = {}) {
+  const { chunk_index = 0, deductible_only = true, job_id } = options;
+  const { source, parseRow } = IMPORT_FORMATS[format];
+
+  // Parse rows, keeping the last occurrence of a repeated EIN
+  const charitiesByEin = new Map();
+  const errors = [];
+  let skippedCount = 0;
+
+  rows.forEach(row => {
+    const { charity, error } = row.error ? { error: row.error } : parseRow(row.values);
+
+    if (error) {
+      errors.push({ line: row.line, message: error });
+      return;
+    }
+
+    if (deductible_only && charity.deductibility_status === 'not_deductible') {
+      skippedCount++;
+      return;
+    }
+
+    charitiesByEin.set(charity.ein, charity);
+  });
+
+  const charities = [...charitiesByEin.values()];
+  const existingEins = await getExistingEins(env, charities.map(charity => charity.ein));
+
+  const result = {
+    format,
+    chunk_index,
+    ...(job_id ? { job_id } : {}),
+    total_rows: rows.length,
+    inserted_count: charities.filter(charity => !existingEins.has(charity.ein)).length,
+    updated_count: charities.filter(charity => existingEins.has(charity.ein)).length,
+    verified_count: charities.filter(charity => charity.deductibility_status !== 'not_deductible').length,
+    skipped_count: skippedCount,
+    error_count: errors.length
+  };
+
+  // Upsert the whole chunk, with its audit log, as one transaction
+  await env.DB.batch([
+    ...buildCharityUpserts(env, charities, source),
+    env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES (?, 'import_charities', 'charities', ?, ?)
+    `).bind(
+      userId,
+      source,
+      JSON.stringify(result)
+    )
+  ]);
+
+  // New charities pick up revocations imported before they were
+  const insertedEins = charities.map(charity => charity.ein).filter(ein => !existingEins.has(ein));
+  await applyStoredRevocations(env, insertedEins);
+
+  // Gifts to charities whose deductibility changed are re-flagged
+  const changedIds = [];
+  for (const charity of charities) {
+    const existing = existingEins.get(charity.ein);
+    if (existing && existing.deductibility_status !== charity.deductibility_status) {
+      changedIds.push(existing.id);
+    }
+  }
+  await refreshDeductibilityFlags(env, changedIds);
+
+  return { result, errors };
+}
+
+/**
+ * Import parsed CSV rows of the Auto-Revocation List.
+ * Every revocation is stored by EIN; charities already in the database are updated
+ * and their donations re-flagged, and charities added later are updated on insert.
+ * @param {Object} options - { chunk_index, job_id }
+ * @returns {Promise<{ result: Object, errors: Array<{ line: number, message: string }> }>}
+ */
+export async function importRevocationRows(env, userId, rows, options = {}) {
+  const { chunk_index = 0, job_id } = options;
+
+  // Keep the most recent revocation per EIN
+  const revocationsByEin = new Map();
+  const errors = [];
+
+  rows.forEach(row => {
+    const { revocation, error } = row.error ? { error: row.error } : parseRevocationRow(row.values);
+
+    if (error) {
+      errors.push({ line: row.line, message: error });
+      return;
+    }
+
+    const previous = revocationsByEin.get(revocation.ein);
+    if (!previous || revocation.revocation_date > previous.revocation_date) {
+      revocationsByEin.set(revocation.ein, revocation);
+    }
+  });
+
+  const revocations = [...revocationsByEin.values()];
+  const existingEins = await getExistingEins(env, revocations.map(revocation => revocation.ein));
+  const matched = revocations.filter(revocation => existingEins.has(revocation.ein));
+
+  // Store every revocation by EIN, so charities added later pick it up
+  if (revocations.length > 0) {
+    await env.DB.batch(groupRows(revocations, 5).map(group => env.DB.prepare(`
+      INSERT INTO irs_revocations (ein, name, revocation_date, posting_date, reinstatement_date)
+      SELECT column1, column2, column3, column4, column5
+      FROM (VALUES ${valuesPlaceholders(group.length, 5)})
+      WHERE true
+      ON CONFLICT (ein) DO UPDATE SET
+        name = excluded.name,
+        revocation_date = excluded.revocation_date,
+        posting_date = excluded.posting_date,
+        reinstatement_date = excluded.reinstatement_date,
+        updated_at = datetime('now')
+      WHERE excluded.revocation_date >= irs_revocations.revocation_date
+    `).bind(
+      ...group.flatMap(revocation => [
+        revocation.ein,
+        revocation.name || null,
+        revocation.revocation_date,
+        revocation.posting_date,
+        revocation.reinstatement_date
+      ])
+    )));
+  }
+
+  // Copy them onto the charities already in the database and re-flag their donations
+  await applyStoredRevocations(env, matched.map(revocation => revocation.ein));
+
+  const matchedIds = matched.map(revocation => existingEins.get(revocation.ein).id);
+
+  const flagged = await queryInGroups(matchedIds, (placeholders, group) => env.DB.prepare(`
+    SELECT COUNT(*) as count FROM donations
+    WHERE deductibility_flag = ? AND charity_id IN (${placeholders})
+  `).bind(REVOKED_CHARITY_FLAG, ...group));
+  const flaggedCount = flagged.reduce((total, row) => total + row.count, 0);
+
+  const result = {
+    format: 'revocations',
+    chunk_index,
+    ...(job_id ? { job_id } : {}),
+    total_rows: rows.length,
+    stored_count: revocations.length,
+    matched_count: matched.length,
+    reinstated_count: matched.filter(revocation => revocation.reinstatement_date).length,
+    flagged_donation_count: flaggedCount,
+    error_count: errors.length
+  };
+
+  // Audit log
+  await env.DB.prepare(`
+    INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+    VALUES (?, 'import_revocations', 'charities', 'irs_revocations', ?)
+  `).bind(
+    userId,
+    JSON.stringify(result)
+  ).run();
+
+  return { result, errors };
+}
+
+/**
+ * Format row errors for a response, keeping the first 50
+ */
+function formatRowErrors(errors) {
+  return errors.slice(0, 50).map(error => `Line ${error.line}: ${error.message}`);
+}
+
+/**
+ * Import one chunk of an IRS extract
+ */
+async function handleImportCharityChunk(request, env, session, format) {
+  try {
+    const { options, rows: csvRows } = await readCsvRequest(request);
+    const { chunk_index = 0, deductible_only = true } = options;
+
+    if (!csvRows) {
+      return validationErrorResponse(['CSV data is required']);
+    }
+
+    const { rows, error: chunkError } = await readChunkRows(csvRows);
+
+    if (chunkError) {
+      return validationErrorResponse([chunkError]);
+    }
+
+    const { result, errors } = await importCharityRows(env, session.user_id, format, rows, {
+      chunk_index,
+      deductible_only
+    });
+
+    return successResponse({
+      ...result,
+      errors: formatRowErrors(errors)
+    }, `Imported chunk ${chunk_index} of ${IMPORT_FORMATS[format].source} data`);
+
+  } catch (error) {
+    console.error('Charity import error:', error);
+    return errorResponse('Failed to import charity data');
+  }
+}
+
+/**
+ * Import one chunk of the Auto-Revocation List
+ */
+async function handleImportRevocationChunk(request, env, session) {
+  try {
+    const { options, rows: csvRows } = await readCsvRequest(request);
+    const { chunk_index = 0 } = options;
+
+    if (!csvRows) {
+      return validationErrorResponse(['CSV data is required']);
+    }
+
+    const { rows, error: chunkError } = await readChunkRows(csvRows);
+
+    if (chunkError) {
+      return validationErrorResponse([chunkError]);
+    }
+
+    const { result, errors } = await importRevocationRows(env, session.user_id, rows, { chunk_index });
+
+    return successResponse({
+      ...result,
+      errors: formatRowErrors(errors)
+    }, `Imported chunk ${chunk_index} of the auto-revocation list`);
+
+  } catch (error) {
+    console.error('Revocation import error:', error);
+    return errorResponse('Failed to import revocation data');
+  }
+}
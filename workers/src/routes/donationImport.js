@@ -0,0 +1,304 @@
+/**
+ * Donation import routes for Cloudflare Workers
+ * Mounted under /api/donations/import by handleDonations: money donations from
+ * bank and card exports (CSV, OFX/QFX) or the spreadsheet template. A preview
+ * shows how every row maps, which charity it matched and whether it repeats an
+ * existing donation; the import then creates the rows that are ready.
+ */
+
+import {
+  successResponse,
+  errorResponse,
+  validationErrorResponse,
+  fileResponse
+} from '../utils/response.js';
+import { canUserCreateDonation, isPaymentEnforcementEnabled } from '../utils/config.js';
+import { getDefaultAcknowledgmentStatus } from '../utils/substantiation.js';
+import { getDeductibilityFlag } from '../utils/revocation.js';
+import { groupRows, valuesPlaceholders, queryInGroups } from '../utils/d1.js';
+import { roundCents } from '../utils/donationRecords.js';
+import {
+  DONATION_IMPORT_FORMATS,
+  AMOUNT_SIGNS,
+  MAX_NAME_SEARCHES,
+  readDonationImportRows,
+  matchImportCharities,
+  findImportDuplicates,
+  assignImportStatuses,
+  buildImportMetadata,
+  buildImportTemplate,
+  normalizePaymentMethod
+} from '../utils/donationImport.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Handle /api/donations/import routes
+ */
+export async function handleDonationImport(request, env, session, path) {
+  const method = request.method;
+
+  switch (true) {
+    case path === '/import/template' && method === 'GET':
+      return fileResponse(buildImportTemplate(), 'donation-import-template.csv', 'text/csv');
+
+    case path === '/import/preview' && method === 'POST':
+      return handlePreviewDonationImport(request, env, session);
+
+    case path === '/import' && method === 'POST':
+      return handleImportDonations(request, env, session);
+
+    default:
+      return errorResponse('Not Found', 404);
+  }
+}
+
+/**
+ * Read, match and check the rows of an import request
+ * @returns {Promise<{ body: Object, result: Object } | { response: Response }>}
+ */
+async function prepareDonationImport(request, env, session) {
+  const body = await request.json();
+  const { format, data, payment_method } = body;
+
+  // Validation
+  const errors = [];
+  if (typeof data !== 'string' || !data.trim()) {
+    errors.push('Import data is required');
+  }
+  if (format && !DONATION_IMPORT_FORMATS.includes(format)) {
+    errors.push(`Format must be one of: ${DONATION_IMPORT_FORMATS.join(', ')}`);
+  }
+  if (payment_method && !normalizePaymentMethod(payment_method)) {
+    errors.push('Payment method must be Cash, Check, Credit Card, Bank Transfer, or Other');
+  }
+  if (body.mapping && typeof body.mapping !== 'object') {
+    errors.push('Mapping must map import fields to column headers');
+  }
+  if (body.amount_sign && !AMOUNT_SIGNS.includes(body.amount_sign)) {
+    errors.push(`Amount sign must be one of: ${AMOUNT_SIGNS.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { response: validationErrorResponse(errors) };
+  }
+
+  const result = readDonationImportRows(data, {
+    format,
+    mapping: body.mapping,
+    payment_method: normalizePaymentMethod(payment_method),
+    charity_id: body.charity_id,
+    amount_sign: body.amount_sign
+  });
+
+  if (result.errors.length > 0) {
+    return {
+      response: errorResponse('Import file could not be read', 400, result.errors)
+    };
+  }
+
+  await matchImportCharities(env, session.user_id, result.rows, body);
+  await findImportDuplicates(env, session.user_id, result.rows);
+  assignImportStatuses(result.rows, body);
+
+  return { body, result };
+}
+
+/**
+ * Format an import row for responses
+ */
+function formatImportRow(row) {
+  return {
+    row: row.row,
+    status: row.status,
+    date: row.date,
+    amount: row.amount,
+    charity_name: row.charity_name,
+    charity_ein: row.charity_ein,
+    description: row.description,
+    payment_method: row.payment_method,
+    check_number: row.check_number,
+    charity: row.charity
+      ? { id: row.charity.id, name: row.charity.name, ein: row.charity.ein, match: row.charity.match }
+      : null,
+    candidates: row.status === 'needs_charity' ? row.candidates || [] : undefined,
+    duplicate_of: row.duplicate_of || null,
+    skip_reason: row.skip_reason || null,
+    errors: row.errors,
+    donation_id: row.donation_id
+  };
+}
+
+/**
+ * Per-row problems, in the shape of the frontend ImportError
+ */
+function getImportErrors(rows) {
+  return rows.flatMap(row => {
+    if (row.status === 'error') {
+      return row.errors.map(error => ({ row: row.row, field: error.field, message: error.message }));
+    }
+    if (row.status === 'needs_charity') {
+      return [{
+        row: row.row,
+        field: 'charity_name',
+        message: row.search_skipped
+          ? `"${row.charity_name}" was not searched: an import searches at most ${MAX_NAME_SEARCHES} payee names; choose its charity with charity_map`
+          : row.charity_name ? `No clear charity match for "${row.charity_name}"` : 'No charity found for this EIN'
+      }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Count rows by status
+ */
+function summarizeImport(rows) {
+  const summary = { total: rows.length, ready: 0, duplicate: 0, needs_charity: 0, error: 0, skipped: 0 };
+  let readyAmount = 0;
+
+  for (const row of rows) {
+    summary[row.status]++;
+    if (row.status === 'ready') readyAmount += row.amount;
+  }
+
+  return { ...summary, ready_amount: roundCents(readyAmount) };
+}
+
+/**
+ * Preview an import without saving anything
+ */
+async function handlePreviewDonationImport(request, env, session) {
+  try {
+    const prepared = await prepareDonationImport(request, env, session);
+    if (prepared.response) return prepared.response;
+
+    const { format, columns, mapping, amount_sign, rows } = prepared.result;
+
+    return successResponse({
+      format,
+      columns,
+      mapping,
+      amount_sign: amount_sign ?? null,
+      summary: summarizeImport(rows),
+      rows: rows.map(formatImportRow),
+      errors: getImportErrors(rows)
+    }, 'Import preview generated successfully');
+
+  } catch (error) {
+    console.error('Preview donation import error:', error);
+    return errorResponse('Failed to preview donation import');
+  }
+}
+
+/**
+ * Import donations: every ready row becomes a money donation, created together
+ * in one transaction. Rows needing attention are left out and reported, unless
+ * skip_errors is false, in which case nothing is imported while any remain.
+ */
+async function handleImportDonations(request, env, session) {
+  try {
+    const prepared = await prepareDonationImport(request, env, session);
+    if (prepared.response) return prepared.response;
+
+    const { body, result } = prepared;
+    const { format, rows } = result;
+    const { skip_errors = true, dry_run = false } = body;
+
+    const ready = rows.filter(row => row.status === 'ready');
+    const errors = getImportErrors(rows);
+
+    if (!skip_errors && errors.length > 0) {
+      return validationErrorResponse(errors.map(error => `Row ${error.row}: ${error.message}`));
+    }
+
+    // Check donation limit (respects payment enforcement feature flag)
+    if (!dry_run && ready.length > 0 && isPaymentEnforcementEnabled(env)) {
+      const donationCount = await env.DB.prepare(`
+        SELECT COUNT(*) as count FROM donations WHERE user_id = ?
+      `).bind(session.user_id).first();
+
+      if (!canUserCreateDonation(session, donationCount.count + ready.length - 1, env)) {
+        return errorResponse('Donation limit reached. Upgrade to Pro for unlimited donations.', 402);
+      }
+    }
+
+    if (!dry_run && ready.length > 0) {
+      for (const row of ready) {
+        row.donation_id = uuidv4();
+      }
+
+      await env.DB.batch([
+        ...groupRows(ready, 8, 1).map(group => env.DB.prepare(`
+          INSERT INTO donations (
+            id, user_id, charity_id, type, date, tax_deductible_amount,
+            description, metadata, acknowledgment_status, deductibility_flag, flagged_at
+          )
+          SELECT
+            column1, ?, column2, 'money', column3, column4,
+            column5, column6, column7, column8, CASE WHEN column8 IS NOT NULL THEN datetime('now') END
+          FROM (VALUES ${valuesPlaceholders(group.length, 8)})
+        `).bind(
+          session.user_id,
+          ...group.flatMap(row => [
+            row.donation_id,
+            row.charity.id,
+            row.date,
+            row.amount,
+            row.description,
+            JSON.stringify(buildImportMetadata(row, format)),
+            getDefaultAcknowledgmentStatus(row.amount),
+            getDeductibilityFlag(row.charity, row.date)
+          ])
+        )),
+        // Audit log
+        env.DB.prepare(`
+          INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+          VALUES (?, 'import_donations', 'donation', NULL, ?)
+        `).bind(
+          session.user_id,
+          JSON.stringify({
+            format,
+            imported_count: ready.length,
+            amount: summarizeImport(rows).ready_amount,
+            donation_ids: ready.map(row => row.donation_id)
+          })
+        )
+      ]);
+    }
+
+    // Retrieve created donations with charity info
+    const donationIds = ready.map(row => row.donation_id).filter(Boolean);
+    const createdDonations = await queryInGroups(donationIds, (placeholders, group) => env.DB.prepare(`
+      SELECT
+        d.*,
+        c.name as charity_name,
+        c.ein as charity_ein
+      FROM donations d
+      LEFT JOIN charities c ON d.charity_id = c.id
+      WHERE d.id IN (${placeholders})
+      ORDER BY d.date ASC
+    `).bind(...group));
+
+    const summary = summarizeImport(rows);
+
+    return successResponse({
+      success: errors.length === 0,
+      total_records: rows.length,
+      successful_imports: dry_run ? 0 : ready.length,
+      failed_imports: summary.error + summary.needs_charity,
+      duplicate_count: summary.duplicate,
+      skipped_count: summary.skipped,
+      dry_run,
+      summary,
+      errors,
+      created_donations: createdDonations,
+      rows: rows.map(formatImportRow)
+    },
+    dry_run ? 'Import checked; nothing was saved' : `Imported ${ready.length} donation${ready.length === 1 ? '' : 's'}`,
+    !dry_run && ready.length > 0 ? 201 : 200);
+
+  } catch (error) {
+    console.error('Import donations error:', error);
+    return errorResponse('Failed to import donations');
+  }
+}
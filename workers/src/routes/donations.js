@@ -7,18 +7,56 @@ import {
   successResponse,
   errorResponse,
   validationErrorResponse,
-  unauthorizedResponse
+  unauthorizedResponse,
+  fileResponse
 } from '../utils/response.js';
 import {
   isValidAmount,
   isValidDate,
   isValidDonationType,
   validateDonationMetadata,
+  validateCryptoMetadata,
+  validateCryptoAmount,
+  validateItemValuations,
   sanitizeInput
 } from '../utils/validation.js';
 import { canUserCreateDonation, isPaymentEnforcementEnabled } from '../utils/config.js';
+import { getStockGiftDateValuation } from '../pricing/valuation.js';
+import { buildForm8283, renderForm8283Pdf } from '../utils/form8283.js';
+import {
+  LOT_SELECTION_METHODS,
+  allocateLots,
+  summarizeAllocations,
+  getDonatedQuantity
+} from '../utils/lots.js';
+import { loadCarryforwardLedger, getCarryforwardBalances } from '../utils/carryforward.js';
+import {
+  ACKNOWLEDGMENT_STATUSES,
+  getDefaultAcknowledgmentStatus,
+  getSubstantiationIssues
+} from '../utils/substantiation.js';
+import { getDeductibilityFlag, refreshDeductibilityFlags, REVOKED_CHARITY_FLAG } from '../utils/revocation.js';
+import { valueItemsMetadata } from '../utils/valuations.js';
+import { inPlaceholders } from '../utils/d1.js';
+import {
+  DONATION_EXPORT_FORMATS,
+  buildDonationsCsv,
+  buildDonationsTxf,
+  buildDonationsJson,
+  getExportContentType
+} from '../utils/donationExport.js';
+import { buildYearEndReport, renderYearEndReportPdf } from '../utils/yearEndReport.js';
+import { createZipStream } from '../utils/zip.js';
+import { handleDonationImport } from './donationImport.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// The bundle is streamed, but every receipt byte goes through a CRC-32 in
+// JavaScript; keep it well inside the Worker's CPU time
+const MAX_RECEIPT_BUNDLE_BYTES = 25 * 1024 * 1024;
+
+// Where flagged gifts are left out, for deductibility alert messages
+const EXCLUDED_GIFT_NOTE = 'this gift is not deductible and is left out of your donation summary, deduction worksheet, Form 8283, compliance report, year-end report and export totals';
+
 /**
  * Handle donations routes
  */
@@ -39,6 +77,39 @@ export async function handleDonations(request, env, ctx) {
     case path === '' && method === 'GET':
       return handleGetDonations(request, env, session);
 
+    case path === '/import' || path.startsWith('/import/'):
+      return handleDonationImport(request, env, session, path);
+
+    case path === '/report' && method === 'GET':
+      return handleGetYearEndReport(request, env, session);
+
+    case path === '/export' && method === 'GET':
+      return handleExportDonations(request, env, session);
+
+    case path === '/form-8283' && method === 'GET':
+      return handleGetForm8283(request, env, session);
+
+    case path === '/agi' && method === 'GET':
+      return handleGetAgi(request, env, session);
+
+    case path.match(/^\/agi\/\d{4}$/) && method === 'PUT':
+      return handleSetAgi(request, env, session, parseInt(path.split('/')[2]));
+
+    case path === '/worksheet' && method === 'GET':
+      return handleGetDeductionWorksheet(request, env, session);
+
+    case path === '/carryforwards' && method === 'GET':
+      return handleGetCarryforwards(request, env, session);
+
+    case path === '/compliance' && method === 'GET':
+      return handleGetComplianceReport(request, env, session);
+
+    case path === '/alerts' && method === 'GET':
+      return handleGetDeductibilityAlerts(request, env, session);
+
+    case path.match(/^\/[a-f0-9-]+\/acknowledgment$/) && method === 'PUT':
+      return handleUpdateAcknowledgment(request, env, session, path.split('/')[1]);
+
     case path === '' && method === 'POST':
       return handleCreateDonation(request, env, session);
 
@@ -124,23 +195,44 @@ async function handleCreateDonation(request, env, session) {
       charity_id,
       type,
       date,
-      tax_deductible_amount,
-      fair_market_value,
-      cost_basis,
       description,
-      metadata
+      metadata,
+      acknowledgment_status,
+      lot_selection,
+      lots
     } = body;
+    let { fair_market_value, cost_basis, tax_deductible_amount } = body;
 
     // Validation
     const errors = [];
     if (!charity_id) errors.push('Charity is required');
     if (!type || !isValidDonationType(type)) errors.push('Valid donation type is required');
     if (!date || !isValidDate(date)) errors.push('Valid date is required');
-    if (!tax_deductible_amount || !isValidAmount(tax_deductible_amount)) {
+    if (lot_selection !== undefined) {
+      if (!LOT_SELECTION_METHODS.includes(lot_selection)) {
+        errors.push('Lot selection must be fifo or specific');
+      }
+      if (type !== 'stock' && type !== 'crypto') {
+        errors.push('Lot selection is only available for stock and crypto donations');
+      }
+      if (!metadata) errors.push('Metadata with the symbol and quantity donated is required for lot selection');
+    } else if (!(type === 'items' && metadata) &&
+      (tax_deductible_amount ? !isValidAmount(tax_deductible_amount) : !(type === 'stock' && metadata))) {
+      // Items donations with an items list are valued by the server; stock
+      // donations without an amount are deductible at their fair market value
       errors.push('Valid tax deductible amount is required');
     }
     if (metadata && !validateDonationMetadata(type, metadata)) {
       errors.push('Invalid metadata for donation type');
+    } else if (type === 'crypto' && metadata && !(await validateCryptoMetadata(metadata, env))) {
+      errors.push('Cryptocurrency is not in the supported asset registry');
+    } else if (type === 'crypto' && metadata && !(await validateCryptoAmount(metadata, env))) {
+      errors.push('Cryptocurrency amount has more decimal places than the asset supports');
+    } else if (type === 'items' && metadata && !(await validateItemValuations(metadata, env))) {
+      errors.push('Item references a valuation that does not exist');
+    }
+    if (acknowledgment_status && !ACKNOWLEDGMENT_STATUSES.includes(acknowledgment_status)) {
+      errors.push('Acknowledgment status must be requested, received, or missing');
     }
 
     if (errors.length > 0) {
@@ -161,13 +253,99 @@ async function handleCreateDonation(request, env, session) {
 
     // Verify charity exists
     const charity = await env.DB.prepare(`
-      SELECT id, name FROM charities WHERE id = ?
+      SELECT id, name, deductibility_status, revocation_date, reinstatement_date FROM charities WHERE id = ?
     `).bind(charity_id).first();
 
     if (!charity) {
       return errorResponse('Charity not found', 404);
     }
 
+    // Auto-fill stock FMV from the mean of the high and low on the gift date
+    let donationMetadata = metadata;
+    if (type === 'stock' && !fair_market_value && metadata) {
+      const stockData = typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+      const valuation = await getStockGiftDateValuation(stockData.symbol, date, env);
+
+      if (valuation) {
+        fair_market_value = parseFloat((valuation.mean * stockData.shares).toFixed(2));
+        donationMetadata = {
+          ...stockData,
+          pricePerShare: valuation.mean,
+          valuationMethod: stockData.valuationMethod || valuation.valuation_method,
+          valuationTradingDays: valuation.trading_days_used
+        };
+      }
+    }
+
+    // Property is deductible at most at its fair market value (lots and items set their own amount)
+    if (!lot_selection && type !== 'items' && fair_market_value) {
+      if (!tax_deductible_amount) {
+        tax_deductible_amount = parseFloat(fair_market_value);
+      } else if (parseFloat(tax_deductible_amount) > parseFloat(fair_market_value)) {
+        return validationErrorResponse([`Tax deductible amount cannot exceed the fair market value of ${fair_market_value}`]);
+      }
+    }
+    if (!lot_selection && type !== 'items' && !tax_deductible_amount) {
+      return validationErrorResponse(['Tax deductible amount is required (the fair market value could not be looked up)']);
+    }
+
+    // Value itemized goods from the entered values and valuation guides
+    let valuationWarnings = [];
+    if (type === 'items' && metadata) {
+      const valued = await valueItemsMetadata(env, metadata, date);
+
+      if (valued.errors.length > 0) {
+        return validationErrorResponse(valued.errors);
+      }
+
+      fair_market_value = valued.fair_market_value;
+      tax_deductible_amount = valued.fair_market_value;
+      donationMetadata = valued.metadata;
+      valuationWarnings = valued.warnings;
+    }
+
+    // Draw the donated quantity from acquisition lots; basis and holding period
+    // come from the lots, and short-term lots are deductible only up to basis
+    let lotAllocations = [];
+    if (lot_selection) {
+      if (!fair_market_value || !isValidAmount(fair_market_value)) {
+        return validationErrorResponse(['Fair market value is required to value lots (it could not be looked up automatically)']);
+      }
+
+      const lotData = typeof donationMetadata === 'string' ? JSON.parse(donationMetadata) : donationMetadata;
+      const quantity = getDonatedQuantity(type, lotData);
+
+      const openLots = await env.DB.prepare(`
+        SELECT * FROM cost_basis_lots
+        WHERE user_id = ? AND asset_class = ? AND symbol = ? AND remaining_quantity > 0
+        ORDER BY acquired_date ASC
+      `).bind(session.user_id, type, String(lotData.symbol).toUpperCase()).all();
+
+      const { allocations, errors: lotErrors } = allocateLots(
+        openLots.results || [],
+        quantity,
+        lot_selection,
+        lots,
+        date
+      );
+
+      if (lotErrors.length > 0) {
+        return validationErrorResponse(lotErrors);
+      }
+
+      const lotSummary = summarizeAllocations(allocations, parseFloat(fair_market_value));
+      lotAllocations = allocations;
+      cost_basis = lotSummary.cost_basis;
+      tax_deductible_amount = lotSummary.deductible_amount;
+      donationMetadata = {
+        ...lotData,
+        dateAcquired: lotSummary.date_acquired,
+        holdingPeriod: lotSummary.holding_period,
+        shortTermDeductible: lotSummary.short_term_deductible,
+        lotSelection: lot_selection
+      };
+    }
+
     // Calculate capital gains avoided for investments
     let capitalGainsAvoided = 0;
     if ((type === 'stock' || type === 'crypto') && fair_market_value && cost_basis) {
@@ -176,12 +354,14 @@ async function handleCreateDonation(request, env, session) {
 
     // Create donation
     const donationId = uuidv4();
-    await env.DB.prepare(`
+    const deductibilityFlag = getDeductibilityFlag(charity, date);
+    const insertDonation = env.DB.prepare(`
       INSERT INTO donations (
         id, user_id, charity_id, type, date, tax_deductible_amount,
         fair_market_value, cost_basis, capital_gains_avoided,
-        description, metadata
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        description, metadata, acknowledgment_status,
+        deductibility_flag, flagged_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? IS NOT NULL THEN datetime('now') END)
     `).bind(
       donationId,
       session.user_id,
@@ -193,8 +373,53 @@ async function handleCreateDonation(request, env, session) {
       cost_basis || null,
       capitalGainsAvoided,
       sanitizeInput(description) || null,
-      metadata ? JSON.stringify(metadata) : null
-    ).run();
+      donationMetadata ? JSON.stringify(donationMetadata) : null,
+      acknowledgment_status || getDefaultAcknowledgmentStatus(tax_deductible_amount),
+      deductibilityFlag,
+      deductibilityFlag
+    );
+
+    if (lotAllocations.length > 0) {
+      // Record the donation and consume its lots together. A lot drawn down by a
+      // concurrent gift matches no row; changes() is then 0, the donation_lots row
+      // gets a NULL lot_id and the NOT NULL constraint rolls back the whole batch.
+      try {
+        await env.DB.batch([
+          insertDonation,
+          ...lotAllocations.flatMap(allocation => [
+            env.DB.prepare(`
+              UPDATE cost_basis_lots
+              SET remaining_quantity = ROUND(remaining_quantity - ?, 8), updated_at = datetime("now")
+              WHERE id = ? AND remaining_quantity >= ? - 1e-9
+            `).bind(allocation.quantity, allocation.lot_id, allocation.quantity),
+            env.DB.prepare(`
+              INSERT INTO donation_lots (id, donation_id, lot_id, quantity, cost_basis, is_long_term)
+              VALUES (?, ?, CASE WHEN changes() = 1 THEN ? END, ?, ?, ?)
+            `).bind(
+              uuidv4(),
+              donationId,
+              allocation.lot_id,
+              allocation.quantity,
+              allocation.cost_basis,
+              allocation.is_long_term
+            )
+          ])
+        ]);
+      } catch (batchError) {
+        const current = await env.DB.prepare(`
+          SELECT id, remaining_quantity FROM cost_basis_lots
+          WHERE id IN (${inPlaceholders(lotAllocations.length)})
+        `).bind(...lotAllocations.map(allocation => allocation.lot_id)).all();
+
+        const remaining = new Map((current.results || []).map(lot => [lot.id, parseFloat(lot.remaining_quantity)]));
+        if (lotAllocations.some(allocation => !(remaining.get(allocation.lot_id) >= allocation.quantity - 1e-9))) {
+          return errorResponse('The selected lots no longer hold enough quantity; reload your lots and try again', 409);
+        }
+        throw batchError;
+      }
+    } else {
+      await insertDonation.run();
+    }
 
     // Audit log
     await env.DB.prepare(`
@@ -217,6 +442,13 @@ async function handleCreateDonation(request, env, session) {
       WHERE d.id = ?
     `).bind(donationId).first();
 
+    if (lotAllocations.length > 0) {
+      createdDonation.lots = lotAllocations;
+    }
+    if (valuationWarnings.length > 0) {
+      createdDonation.valuation_warnings = valuationWarnings;
+    }
+
     return successResponse(createdDonation, 'Donation created successfully', 201);
 
   } catch (error) {
@@ -244,6 +476,18 @@ async function handleGetDonation(request, env, session, donationId) {
       return errorResponse('Donation not found', 404);
     }
 
+    const lots = await env.DB.prepare(`
+      SELECT dl.lot_id, dl.quantity, dl.cost_basis, dl.is_long_term, l.acquired_date, l.symbol
+      FROM donation_lots dl
+      JOIN cost_basis_lots l ON dl.lot_id = l.id
+      WHERE dl.donation_id = ?
+      ORDER BY l.acquired_date ASC
+    `).bind(donationId).all();
+
+    if (lots.results?.length > 0) {
+      donation.lots = lots.results;
+    }
+
     return successResponse(donation);
 
   } catch (error) {
@@ -271,12 +515,10 @@ async function handleUpdateDonation(request, env, session, donationId) {
       charity_id,
       type,
       date,
-      tax_deductible_amount,
-      fair_market_value,
       cost_basis,
-      description,
-      metadata
+      description
     } = body;
+    let { tax_deductible_amount, fair_market_value, metadata } = body;
 
     // Validation
     const errors = [];
@@ -287,12 +529,56 @@ async function handleUpdateDonation(request, env, session, donationId) {
     if (date && !isValidDate(date)) errors.push('Invalid date');
     if (tax_deductible_amount && !isValidAmount(tax_deductible_amount)) {
       errors.push('Invalid tax deductible amount');
+    } else if ((type || existingDonation.type) !== 'items' && (tax_deductible_amount !== undefined || fair_market_value !== undefined)) {
+      // Property is deductible at most at its fair market value
+      const amount = tax_deductible_amount !== undefined ? tax_deductible_amount : existingDonation.tax_deductible_amount;
+      const value = fair_market_value !== undefined ? fair_market_value : existingDonation.fair_market_value;
+      if (value && parseFloat(amount) > parseFloat(value)) {
+        errors.push(`Tax deductible amount cannot exceed the fair market value of ${value}`);
+      }
+    }
+    if (cost_basis !== undefined || date !== undefined || type !== undefined || metadata !== undefined) {
+      const lotUsage = await env.DB.prepare(`
+        SELECT COUNT(*) as count FROM donation_lots WHERE donation_id = ?
+      `).bind(donationId).first();
+
+      if (lotUsage.count > 0) {
+        if (cost_basis !== undefined || date !== undefined) {
+          errors.push('Basis and date come from the donated lots; delete and re-create the donation to change them');
+        }
+        if (isLotAllocationChange(existingDonation, type, metadata)) {
+          errors.push('Type, symbol and quantity are drawn from the donated lots; delete and re-create the donation to change them');
+        }
+      }
+    }
+    if ((type || existingDonation.type) === 'crypto' && metadata && !(await validateCryptoMetadata(metadata, env))) {
+      errors.push('Cryptocurrency is not in the supported asset registry');
+    } else if ((type || existingDonation.type) === 'crypto' && metadata && !(await validateCryptoAmount(metadata, env))) {
+      errors.push('Cryptocurrency amount has more decimal places than the asset supports');
+    }
+    if ((type || existingDonation.type) === 'items' && metadata && !(await validateItemValuations(metadata, env))) {
+      errors.push('Item references a valuation that does not exist');
     }
 
     if (errors.length > 0) {
       return validationErrorResponse(errors);
     }
 
+    // Re-value itemized goods whenever the items list or date (and so the guide edition) changes
+    let valuationWarnings = [];
+    if ((type || existingDonation.type) === 'items' && (metadata || (date && existingDonation.metadata))) {
+      const valued = await valueItemsMetadata(env, metadata || existingDonation.metadata, date || existingDonation.date);
+
+      if (valued.errors.length > 0) {
+        return validationErrorResponse(valued.errors);
+      }
+
+      fair_market_value = valued.fair_market_value;
+      tax_deductible_amount = valued.fair_market_value;
+      metadata = valued.metadata;
+      valuationWarnings = valued.warnings;
+    }
+
     // Build update query dynamically
     const updates = [];
     const params = [];
@@ -312,6 +598,18 @@ async function handleUpdateDonation(request, env, session, donationId) {
     if (tax_deductible_amount !== undefined) {
       updates.push('tax_deductible_amount = ?');
       params.push(tax_deductible_amount);
+
+      // Crossing the acknowledgment threshold changes whether one is needed;
+      // an acknowledgment already received is kept
+      if (existingDonation.acknowledgment_status !== 'received') {
+        const defaultStatus = getDefaultAcknowledgmentStatus(tax_deductible_amount);
+        const status = defaultStatus && (existingDonation.acknowledgment_status || defaultStatus);
+
+        if (status !== existingDonation.acknowledgment_status) {
+          updates.push('acknowledgment_status = ?');
+          params.push(status);
+        }
+      }
     }
     if (fair_market_value !== undefined) {
       updates.push('fair_market_value = ?');
@@ -341,6 +639,11 @@ async function handleUpdateDonation(request, env, session, donationId) {
       UPDATE donations SET ${updates.join(', ')} WHERE id = ?
     `).bind(...params).run();
 
+    // A new date or charity can move the gift into or out of a revocation period
+    if (charity_id !== undefined || date !== undefined) {
+      await refreshDeductibilityFlags(env, [charity_id || existingDonation.charity_id]);
+    }
+
     // Audit log
     await env.DB.prepare(`
       INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
@@ -363,6 +666,10 @@ async function handleUpdateDonation(request, env, session, donationId) {
       WHERE d.id = ?
     `).bind(donationId).first();
 
+    if (valuationWarnings.length > 0) {
+      updatedDonation.valuation_warnings = valuationWarnings;
+    }
+
     return successResponse(updatedDonation, 'Donation updated successfully');
 
   } catch (error) {
@@ -371,6 +678,22 @@ async function handleUpdateDonation(request, env, session, donationId) {
   }
 }
 
+/**
+ * Check whether an update would change what a lot-backed donation drew from its lots
+ */
+function isLotAllocationChange(existingDonation, type, metadata) {
+  if (type !== undefined && type !== existingDonation.type) return true;
+  if (metadata === undefined) return false;
+
+  const previous = typeof existingDonation.metadata === 'string'
+    ? JSON.parse(existingDonation.metadata)
+    : (existingDonation.metadata || {});
+  const next = typeof metadata === 'string' ? JSON.parse(metadata) : (metadata || {});
+
+  return String(next.symbol || '').toUpperCase() !== String(previous.symbol || '').toUpperCase() ||
+    Math.abs(getDonatedQuantity(existingDonation.type, next) - getDonatedQuantity(existingDonation.type, previous)) > 1e-9;
+}
+
 /**
  * Delete a donation
  */
@@ -385,10 +708,23 @@ async function handleDeleteDonation(request, env, session, donationId) {
       return errorResponse('Donation not found', 404);
     }
 
-    // Delete donation
-    await env.DB.prepare(`
-      DELETE FROM donations WHERE id = ?
-    `).bind(donationId).run();
+    // Delete donation, returning any consumed quantity to its lots
+    await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE cost_basis_lots
+        SET remaining_quantity = remaining_quantity + (
+          SELECT SUM(dl.quantity) FROM donation_lots dl
+          WHERE dl.donation_id = ? AND dl.lot_id = cost_basis_lots.id
+        ), updated_at = datetime("now")
+        WHERE id IN (SELECT lot_id FROM donation_lots WHERE donation_id = ?)
+      `).bind(donationId, donationId),
+      env.DB.prepare(`
+        DELETE FROM donation_lots WHERE donation_id = ?
+      `).bind(donationId),
+      env.DB.prepare(`
+        DELETE FROM donations WHERE id = ?
+      `).bind(donationId)
+    ]);
 
     // Audit log
     await env.DB.prepare(`
@@ -416,35 +752,619 @@ async function handleGetDonationSummary(request, env, session) {
     const url = new URL(request.url);
     const year = url.searchParams.get('year') || new Date().getFullYear().toString();
 
-    const summary = await env.DB.prepare(`
+    return successResponse(await getDonationSummary(env, session.user_id, year));
+
+  } catch (error) {
+    console.error('Get donation summary error:', error);
+    return errorResponse('Failed to retrieve donation summary');
+  }
+}
+
+/**
+ * Totals by type, year totals and carryforward activity for a tax year.
+ * Flagged gifts (see handleGetDeductibilityAlerts) are not deductible and are left out.
+ */
+async function getDonationSummary(env, userId, year) {
+  const summary = await env.DB.prepare(`
+    SELECT
+      type,
+      COUNT(*) as count,
+      SUM(tax_deductible_amount) as total_deductible,
+      SUM(COALESCE(capital_gains_avoided, 0)) as total_capital_gains_avoided
+    FROM donations
+    WHERE user_id = ? AND strftime('%Y', date) = ? AND deductibility_flag IS NULL
+    GROUP BY type
+    ORDER BY total_deductible DESC
+  `).bind(userId, year).all();
+
+  const yearTotal = await env.DB.prepare(`
+    SELECT
+      COUNT(*) as total_donations,
+      SUM(tax_deductible_amount) as total_deductible,
+      SUM(COALESCE(capital_gains_avoided, 0)) as total_capital_gains_avoided
+    FROM donations
+    WHERE user_id = ? AND strftime('%Y', date) = ? AND deductibility_flag IS NULL
+  `).bind(userId, year).first();
+
+  const ledger = await loadCarryforwardLedger(env, userId, Math.max(parseInt(year), new Date().getFullYear()));
+  const yearEntries = ledger.entries.filter(entry => entry.tax_year === parseInt(year));
+  const sumEntries = type => yearEntries
+    .filter(entry => entry.entry_type === type)
+    .reduce((total, entry) => total + entry.amount, 0);
+
+  return {
+    year: parseInt(year),
+    summary: summary.results || [],
+    totals: yearTotal,
+    carryforward: {
+      available: getCarryforwardBalances(ledger.entries, parseInt(year)),
+      applied: sumEntries('applied'),
+      generated: sumEntries('excess'),
+      expired: sumEntries('expired'),
+      allowed_deduction: ledger.worksheets[parseInt(year)]?.total_allowed ?? null
+    }
+  };
+}
+
+/**
+ * Entries of the year-end receipts bundle: the report PDF, then each receipt
+ * fetched from R2 as the ZIP stream reaches it, then a list of missing files
+ */
+async function* getReceiptBundleEntries(env, report, pdf) {
+  yield { name: `donation-report-${report.year}.pdf`, data: pdf };
+
+  const missing = [];
+  try {
+    for (const receipt of report.receipts) {
+      const object = await env.BUCKET.get(receipt.r2_key);
+      if (!object) {
+        missing.push(`${receipt.bundle_path} (${receipt.filename})`);
+        continue;
+      }
+      yield { name: receipt.bundle_path, data: object.body };
+    }
+  } catch (error) {
+    // The response has already started, so the download fails instead of returning an error
+    console.error('Year-end bundle error:', error);
+    throw error;
+  }
+
+  if (missing.length > 0) {
+    yield {
+      name: 'receipts/MISSING.txt',
+      data: `These files are recorded but could not be found in storage:\r\n${missing.join('\r\n')}\r\n`
+    };
+  }
+}
+
+/**
+ * Year-end report for the user's accountant: a PDF built from the donation
+ * summary, or with ?format=zip a bundle of the PDF and every receipt and
+ * acknowledgment attached to the year's donations
+ */
+async function handleGetYearEndReport(request, env, session) {
+  try {
+    const url = new URL(request.url);
+    const year = url.searchParams.get('year') || new Date().getFullYear().toString();
+    const format = url.searchParams.get('format') || 'pdf';
+
+    if (!/^\d{4}$/.test(year)) {
+      return validationErrorResponse(['Year must be in YYYY format']);
+    }
+    if (!['pdf', 'zip'].includes(format)) {
+      return validationErrorResponse(['Format must be pdf or zip']);
+    }
+
+    const summary = await getDonationSummary(env, session.user_id, year);
+
+    const donations = await env.DB.prepare(`
+      SELECT
+        d.*,
+        c.name as charity_name,
+        c.ein as charity_ein
+      FROM donations d
+      LEFT JOIN charities c ON d.charity_id = c.id
+      WHERE d.user_id = ? AND strftime('%Y', d.date) = ? AND d.deductibility_flag IS NULL
+      ORDER BY d.date ASC, d.created_at ASC
+    `).bind(session.user_id, year).all();
+
+    const files = await env.DB.prepare(`
+      SELECT f.*
+      FROM file_uploads f
+      JOIN donations d ON f.donation_id = d.id
+      WHERE d.user_id = ? AND f.user_id = d.user_id AND strftime('%Y', d.date) = ?
+        AND d.deductibility_flag IS NULL
+      ORDER BY d.date ASC, f.created_at ASC
+    `).bind(session.user_id, year).all();
+
+    const report = buildYearEndReport(summary, donations.results || [], files.results || []);
+
+    if (format === 'pdf') {
+      const pdf = renderYearEndReportPdf(report, session);
+      return fileResponse(pdf, `donation-report-${year}.pdf`, 'application/pdf');
+    }
+
+    const bundleSize = report.receipts.reduce((total, receipt) => total + receipt.file_size, 0);
+    if (bundleSize > MAX_RECEIPT_BUNDLE_BYTES) {
+      return errorResponse('Receipts for this year are too large to bundle; download the PDF and receipts separately', 413);
+    }
+
+    const pdf = renderYearEndReportPdf(report, session, { bundled: true });
+    const zip = createZipStream(getReceiptBundleEntries(env, report, pdf));
+    return fileResponse(zip, `donation-report-${year}.zip`, 'application/zip');
+
+  } catch (error) {
+    console.error('Get year-end report error:', error);
+    return errorResponse('Failed to generate year-end report');
+  }
+}
+
+/**
+ * Export donations for a tax year (?year=YYYY, default this year) or a date
+ * range (?from=&to=) as CSV, TXF or JSON (?format=), optionally of one ?type=
+ */
+async function handleExportDonations(request, env, session) {
+  try {
+    const url = new URL(request.url);
+    const format = url.searchParams.get('format') || 'csv';
+    const type = url.searchParams.get('type');
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+    const year = url.searchParams.get('year') || (from || to ? null : new Date().getFullYear().toString());
+
+    // Validation
+    const errors = [];
+    if (!DONATION_EXPORT_FORMATS.includes(format)) {
+      errors.push(`Format must be one of: ${DONATION_EXPORT_FORMATS.join(', ')}`);
+    }
+    if (type && !isValidDonationType(type)) {
+      errors.push('Invalid donation type');
+    }
+    if (year && (from || to)) {
+      errors.push('Use either year or a from/to date range');
+    } else if (year && !/^\d{4}$/.test(year)) {
+      errors.push('Year must be in YYYY format');
+    } else if (!year && (!from || !to || !isValidDate(from) || !isValidDate(to))) {
+      errors.push('A date range needs valid from and to dates (YYYY-MM-DD)');
+    } else if (!year && from > to) {
+      errors.push('From date must not be after to date');
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const period = year
+      ? { from: `${year}-01-01`, to: `${year}-12-31`, tax_year: parseInt(year) }
+      : { from, to, tax_year: null };
+
+    let whereClause = 'WHERE d.user_id = ? AND d.date >= ? AND d.date <= ?';
+    const params = [session.user_id, period.from, period.to];
+
+    if (type) {
+      whereClause += ' AND d.type = ?';
+      params.push(type);
+    }
+
+    const donations = await env.DB.prepare(`
+      SELECT
+        d.*,
+        c.name as charity_name,
+        c.ein as charity_ein
+      FROM donations d
+      LEFT JOIN charities c ON d.charity_id = c.id
+      ${whereClause}
+      ORDER BY d.date ASC, d.created_at ASC
+    `).bind(...params).all();
+
+    // Receipts and acknowledgments attached to the exported donations
+    const files = await env.DB.prepare(`
+      SELECT f.id, f.donation_id, f.original_filename, f.content_type, f.file_size, f.created_at
+      FROM file_uploads f
+      JOIN donations d ON f.donation_id = d.id
+      ${whereClause} AND f.user_id = d.user_id
+      ORDER BY f.created_at ASC
+    `).bind(...params).all();
+
+    const filesByDonation = new Map();
+    for (const file of files.results || []) {
+      if (!filesByDonation.has(file.donation_id)) filesByDonation.set(file.donation_id, []);
+      filesByDonation.get(file.donation_id).push(file);
+    }
+
+    const rows = donations.results || [];
+    let body;
+    switch (format) {
+      case 'txf':
+        body = buildDonationsTxf(rows);
+        break;
+      case 'json':
+        body = buildDonationsJson(rows, filesByDonation, period);
+        break;
+      default:
+        body = buildDonationsCsv(rows, filesByDonation);
+    }
+
+    const name = year ? `donations-${year}` : `donations-${from}-to-${to}`;
+    return fileResponse(body, `${name}${type ? `-${type}` : ''}.${format}`, getExportContentType(format));
+
+  } catch (error) {
+    console.error('Export donations error:', error);
+    return errorResponse('Failed to export donations');
+  }
+}
+
+/**
+ * Build IRS Form 8283 Section A/B line items for noncash donations
+ * Returns JSON by default, or a downloadable PDF with ?format=pdf
+ */
+async function handleGetForm8283(request, env, session) {
+  try {
+    const url = new URL(request.url);
+    const year = url.searchParams.get('year') || new Date().getFullYear().toString();
+    const format = url.searchParams.get('format') || 'json';
+
+    if (!/^\d{4}$/.test(year)) {
+      return validationErrorResponse(['Year must be in YYYY format']);
+    }
+    if (!['json', 'pdf'].includes(format)) {
+      return validationErrorResponse(['Format must be json or pdf']);
+    }
+
+    const donations = await env.DB.prepare(`
       SELECT
-        type,
-        COUNT(*) as count,
-        SUM(tax_deductible_amount) as total_deductible,
-        SUM(COALESCE(capital_gains_avoided, 0)) as total_capital_gains_avoided
-      FROM donations
-      WHERE user_id = ? AND strftime('%Y', date) = ?
-      GROUP BY type
-      ORDER BY total_deductible DESC
+        d.*,
+        c.name as charity_name,
+        c.ein as charity_ein,
+        c.metadata as charity_metadata
+      FROM donations d
+      LEFT JOIN charities c ON d.charity_id = c.id
+      WHERE d.user_id = ? AND strftime('%Y', d.date) = ?
+        AND d.type IN ('items', 'stock', 'crypto')
+        AND d.deductibility_flag IS NULL
+      ORDER BY d.date ASC
     `).bind(session.user_id, year).all();
 
-    const yearTotal = await env.DB.prepare(`
+    const form = buildForm8283(donations.results || [], year);
+
+    if (format === 'pdf') {
+      const pdf = renderForm8283Pdf(form, session);
+      return fileResponse(pdf, `form-8283-${year}.pdf`, 'application/pdf');
+    }
+
+    return successResponse(form);
+
+  } catch (error) {
+    console.error('Get Form 8283 error:', error);
+    return errorResponse('Failed to generate Form 8283');
+  }
+}
+
+/**
+ * Get the user's stored AGI for each tax year
+ */
+async function handleGetAgi(request, env, session) {
+  try {
+    const years = await env.DB.prepare(`
+      SELECT tax_year, agi, updated_at
+      FROM user_tax_years
+      WHERE user_id = ?
+      ORDER BY tax_year DESC
+    `).bind(session.user_id).all();
+
+    return successResponse({
+      tax_years: years.results || []
+    });
+
+  } catch (error) {
+    console.error('Get AGI error:', error);
+    return errorResponse('Failed to retrieve AGI');
+  }
+}
+
+/**
+ * Store the user's AGI for a tax year
+ */
+async function handleSetAgi(request, env, session, taxYear) {
+  try {
+    const body = await request.json();
+    const agi = parseFloat(body.agi);
+
+    if (isNaN(agi) || agi < 0) {
+      return validationErrorResponse(['AGI must be a non-negative number']);
+    }
+
+    const existing = await env.DB.prepare(`
+      SELECT * FROM user_tax_years WHERE user_id = ? AND tax_year = ?
+    `).bind(session.user_id, taxYear).first();
+
+    if (existing) {
+      await env.DB.prepare(`
+        UPDATE user_tax_years SET agi = ?, updated_at = datetime("now")
+        WHERE id = ?
+      `).bind(agi, existing.id).run();
+    } else {
+      await env.DB.prepare(`
+        INSERT INTO user_tax_years (id, user_id, tax_year, agi)
+        VALUES (?, ?, ?, ?)
+      `).bind(uuidv4(), session.user_id, taxYear, agi).run();
+    }
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES (?, 'set_agi', 'user_tax_year', ?, ?, ?)
+    `).bind(
+      session.user_id,
+      taxYear.toString(),
+      existing ? JSON.stringify({ agi: existing.agi }) : null,
+      JSON.stringify({ agi })
+    ).run();
+
+    return successResponse({ tax_year: taxYear, agi }, 'AGI saved successfully');
+
+  } catch (error) {
+    console.error('Set AGI error:', error);
+    return errorResponse('Failed to save AGI');
+  }
+}
+
+/**
+ * Schedule A worksheet applying AGI percentage limits to a year's donations
+ */
+async function handleGetDeductionWorksheet(request, env, session) {
+  try {
+    const url = new URL(request.url);
+    const year = url.searchParams.get('year') || new Date().getFullYear().toString();
+
+    if (!/^\d{4}$/.test(year)) {
+      return validationErrorResponse(['Year must be in YYYY format']);
+    }
+
+    const ledger = await loadCarryforwardLedger(env, session.user_id, Math.max(parseInt(year), new Date().getFullYear()));
+    const worksheet = ledger.worksheets[parseInt(year)];
+
+    if (!worksheet) {
+      return errorResponse(`AGI for ${year} is required. Set it with PUT /api/donations/agi/${year}`, 400);
+    }
+
+    return successResponse({
+      tax_year: parseInt(year),
+      ...worksheet,
+      carryforward_balances: getCarryforwardBalances(ledger.entries, parseInt(year)),
+      years_missing_agi: ledger.yearsMissingAgi
+    });
+
+  } catch (error) {
+    console.error('Get deduction worksheet error:', error);
+    return errorResponse('Failed to generate deduction worksheet');
+  }
+}
+
+/**
+ * Get the user's carryforward ledger and balances
+ */
+async function handleGetCarryforwards(request, env, session) {
+  try {
+    const url = new URL(request.url);
+    const year = parseInt(url.searchParams.get('year') || new Date().getFullYear().toString());
+
+    if (isNaN(year)) {
+      return validationErrorResponse(['Year must be in YYYY format']);
+    }
+
+    const ledger = await loadCarryforwardLedger(env, session.user_id, Math.max(year, new Date().getFullYear()));
+
+    return successResponse({
+      as_of_year: year,
+      balances: getCarryforwardBalances(ledger.entries, year),
+      entries: ledger.entries,
+      years_missing_agi: ledger.yearsMissingAgi
+    });
+
+  } catch (error) {
+    console.error('Get carryforwards error:', error);
+    return errorResponse('Failed to retrieve carryforwards');
+  }
+}
+
+/**
+ * Update the written acknowledgment status for a donation
+ */
+async function handleUpdateAcknowledgment(request, env, session, donationId) {
+  try {
+    const donation = await env.DB.prepare(`
+      SELECT * FROM donations WHERE id = ? AND user_id = ?
+    `).bind(donationId, session.user_id).first();
+
+    if (!donation) {
+      return errorResponse('Donation not found', 404);
+    }
+
+    const body = await request.json();
+    const { status, file_id, received_date } = body;
+
+    // Validation
+    const errors = [];
+    if (!status || !ACKNOWLEDGMENT_STATUSES.includes(status)) {
+      errors.push('Acknowledgment status must be requested, received, or missing');
+    }
+    if (received_date && !isValidDate(received_date)) {
+      errors.push('Invalid received date');
+    }
+    if (file_id) {
+      const file = await env.DB.prepare(`
+        SELECT id FROM file_uploads WHERE id = ? AND user_id = ?
+      `).bind(file_id, session.user_id).first();
+
+      if (!file) errors.push('Acknowledgment file not found');
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const fileId = file_id !== undefined ? file_id : donation.acknowledgment_file_id;
+    const receivedDate = status === 'received'
+      ? (received_date || donation.acknowledgment_date || new Date().toISOString().split('T')[0])
+      : null;
+
+    await env.DB.prepare(`
+      UPDATE donations
+      SET acknowledgment_status = ?, acknowledgment_file_id = ?, acknowledgment_date = ?, updated_at = datetime("now")
+      WHERE id = ?
+    `).bind(status, fileId || null, receivedDate, donationId).run();
+
+    if (fileId) {
+      await env.DB.prepare(`
+        UPDATE file_uploads SET donation_id = ? WHERE id = ? AND user_id = ?
+      `).bind(donationId, fileId, session.user_id).run();
+    }
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES (?, 'update_acknowledgment', 'donation', ?, ?, ?)
+    `).bind(
+      session.user_id,
+      donationId,
+      JSON.stringify({
+        status: donation.acknowledgment_status,
+        file_id: donation.acknowledgment_file_id,
+        received_date: donation.acknowledgment_date
+      }),
+      JSON.stringify({ status, file_id: fileId, received_date: receivedDate })
+    ).run();
+
+    return successResponse({
+      donation_id: donationId,
+      acknowledgment_status: status,
+      acknowledgment_file_id: fileId || null,
+      acknowledgment_date: receivedDate
+    }, 'Acknowledgment updated successfully');
+
+  } catch (error) {
+    console.error('Update acknowledgment error:', error);
+    return errorResponse('Failed to update acknowledgment');
+  }
+}
+
+/**
+ * List every donation in a year that would fail IRS substantiation
+ * (flagged gifts are not deductible, so they need none)
+ */
+async function handleGetComplianceReport(request, env, session) {
+  try {
+    const url = new URL(request.url);
+    const year = url.searchParams.get('year') || new Date().getFullYear().toString();
+
+    if (!/^\d{4}$/.test(year)) {
+      return validationErrorResponse(['Year must be in YYYY format']);
+    }
+
+    const donations = await env.DB.prepare(`
       SELECT
-        COUNT(*) as total_donations,
-        SUM(tax_deductible_amount) as total_deductible,
-        SUM(COALESCE(capital_gains_avoided, 0)) as total_capital_gains_avoided
-      FROM donations
-      WHERE user_id = ? AND strftime('%Y', date) = ?
-    `).bind(session.user_id, year).first();
+        d.*,
+        c.name as charity_name,
+        c.ein as charity_ein
+      FROM donations d
+      LEFT JOIN charities c ON d.charity_id = c.id
+      WHERE d.user_id = ? AND strftime('%Y', d.date) = ? AND d.deductibility_flag IS NULL
+      ORDER BY d.date ASC
+    `).bind(session.user_id, year).all();
+
+    const failing = [];
+    for (const donation of donations.results || []) {
+      const issues = getSubstantiationIssues(donation);
+      if (issues.length > 0) {
+        failing.push({
+          donation_id: donation.id,
+          date: donation.date,
+          type: donation.type,
+          charity_name: donation.charity_name,
+          charity_ein: donation.charity_ein,
+          tax_deductible_amount: donation.tax_deductible_amount,
+          acknowledgment_status: donation.acknowledgment_status,
+          issues
+        });
+      }
+    }
 
     return successResponse({
       year: parseInt(year),
-      summary: summary.results || [],
-      totals: yearTotal
+      total_donations: (donations.results || []).length,
+      failing_count: failing.length,
+      amount_at_risk: failing.reduce((sum, item) => sum + (parseFloat(item.tax_deductible_amount) || 0), 0),
+      donations: failing
     });
 
   } catch (error) {
-    console.error('Get donation summary error:', error);
-    return errorResponse('Failed to retrieve donation summary');
+    console.error('Get compliance report error:', error);
+    return errorResponse('Failed to generate compliance report');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * List donations that may not be deductible: gifts to charities whose
+ * exemption was revoked, or that the IRS lists as not eligible for deductible gifts
+ */
+async function handleGetDeductibilityAlerts(request, env, session) {
+  try {
+    const url = new URL(request.url);
+    const year = url.searchParams.get('year');
+
+    if (year && !/^\d{4}$/.test(year)) {
+      return validationErrorResponse(['Year must be in YYYY format']);
+    }
+
+    let yearClause = '';
+    const params = [session.user_id];
+
+    if (year) {
+      yearClause = "AND strftime('%Y', d.date) = ?";
+      params.push(year);
+    }
+
+    const donations = await env.DB.prepare(`
+      SELECT
+        d.id, d.date, d.type, d.tax_deductible_amount, d.deductibility_flag, d.flagged_at,
+        c.name as charity_name,
+        c.ein as charity_ein,
+        c.deductibility_status,
+        c.revocation_date,
+        c.reinstatement_date
+      FROM donations d
+      JOIN charities c ON d.charity_id = c.id
+      WHERE d.user_id = ? ${yearClause}
+        AND d.deductibility_flag IS NOT NULL
+      ORDER BY d.date DESC
+    `).bind(...params).all();
+
+    const alerts = (donations.results || []).map(donation => ({
+      donation_id: donation.id,
+      date: donation.date,
+      type: donation.type,
+      charity_name: donation.charity_name,
+      charity_ein: donation.charity_ein,
+      tax_deductible_amount: donation.tax_deductible_amount,
+      reason: donation.deductibility_flag,
+      revocation_date: donation.revocation_date,
+      reinstatement_date: donation.reinstatement_date,
+      flagged_at: donation.flagged_at,
+      message: donation.deductibility_flag === REVOKED_CHARITY_FLAG
+        ? `${donation.charity_name}'s tax-exempt status was revoked effective ${donation.revocation_date}; ${EXCLUDED_GIFT_NOTE}`
+        : `${donation.charity_name} is not eligible to receive tax-deductible contributions according to IRS records; ${EXCLUDED_GIFT_NOTE}`
+    }));
+
+    return successResponse({
+      year: year ? parseInt(year) : null,
+      alert_count: alerts.length,
+      amount_at_risk: alerts.reduce((sum, alert) => sum + (parseFloat(alert.tax_deductible_amount) || 0), 0),
+      alerts
+    });
+
+  } catch (error) {
+    console.error('Get deductibility alerts error:', error);
+    return errorResponse('Failed to retrieve deductibility alerts');
+  }
+}
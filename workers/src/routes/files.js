@@ -53,6 +53,7 @@ async function handleFileUpload(request, env, session) {
     const formData = await request.formData();
     const file = formData.get('file');
     const donationId = formData.get('donation_id');
+    const purpose = formData.get('purpose') || 'receipt';
 
     if (!file) {
       return validationErrorResponse(['File is required']);
@@ -70,6 +71,10 @@ async function handleFileUpload(request, env, session) {
       return validationErrorResponse(['File type must be JPEG, PNG, or PDF']);
     }
 
+    if (!['receipt', 'acknowledgment'].includes(purpose)) {
+      return validationErrorResponse(['Purpose must be receipt or acknowledgment']);
+    }
+
     // Verify donation belongs to user if provided
     if (donationId) {
       const donation = await env.DB.prepare(`
@@ -111,8 +116,15 @@ async function handleFileUpload(request, env, session) {
       r2Key
     ).run();
 
-    // Update donation with receipt file if provided
-    if (donationId) {
+    // Update donation with receipt or acknowledgment file if provided
+    if (donationId && purpose === 'acknowledgment') {
+      await env.DB.prepare(`
+        UPDATE donations
+        SET acknowledgment_file_id = ?, acknowledgment_status = 'received',
+            acknowledgment_date = COALESCE(acknowledgment_date, date('now'))
+        WHERE id = ? AND user_id = ?
+      `).bind(fileId, donationId, session.user_id).run();
+    } else if (donationId) {
       await env.DB.prepare(`
         UPDATE donations SET receipt_file_id = ? WHERE id = ? AND user_id = ?
       `).bind(fileId, donationId, session.user_id).run();
@@ -129,7 +141,8 @@ async function handleFileUpload(request, env, session) {
         filename: file.name,
         size: file.size,
         type: file.type,
-        donation_id: donationId
+        donation_id: donationId,
+        purpose
       })
     ).run();
 
@@ -138,7 +151,8 @@ async function handleFileUpload(request, env, session) {
       filename: file.name,
       file_size: file.size,
       content_type: file.type,
-      donation_id: donationId
+      donation_id: donationId,
+      purpose
     }, 'File uploaded successfully', 201);
 
   } catch (error) {
@@ -206,6 +220,13 @@ async function handleDeleteFile(request, env, session, fileId) {
       UPDATE donations SET receipt_file_id = NULL WHERE receipt_file_id = ?
     `).bind(fileId).run();
 
+    // An acknowledgment without its document on file is no longer substantiated
+    await env.DB.prepare(`
+      UPDATE donations
+      SET acknowledgment_file_id = NULL, acknowledgment_status = 'missing', acknowledgment_date = NULL
+      WHERE acknowledgment_file_id = ?
+    `).bind(fileId).run();
+
     // Delete from database
     await env.DB.prepare(`
       DELETE FROM file_uploads WHERE id = ?
@@ -0,0 +1,345 @@
+/**
+ * Cost-basis lot routes for Cloudflare Workers
+ * Lots are consumed by stock and crypto donations (see lot_selection on POST /api/donations)
+ */
+
+import { validateSession, getSessionFromRequest } from '../utils/auth.js';
+import {
+  successResponse,
+  errorResponse,
+  validationErrorResponse,
+  unauthorizedResponse
+} from '../utils/response.js';
+import { isValidDate, sanitizeInput } from '../utils/validation.js';
+import { isLongTermHolding } from '../utils/deductions.js';
+import { roundQuantity } from '../utils/lots.js';
+import { roundCents } from '../utils/donationRecords.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const ASSET_CLASSES = ['stock', 'crypto'];
+
+/**
+ * Handle holdings and lot routes
+ */
+export async function handleHoldings(request, env, ctx) {
+  const url = new URL(request.url);
+  const path = url.pathname.replace('/api/holdings', '');
+  const method = request.method;
+
+  // All holdings routes require authentication
+  const sessionId = getSessionFromRequest(request);
+  const session = await validateSession(sessionId, env);
+
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  switch (true) {
+    case path === '' && method === 'GET':
+      return handleGetHoldings(request, env, session);
+
+    case path === '/lots' && method === 'GET':
+      return handleGetLots(request, env, session);
+
+    case path === '/lots' && method === 'POST':
+      return handleCreateLot(request, env, session);
+
+    case path.match(/^\/lots\/[a-f0-9-]+$/) && method === 'PUT':
+      return handleUpdateLot(request, env, session, path.split('/')[2]);
+
+    case path.match(/^\/lots\/[a-f0-9-]+$/) && method === 'DELETE':
+      return handleDeleteLot(request, env, session, path.split('/')[2]);
+
+    default:
+      return errorResponse('Not Found', 404);
+  }
+}
+
+/**
+ * Date a lot becomes long-term (held more than one year)
+ */
+function getLongTermDate(acquiredDate) {
+  const date = new Date(`${acquiredDate}T00:00:00Z`);
+  date.setUTCFullYear(date.getUTCFullYear() + 1);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get a lot owned by the current user
+ */
+async function getUserLot(env, session, lotId) {
+  return env.DB.prepare(`
+    SELECT * FROM cost_basis_lots WHERE id = ? AND user_id = ?
+  `).bind(lotId, session.user_id).first();
+}
+
+/**
+ * Summarize open holdings by symbol
+ */
+async function handleGetHoldings(request, env, session) {
+  try {
+    const holdings = await env.DB.prepare(`
+      SELECT
+        asset_class,
+        symbol,
+        COUNT(*) as lot_count,
+        SUM(remaining_quantity) as quantity,
+        SUM(cost_basis * remaining_quantity / quantity) as cost_basis,
+        MIN(acquired_date) as first_acquired
+      FROM cost_basis_lots
+      WHERE user_id = ? AND remaining_quantity > 0
+      GROUP BY asset_class, symbol
+      ORDER BY asset_class, symbol
+    `).bind(session.user_id).all();
+
+    return successResponse({
+      holdings: (holdings.results || []).map(holding => ({
+        ...holding,
+        quantity: roundQuantity(holding.quantity),
+        cost_basis: roundCents(holding.cost_basis)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get holdings error:', error);
+    return errorResponse('Failed to retrieve holdings');
+  }
+}
+
+/**
+ * List lots with their holding period as of a date (default today)
+ */
+async function handleGetLots(request, env, session) {
+  try {
+    const url = new URL(request.url);
+    const assetClass = url.searchParams.get('asset_class');
+    const symbol = url.searchParams.get('symbol')?.toUpperCase();
+    const asOf = url.searchParams.get('as_of') || new Date().toISOString().split('T')[0];
+    const includeClosed = url.searchParams.get('include_closed') === 'true';
+
+    if (!isValidDate(asOf)) {
+      return validationErrorResponse(['as_of must be a valid date']);
+    }
+
+    let whereClause = 'WHERE user_id = ?';
+    const params = [session.user_id];
+
+    if (assetClass && ASSET_CLASSES.includes(assetClass)) {
+      whereClause += ' AND asset_class = ?';
+      params.push(assetClass);
+    }
+
+    if (symbol) {
+      whereClause += ' AND symbol = ?';
+      params.push(symbol);
+    }
+
+    if (!includeClosed) {
+      whereClause += ' AND remaining_quantity > 0';
+    }
+
+    const lots = await env.DB.prepare(`
+      SELECT * FROM cost_basis_lots
+      ${whereClause}
+      ORDER BY symbol ASC, acquired_date ASC
+    `).bind(...params).all();
+
+    return successResponse({
+      as_of: asOf,
+      lots: (lots.results || []).map(lot => ({
+        ...lot,
+        holding_period: isLongTermHolding(lot.acquired_date, asOf) ? 'long' : 'short',
+        long_term_date: getLongTermDate(lot.acquired_date)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get lots error:', error);
+    return errorResponse('Failed to retrieve lots');
+  }
+}
+
+/**
+ * Record an acquisition lot
+ */
+async function handleCreateLot(request, env, session) {
+  try {
+    const body = await request.json();
+    const { asset_class, acquired_date, quantity, cost_basis, notes } = body;
+    const symbol = typeof body.symbol === 'string' ? body.symbol.trim().toUpperCase() : '';
+
+    // Validation
+    const errors = [];
+    if (!ASSET_CLASSES.includes(asset_class)) errors.push('Asset class must be stock or crypto');
+    if (!symbol) errors.push('Symbol is required');
+    if (!acquired_date || !isValidDate(acquired_date)) errors.push('Valid acquisition date is required');
+    if (!(parseFloat(quantity) > 0)) errors.push('Quantity must be greater than zero');
+    if (cost_basis === undefined || isNaN(parseFloat(cost_basis)) || parseFloat(cost_basis) < 0) {
+      errors.push('Cost basis must be zero or more');
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const lotId = uuidv4();
+    await env.DB.prepare(`
+      INSERT INTO cost_basis_lots (
+        id, user_id, asset_class, symbol, acquired_date, quantity, cost_basis, remaining_quantity, notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      lotId,
+      session.user_id,
+      asset_class,
+      symbol,
+      acquired_date,
+      parseFloat(quantity),
+      parseFloat(cost_basis),
+      parseFloat(quantity),
+      sanitizeInput(notes) || null
+    ).run();
+
+    const lot = await getUserLot(env, session, lotId);
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES (?, 'create_lot', 'cost_basis_lot', ?, ?)
+    `).bind(
+      session.user_id,
+      lotId,
+      JSON.stringify(lot)
+    ).run();
+
+    return successResponse(lot, 'Lot created successfully', 201);
+
+  } catch (error) {
+    console.error('Create lot error:', error);
+    return errorResponse('Failed to create lot');
+  }
+}
+
+/**
+ * Update a lot; lots already used by donations only allow note changes
+ */
+async function handleUpdateLot(request, env, session, lotId) {
+  try {
+    const lot = await getUserLot(env, session, lotId);
+
+    if (!lot) {
+      return errorResponse('Lot not found', 404);
+    }
+
+    const body = await request.json();
+    const { acquired_date, quantity, cost_basis, notes } = body;
+    const isUsed = parseFloat(lot.remaining_quantity) < parseFloat(lot.quantity);
+
+    // Validation
+    const errors = [];
+    if (isUsed && (acquired_date !== undefined || quantity !== undefined || cost_basis !== undefined)) {
+      errors.push('Lot has been used by a donation; delete those donations to change its date, quantity, or basis');
+    }
+    if (acquired_date !== undefined && !isValidDate(acquired_date)) errors.push('Invalid acquisition date');
+    if (quantity !== undefined && !(parseFloat(quantity) > 0)) errors.push('Quantity must be greater than zero');
+    if (cost_basis !== undefined && (isNaN(parseFloat(cost_basis)) || parseFloat(cost_basis) < 0)) {
+      errors.push('Cost basis must be zero or more');
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const params = [];
+
+    if (acquired_date !== undefined) {
+      updates.push('acquired_date = ?');
+      params.push(acquired_date);
+    }
+    if (quantity !== undefined) {
+      updates.push('quantity = ?', 'remaining_quantity = ?');
+      params.push(parseFloat(quantity), parseFloat(quantity));
+    }
+    if (cost_basis !== undefined) {
+      updates.push('cost_basis = ?');
+      params.push(parseFloat(cost_basis));
+    }
+    if (notes !== undefined) {
+      updates.push('notes = ?');
+      params.push(sanitizeInput(notes) || null);
+    }
+
+    if (updates.length === 0) {
+      return errorResponse('No updates provided', 400);
+    }
+
+    updates.push('updated_at = datetime("now")');
+    params.push(lotId);
+
+    await env.DB.prepare(`
+      UPDATE cost_basis_lots SET ${updates.join(', ')} WHERE id = ?
+    `).bind(...params).run();
+
+    const updatedLot = await getUserLot(env, session, lotId);
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES (?, 'update_lot', 'cost_basis_lot', ?, ?, ?)
+    `).bind(
+      session.user_id,
+      lotId,
+      JSON.stringify(lot),
+      JSON.stringify(updatedLot)
+    ).run();
+
+    return successResponse(updatedLot, 'Lot updated successfully');
+
+  } catch (error) {
+    console.error('Update lot error:', error);
+    return errorResponse('Failed to update lot');
+  }
+}
+
+/**
+ * Delete a lot that no donation has used
+ */
+async function handleDeleteLot(request, env, session, lotId) {
+  try {
+    const lot = await getUserLot(env, session, lotId);
+
+    if (!lot) {
+      return errorResponse('Lot not found', 404);
+    }
+
+    const usage = await env.DB.prepare(`
+      SELECT COUNT(*) as count FROM donation_lots WHERE lot_id = ?
+    `).bind(lotId).first();
+
+    if (usage.count > 0) {
+      return errorResponse('Lot has been used by a donation and cannot be deleted', 409);
+    }
+
+    await env.DB.prepare(`
+      DELETE FROM cost_basis_lots WHERE id = ?
+    `).bind(lotId).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values)
+      VALUES (?, 'delete_lot', 'cost_basis_lot', ?, ?)
+    `).bind(
+      session.user_id,
+      lotId,
+      JSON.stringify(lot)
+    ).run();
+
+    return successResponse(null, 'Lot deleted successfully');
+
+  } catch (error) {
+    console.error('Delete lot error:', error);
+    return errorResponse('Failed to delete lot');
+  }
+}
@@ -1,6 +1,8 @@
 /**
  * CSV Import routes for Cloudflare Workers
  * Handles annual item valuation updates from charity organizations
+ * and IRS charity data extracts (see charityImport.js); large files are
+ * imported in the background (see importJobs.js)
  */
 
 import { validateSession, getSessionFromRequest } from '../utils/auth.js';
@@ -11,7 +13,20 @@ import {
   unauthorizedResponse,
   forbiddenResponse
 } from '../utils/response.js';
-import { sanitizeInput } from '../utils/validation.js';
+import { readCsvRequest } from '../utils/csv.js';
+import { IN_FORCE_EDITIONS_SQL, getTaxYear, getEditionInForce } from '../utils/valuations.js';
+import {
+  validateValuationImportOptions,
+  parseValuationRows,
+  getBaseEdition,
+  diffValuationItems,
+  buildValuationInserts,
+  buildCarryForwardInsert,
+  getNextEditionVersion
+} from '../utils/valuationImport.js';
+import { handleCharityImport } from './charityImport.js';
+import { handleImportJobs } from './importJobs.js';
+import { v4 as uuidv4 } from 'uuid';
 
 /**
  * Handle import routes
@@ -37,85 +52,53 @@ export async function handleImport(request, env, ctx) {
     case path === '/item-valuations' && method === 'POST':
       return handleImportItemValuations(request, env, session);
 
+    case path === '/item-valuations/editions' && method === 'GET':
+      return handleGetValuationEditions(request, env, session);
+
+    case path.match(/^\/item-valuations\/editions\/[a-f0-9-]+\/rollback$/) && method === 'POST':
+      return handleRollbackValuationEdition(request, env, session, path.split('/')[3]);
+
     case path === '/preview' && method === 'POST':
       return handlePreviewImport(request, env, session);
 
     case path === '/sources' && method === 'GET':
       return handleGetImportSources(request, env, session);
 
+    case path.startsWith('/charities/'):
+      return handleCharityImport(request, env, session, path);
+
+    case path === '/jobs' || path.startsWith('/jobs/'):
+      return handleImportJobs(request, env, session, path);
+
     default:
       return errorResponse('Not Found', 404);
   }
 }
 
 /**
- * Import item valuations from CSV data
+ * Import item valuations from CSV data as a new guide edition for a source and tax year.
+ * Unless replace_existing is set, items missing from the CSV are carried forward
+ * from the edition in force for that year. The edition and all of its items are
+ * written in one D1 batch, so a failed import leaves no partial guide behind.
  */
 async function handleImportItemValuations(request, env, session) {
   try {
-    const body = await request.json();
-    const { csv_data, source, replace_existing = false } = body;
+    const { options, rows } = await readCsvRequest(request);
+    const { replace_existing = false } = options;
 
-    if (!csv_data || !source) {
+    if (!rows || !options.source) {
       return validationErrorResponse(['CSV data and source are required']);
     }
 
-    // Validate source
-    const validSources = ['goodwill', 'salvation_army', 'manual'];
-    if (!validSources.includes(source)) {
-      return validationErrorResponse(['Invalid source. Must be: goodwill, salvation_army, or manual']);
-    }
-
-    // Parse CSV data
-    const lines = csv_data.trim().split('\n');
-    if (lines.length < 2) {
-      return validationErrorResponse(['CSV must contain header row and at least one data row']);
+    const { source, taxYear, errors: optionErrors } = validateValuationImportOptions(options);
+    if (optionErrors.length > 0) {
+      return validationErrorResponse(optionErrors);
     }
 
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+    const { headers, items, errors } = await parseValuationRows(rows);
 
-    // Validate required headers
-    const requiredHeaders = ['category', 'item_name'];
-    const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
-    if (missingHeaders.length > 0) {
-      return validationErrorResponse([`Missing required headers: ${missingHeaders.join(', ')}`]);
-    }
-
-    // Parse data rows
-    const items = [];
-    const errors = [];
-
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(',').map(v => v.trim());
-
-      if (values.length !== headers.length) {
-        errors.push(`Row ${i + 1}: Column count mismatch`);
-        continue;
-      }
-
-      const item = {};
-      headers.forEach((header, index) => {
-        item[header] = values[index];
-      });
-
-      // Validate required fields
-      if (!item.category || !item.item_name) {
-        errors.push(`Row ${i + 1}: Missing required fields (category, item_name)`);
-        continue;
-      }
-
-      // Parse monetary values
-      const conditionGood = parseFloat(item.condition_good) || null;
-      const conditionFair = parseFloat(item.condition_fair) || null;
-      const conditionPoor = parseFloat(item.condition_poor) || null;
-
-      items.push({
-        category: sanitizeInput(item.category),
-        item_name: sanitizeInput(item.item_name),
-        condition_good: conditionGood,
-        condition_fair: conditionFair,
-        condition_poor: conditionPoor
-      });
+    if (!headers) {
+      return validationErrorResponse(errors.length > 0 ? errors : ['CSV must contain header row and at least one data row']);
     }
 
     if (errors.length > 0) {
@@ -126,104 +109,74 @@ async function handleImportItemValuations(request, env, session) {
       return validationErrorResponse(['No valid items found in CSV']);
     }
 
-    // Begin transaction for database updates
-    let importedCount = 0;
-    let updatedCount = 0;
-    const currentDate = new Date().toISOString().split('T')[0];
-
-    try {
-      for (const item of items) {
-        if (replace_existing) {
-          // Replace existing item
-          const result = await env.DB.prepare(`
-            INSERT OR REPLACE INTO item_valuations (
-              category, item_name, condition_good, condition_fair, condition_poor,
-              source, last_updated
-            ) VALUES (?, ?, ?, ?, ?, ?, ?)
-          `).bind(
-            item.category,
-            item.item_name,
-            item.condition_good,
-            item.condition_fair,
-            item.condition_poor,
-            source,
-            currentDate
-          ).run();
-
-          importedCount++;
-        } else {
-          // Check if item exists
-          const existing = await env.DB.prepare(`
-            SELECT id FROM item_valuations
-            WHERE category = ? AND item_name = ? AND source = ?
-          `).bind(item.category, item.item_name, source).first();
-
-          if (existing) {
-            // Update existing item
-            await env.DB.prepare(`
-              UPDATE item_valuations
-              SET condition_good = ?, condition_fair = ?, condition_poor = ?, last_updated = ?
-              WHERE id = ?
-            `).bind(
-              item.condition_good,
-              item.condition_fair,
-              item.condition_poor,
-              currentDate,
-              existing.id
-            ).run();
-
-            updatedCount++;
-          } else {
-            // Insert new item
-            await env.DB.prepare(`
-              INSERT INTO item_valuations (
-                category, item_name, condition_good, condition_fair, condition_poor,
-                source, last_updated
-              ) VALUES (?, ?, ?, ?, ?, ?, ?)
-            `).bind(
-              item.category,
-              item.item_name,
-              item.condition_good,
-              item.condition_fair,
-              item.condition_poor,
-              source,
-              currentDate
-            ).run();
-
-            importedCount++;
-          }
-        }
-      }
-
-      // Audit log
-      await env.DB.prepare(`
-        INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
-        VALUES (?, 'import_item_valuations', 'item_valuations', ?, ?)
+    const baseEdition = await getBaseEdition(env, source, taxYear);
+    const diff = await diffValuationItems(env, baseEdition, items);
+    const carryForward = !!baseEdition && !replace_existing;
+    const carriedForwardCount = carryForward ? diff.missing.length : 0;
+    const importDate = new Date().toISOString().split('T')[0];
+
+    const editionId = uuidv4();
+    const version = await getNextEditionVersion(env, source, taxYear);
+
+    const result = {
+      source,
+      tax_year: taxYear,
+      version,
+      imported_count: diff.added.length,
+      updated_count: diff.changed.length + diff.unchanged.length,
+      changed_count: diff.changed.length,
+      carried_forward_count: carriedForwardCount,
+      removed_count: replace_existing ? diff.missing.length : 0,
+      total_items: items.length,
+      replace_existing
+    };
+
+    const statements = [
+      env.DB.prepare(`
+        INSERT INTO valuation_guide_editions (
+          id, source, tax_year, version, item_count, based_on_edition_id, imported_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
       `).bind(
-        session.user_id,
-        source,
-        JSON.stringify({
-          source,
-          imported_count: importedCount,
-          updated_count: updatedCount,
-          total_items: items.length,
-          replace_existing
-        })
-      ).run();
-
-      return successResponse({
+        editionId,
         source,
-        imported_count: importedCount,
-        updated_count: updatedCount,
-        total_processed: items.length,
-        last_updated: currentDate
-      }, 'Item valuations imported successfully');
+        taxYear,
+        version,
+        items.length + carriedForwardCount,
+        carryForward ? baseEdition.id : null,
+        session.user_id
+      ),
+      ...buildValuationInserts(env, editionId, source, items, importDate)
+    ];
+
+    if (carryForward && carriedForwardCount > 0) {
+      statements.push(buildCarryForwardInsert(env, editionId, baseEdition.id));
+    }
+
+    // Audit log
+    statements.push(env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES (?, 'import_item_valuations', 'valuation_guide_edition', ?, ?)
+    `).bind(
+      session.user_id,
+      editionId,
+      JSON.stringify(result)
+    ));
 
+    try {
+      await env.DB.batch(statements);
     } catch (dbError) {
       console.error('Database import error:', dbError);
       return errorResponse('Failed to import data to database');
     }
 
+    return successResponse({
+      edition_id: editionId,
+      based_on_edition_id: carryForward ? baseEdition.id : null,
+      ...result,
+      total_processed: items.length,
+      last_updated: importDate
+    }, 'Item valuations imported successfully');
+
   } catch (error) {
     console.error('Import error:', error);
     return errorResponse('Failed to import item valuations');
@@ -231,72 +184,159 @@ async function handleImportItemValuations(request, env, session) {
 }
 
 /**
- * Preview CSV import without saving to database
+ * List valuation guide editions, marking those in force today
  */
-async function handlePreviewImport(request, env, session) {
+async function handleGetValuationEditions(request, env, session) {
   try {
-    const body = await request.json();
-    const { csv_data, source } = body;
+    const url = new URL(request.url);
+    const source = url.searchParams.get('source');
+    const taxYear = url.searchParams.get('tax_year');
 
-    if (!csv_data || !source) {
-      return validationErrorResponse(['CSV data and source are required']);
+    let whereConditions = [];
+    const params = [getTaxYear()];
+
+    if (source) {
+      whereConditions.push('e.source = ?');
+      params.push(source);
+    }
+
+    if (taxYear) {
+      whereConditions.push('e.tax_year = ?');
+      params.push(parseInt(taxYear));
+    }
+
+    const editions = await env.DB.prepare(`
+      SELECT
+        e.*,
+        u.email as imported_by_email,
+        e.id IN (${IN_FORCE_EDITIONS_SQL}) as in_force
+      FROM valuation_guide_editions e
+      LEFT JOIN users u ON e.imported_by = u.id
+      ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}
+      ORDER BY e.source ASC, e.tax_year DESC, e.version DESC
+    `).bind(...params).all();
+
+    return successResponse({
+      editions: (editions.results || []).map(edition => ({
+        ...edition,
+        in_force: !!edition.in_force
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get valuation editions error:', error);
+    return errorResponse('Failed to retrieve valuation guide editions');
+  }
+}
+
+/**
+ * Roll back a bad guide import; the previous version for its source and tax year
+ * comes back into force. Donations keep the valuation snapshots they were saved with.
+ */
+async function handleRollbackValuationEdition(request, env, session, editionId) {
+  try {
+    const edition = await env.DB.prepare(`
+      SELECT * FROM valuation_guide_editions WHERE id = ?
+    `).bind(editionId).first();
+
+    if (!edition) {
+      return errorResponse('Valuation guide edition not found', 404);
     }
 
-    // Parse CSV data
-    const lines = csv_data.trim().split('\n');
-    if (lines.length < 2) {
-      return validationErrorResponse(['CSV must contain header row and at least one data row']);
+    if (edition.status !== 'active') {
+      return errorResponse('Only active editions can be rolled back', 400);
     }
 
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+    await env.DB.prepare(`
+      UPDATE valuation_guide_editions
+      SET status = 'rolled_back', rolled_back_by = ?, rolled_back_at = datetime("now")
+      WHERE id = ?
+    `).bind(session.user_id, editionId).run();
+
+    // Donations valued with this edition, which may need reviewing
+    const affected = await env.DB.prepare(`
+      SELECT COUNT(*) as count FROM donations d
+      WHERE d.type = 'items' AND EXISTS (
+        SELECT 1 FROM json_each(d.metadata, '$.items') i
+        WHERE json_extract(i.value, '$.valuation.editionId') = ?
+      )
+    `).bind(editionId).first();
+
+    const inForce = await getEditionInForce(env, edition.source, edition.tax_year);
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES (?, 'rollback_item_valuations', 'valuation_guide_edition', ?, ?, ?)
+    `).bind(
+      session.user_id,
+      editionId,
+      JSON.stringify({ status: edition.status }),
+      JSON.stringify({ status: 'rolled_back', in_force_edition_id: inForce?.id || null })
+    ).run();
 
-    // Parse first 10 rows for preview
-    const previewItems = [];
-    const errors = [];
-    const maxPreview = Math.min(11, lines.length); // Header + 10 data rows
+    return successResponse({
+      edition_id: editionId,
+      source: edition.source,
+      tax_year: edition.tax_year,
+      version: edition.version,
+      in_force_edition: inForce,
+      affected_donations: affected.count
+    }, 'Valuation guide edition rolled back');
 
-    for (let i = 1; i < maxPreview; i++) {
-      const values = lines[i].split(',').map(v => v.trim());
+  } catch (error) {
+    console.error('Rollback valuation edition error:', error);
+    return errorResponse('Failed to roll back valuation guide edition');
+  }
+}
 
-      if (values.length !== headers.length) {
-        errors.push(`Row ${i + 1}: Column count mismatch`);
-        continue;
-      }
+/**
+ * Preview CSV import without saving to database: a diff of the whole file
+ * against the guide edition the import would build on
+ */
+async function handlePreviewImport(request, env, session) {
+  try {
+    const { options, rows } = await readCsvRequest(request);
+    const { replace_existing = false } = options;
 
-      const item = {};
-      headers.forEach((header, index) => {
-        item[header] = values[index];
-      });
+    if (!rows || !options.source) {
+      return validationErrorResponse(['CSV data and source are required']);
+    }
 
-      previewItems.push(item);
+    const { source, taxYear, errors: optionErrors } = validateValuationImportOptions(options);
+    if (optionErrors.length > 0) {
+      return validationErrorResponse(optionErrors);
     }
 
-    // Check for existing items in database
-    const existingChecks = await Promise.all(
-      previewItems.slice(0, 5).map(async (item) => {
-        if (item.category && item.item_name) {
-          const existing = await env.DB.prepare(`
-            SELECT id FROM item_valuations
-            WHERE category = ? AND item_name = ? AND source = ?
-          `).bind(item.category, item.item_name, source).first();
-
-          return {
-            category: item.category,
-            item_name: item.item_name,
-            exists: !!existing
-          };
-        }
-        return null;
-      })
-    );
+    const { headers, items, errors } = await parseValuationRows(rows);
+
+    if (!headers) {
+      return validationErrorResponse(errors.length > 0 ? errors : ['CSV must contain header row and at least one data row']);
+    }
+
+    const baseEdition = await getBaseEdition(env, source, taxYear);
+    const diff = await diffValuationItems(env, baseEdition, items);
 
     return successResponse({
       headers,
-      preview_items: previewItems,
-      total_rows: lines.length - 1,
-      preview_count: previewItems.length,
-      errors: errors.slice(0, 10), // Limit error count
-      existing_items: existingChecks.filter(Boolean)
+      source,
+      tax_year: taxYear,
+      base_edition: baseEdition,
+      total_rows: items.length,
+      summary: {
+        new: diff.added.length,
+        changed: diff.changed.length,
+        unchanged: diff.unchanged.length,
+        removed: replace_existing ? diff.missing.length : 0,
+        carried_forward: replace_existing ? 0 : diff.missing.length,
+        errors: errors.length
+      },
+      new_items: diff.added,
+      changed_items: diff.changed,
+      unchanged_items: diff.unchanged,
+      removed_items: replace_existing ? diff.missing : [],
+      carried_forward_items: replace_existing ? [] : diff.missing,
+      errors
     }, 'CSV preview generated successfully');
 
   } catch (error) {
@@ -306,24 +346,30 @@ async function handlePreviewImport(request, env, session) {
 }
 
 /**
- * Get available import sources and their last update dates
+ * Get available import sources with the guide edition in force for each
  */
 async function handleGetImportSources(request, env, session) {
   try {
     const sources = await env.DB.prepare(`
       SELECT
-        source,
+        v.source,
+        e.id as edition_id,
+        e.tax_year,
+        e.version,
         COUNT(*) as item_count,
-        MAX(last_updated) as last_updated,
-        COUNT(DISTINCT category) as category_count
-      FROM item_valuations
-      GROUP BY source
+        MAX(v.last_updated) as last_updated,
+        COUNT(DISTINCT v.category) as category_count
+      FROM item_valuations v
+      JOIN valuation_guide_editions e ON v.edition_id = e.id
+      WHERE v.edition_id IN (${IN_FORCE_EDITIONS_SQL})
+      GROUP BY v.source, e.id
       ORDER BY last_updated DESC
-    `).all();
+    `).bind(getTaxYear()).all();
 
     const totalItems = await env.DB.prepare(`
       SELECT COUNT(*) as total FROM item_valuations
-    `).first();
+      WHERE edition_id IN (${IN_FORCE_EDITIONS_SQL})
+    `).bind(getTaxYear()).first();
 
     return successResponse({
       sources: sources.results || [],
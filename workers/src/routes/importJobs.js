@@ -0,0 +1,829 @@
+/**
+ * Background import job routes for Cloudflare Workers
+ * Mounted under /api/import/jobs by handleImport (admin only)
+ * Files too large to import in one request are uploaded once to R2, then imported
+ * in chunks of JOB_CHUNK_ROWS rows by the import queue consumer, or by the
+ * scheduled handler when no queue is bound. Each chunk records the byte offset
+ * the next one starts at, so a chunk reads only its own part of the file.
+ */
+
+import { successResponse, errorResponse, validationErrorResponse, fileResponse } from '../utils/response.js';
+import { createCsvParser, parseCsvStream, formatCsvRow } from '../utils/csv.js';
+import { isHeaderRow } from '../utils/irs.js';
+import { groupRows, valuesPlaceholders } from '../utils/d1.js';
+import {
+  validateValuationImportOptions,
+  itemKey,
+  parseValuationHeaders,
+  parseValuationRow,
+  getBaseEdition,
+  buildValuationInserts,
+  buildCarryForwardInsert,
+  getNextEditionVersion
+} from '../utils/valuationImport.js';
+import { importCharityRows, importRevocationRows } from './charityImport.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Cron trigger that picks up import jobs (see wrangler.toml)
+export const IMPORT_JOBS_CRON = '*/5 * * * *';
+
+const IMPORT_TYPES = ['item_valuations', 'bmf', 'pub78', 'revocations'];
+
+const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
+
+// request.formData() holds the whole upload in memory; larger files are sent as a raw text/csv body
+const MAX_MULTIPART_FILE_SIZE = 20 * 1024 * 1024; // 20MB
+const MULTIPART_SIZE_ERROR = 'Multipart uploads must be less than 20MB; send larger files as a text/csv body with a Content-Length';
+
+// Rows imported per chunk, to stay within Worker CPU limits
+const JOB_CHUNK_ROWS = 5000;
+
+// Chunks imported per invocation before the job is handed back to the queue
+const CHUNKS_PER_RUN = 5;
+
+// A worker that holds a job longer than this is assumed to have died
+const LOCK_MINUTES = 10;
+
+// Failed attempts at the same chunk before the job fails
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Handle /api/import/jobs routes
+ */
+export async function handleImportJobs(request, env, session, path) {
+  const method = request.method;
+
+  switch (true) {
+    case path === '/jobs' && method === 'POST':
+      return handleCreateImportJob(request, env, session);
+
+    case path === '/jobs' && method === 'GET':
+      return handleGetImportJobs(request, env);
+
+    case path.match(/^\/jobs\/[a-f0-9-]+$/) && method === 'GET':
+      return handleGetImportJob(request, env, path.split('/')[2]);
+
+    case path.match(/^\/jobs\/[a-f0-9-]+\/errors$/) && method === 'GET':
+      return handleGetImportJobErrors(request, env, path.split('/')[2]);
+
+    default:
+      return errorResponse('Not Found', 404);
+  }
+}
+
+/**
+ * Read a boolean option sent as a form field or query parameter
+ */
+function parseBooleanOption(value, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  return value === true || value === 'true';
+}
+
+/**
+ * Validate the options of a new job, keeping those its import type uses
+ * @returns {{ options: Object, errors: Array<string> }}
+ */
+function validateJobOptions(importType, fields) {
+  if (!IMPORT_TYPES.includes(importType)) {
+    return { options: {}, errors: [`Import type must be one of: ${IMPORT_TYPES.join(', ')}`] };
+  }
+
+  if (importType === 'item_valuations') {
+    const { source, taxYear, errors } = validateValuationImportOptions(fields);
+    return {
+      options: {
+        source,
+        tax_year: taxYear,
+        replace_existing: parseBooleanOption(fields.replace_existing, false)
+      },
+      errors
+    };
+  }
+
+  if (importType === 'revocations') {
+    return { options: {}, errors: [] };
+  }
+
+  return {
+    options: { deductible_only: parseBooleanOption(fields.deductible_only, true) },
+    errors: []
+  };
+}
+
+/**
+ * Queue a job for the import queue consumer; without a queue the cron trigger picks it up
+ */
+async function enqueueImportJob(env, jobId) {
+  if (env.IMPORT_QUEUE) {
+    await env.IMPORT_QUEUE.send({ job_id: jobId });
+  }
+}
+
+/**
+ * Format a job row for responses
+ */
+function formatImportJob(job) {
+  return {
+    ...job,
+    options: job.options ? JSON.parse(job.options) : {},
+    csv_headers: job.csv_headers ? JSON.parse(job.csv_headers) : null,
+    result: job.result ? JSON.parse(job.result) : null,
+    // Percent of the file's bytes imported
+    progress: job.status === 'completed' ? 100 : Math.min(99, Math.floor((job.byte_offset / job.file_size) * 100))
+  };
+}
+
+/**
+ * Upload a CSV to R2 and create an import job for it.
+ * The file is a multipart `file` field with options as form fields, or a raw
+ * text/csv body with options in the query string.
+ */
+async function handleCreateImportJob(request, env, session) {
+  try {
+    const contentType = request.headers.get('Content-Type') || '';
+    const fields = {};
+    let body;
+    let filename;
+    let fileSize;
+
+    if (contentType.includes('multipart/form-data')) {
+      if (parseInt(request.headers.get('Content-Length')) > MAX_MULTIPART_FILE_SIZE) {
+        return validationErrorResponse([MULTIPART_SIZE_ERROR]);
+      }
+
+      const formData = await request.formData();
+      const file = formData.get('file');
+
+      if (!file || typeof file === 'string') {
+        return validationErrorResponse(['File is required']);
+      }
+      if (file.size > MAX_MULTIPART_FILE_SIZE) {
+        return validationErrorResponse([MULTIPART_SIZE_ERROR]);
+      }
+
+      for (const [key, value] of formData) {
+        if (key !== 'file') fields[key] = value;
+      }
+      // R2 needs the length up front, which a File has and its stream() does not
+      body = file;
+      filename = file.name;
+      fileSize = file.size;
+    } else {
+      for (const [key, value] of new URL(request.url).searchParams) {
+        fields[key] = value;
+      }
+      body = request.body;
+      filename = fields.filename || null;
+      fileSize = parseInt(request.headers.get('Content-Length'));
+
+      if (!body || !(fileSize > 0)) {
+        return validationErrorResponse(['File is required, as a multipart upload or a text/csv body with a Content-Length']);
+      }
+    }
+
+    const importType = fields.import_type;
+    const { options, errors } = validateJobOptions(importType, fields);
+
+    if (fileSize > MAX_FILE_SIZE) {
+      errors.push('File size must be less than 100MB');
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const jobId = uuidv4();
+    const r2Key = `imports/${jobId}.csv`;
+
+    // Upload to R2
+    await env.BUCKET.put(r2Key, body, {
+      httpMetadata: {
+        contentType: 'text/csv',
+        contentDisposition: `attachment; filename="${filename || `${importType}.csv`}"`
+      }
+    });
+
+    await env.DB.prepare(`
+      INSERT INTO import_jobs (
+        id, import_type, options, original_filename, file_size, r2_key, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      jobId,
+      importType,
+      JSON.stringify(options),
+      filename,
+      fileSize,
+      r2Key,
+      session.user_id
+    ).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES (?, 'create_import_job', 'import_job', ?, ?)
+    `).bind(
+      session.user_id,
+      jobId,
+      JSON.stringify({ import_type: importType, filename, file_size: fileSize, ...options })
+    ).run();
+
+    await enqueueImportJob(env, jobId);
+
+    const job = await env.DB.prepare(`
+      SELECT * FROM import_jobs WHERE id = ?
+    `).bind(jobId).first();
+
+    return successResponse(formatImportJob(job), 'Import job created', 202);
+
+  } catch (error) {
+    console.error('Create import job error:', error);
+    return errorResponse('Failed to create import job');
+  }
+}
+
+/**
+ * List recent import jobs
+ */
+async function handleGetImportJobs(request, env) {
+  try {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status');
+    const importType = url.searchParams.get('import_type');
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), 200);
+
+    let whereConditions = [];
+    const params = [];
+
+    if (status) {
+      whereConditions.push('j.status = ?');
+      params.push(status);
+    }
+
+    if (importType) {
+      whereConditions.push('j.import_type = ?');
+      params.push(importType);
+    }
+
+    const jobs = await env.DB.prepare(`
+      SELECT j.*, u.email as created_by_email
+      FROM import_jobs j
+      LEFT JOIN users u ON j.created_by = u.id
+      ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}
+      ORDER BY j.created_at DESC
+      LIMIT ?
+    `).bind(...params, limit).all();
+
+    return successResponse({
+      jobs: (jobs.results || []).map(formatImportJob)
+    });
+
+  } catch (error) {
+    console.error('Get import jobs error:', error);
+    return errorResponse('Failed to retrieve import jobs');
+  }
+}
+
+/**
+ * Get a job's progress with its first row errors
+ */
+async function handleGetImportJob(request, env, jobId) {
+  try {
+    const job = await env.DB.prepare(`
+      SELECT j.*, u.email as created_by_email
+      FROM import_jobs j
+      LEFT JOIN users u ON j.created_by = u.id
+      WHERE j.id = ?
+    `).bind(jobId).first();
+
+    if (!job) {
+      return errorResponse('Import job not found', 404);
+    }
+
+    const errors = await env.DB.prepare(`
+      SELECT line, message FROM import_job_errors
+      WHERE job_id = ?
+      ORDER BY line ASC
+      LIMIT 50
+    `).bind(jobId).all();
+
+    return successResponse({
+      ...formatImportJob(job),
+      errors: errors.results || [],
+      error_report_url: job.error_count > 0 ? `/api/import/jobs/${jobId}/errors` : null
+    });
+
+  } catch (error) {
+    console.error('Get import job error:', error);
+    return errorResponse('Failed to retrieve import job');
+  }
+}
+
+/**
+ * Download every row error of a job as CSV
+ */
+async function handleGetImportJobErrors(request, env, jobId) {
+  try {
+    const job = await env.DB.prepare(`
+      SELECT id FROM import_jobs WHERE id = ?
+    `).bind(jobId).first();
+
+    if (!job) {
+      return errorResponse('Import job not found', 404);
+    }
+
+    const errors = await env.DB.prepare(`
+      SELECT line, message FROM import_job_errors
+      WHERE job_id = ?
+      ORDER BY line ASC
+    `).bind(jobId).all();
+
+    const lines = [
+      formatCsvRow(['line', 'message']),
+      ...(errors.results || []).map(error => formatCsvRow([error.line, error.message]))
+    ];
+
+    return fileResponse(`${lines.join('\r\n')}\r\n`, `import-${jobId}-errors.csv`, 'text/csv');
+
+  } catch (error) {
+    console.error('Get import job errors error:', error);
+    return errorResponse('Failed to retrieve import job errors');
+  }
+}
+
+/**
+ * Claim a job for one chunk
+ * @returns {Promise<boolean>} false when the job is finished or another worker holds it
+ */
+async function claimImportJob(env, jobId) {
+  const claimed = await env.DB.prepare(`
+    UPDATE import_jobs
+    SET
+      status = 'processing',
+      locked_until = datetime('now', '+${LOCK_MINUTES} minutes'),
+      started_at = COALESCE(started_at, datetime('now')),
+      updated_at = datetime('now')
+    WHERE id = ? AND (
+      status = 'pending' OR (status = 'processing' AND locked_until < datetime('now'))
+    )
+  `).bind(jobId).run();
+
+  return claimed.meta?.changes > 0;
+}
+
+/**
+ * Read up to `limit` data rows of a job's file. The stream starts at the job's
+ * byte_offset once the job has started, or at the top of the file before.
+ * @returns {Promise<{ headers: Array<string> | null, rows: Array, next: { offset: number, line: number } | null, delimiter: string }>}
+ *   next is where the following data row starts, or null at the end of the file
+ */
+async function readJobRows(job, stream, limit) {
+  const started = !!job.csv_delimiter;
+  const hasHeaderRow = job.import_type === 'item_valuations';
+  const parser = started
+    ? createCsvParser({ delimiter: job.csv_delimiter, line: job.next_line, offset: job.byte_offset })
+    : createCsvParser();
+  let headers = started && job.csv_headers ? JSON.parse(job.csv_headers) : null;
+  const rows = [];
+  let next = null;
+
+  for await (const row of parseCsvStream(stream, { parser })) {
+    if (hasHeaderRow && !headers) {
+      headers = row.values;
+      continue;
+    }
+
+    // IRS extracts may repeat their header at the top of each part
+    if (!hasHeaderRow && isHeaderRow(row.values)) continue;
+
+    if (rows.length === limit) {
+      next = { offset: row.offset, line: row.line };
+      break;
+    }
+    rows.push(row);
+  }
+
+  return { headers, rows, next, delimiter: parser.delimiter };
+}
+
+/**
+ * Build the statements recording row errors of a job
+ */
+function buildJobErrorInserts(env, jobId, errors) {
+  return groupRows(errors, 2, 1).map(group => env.DB.prepare(`
+    INSERT INTO import_job_errors (job_id, line, message)
+    SELECT ?, column1, column2
+    FROM (VALUES ${valuesPlaceholders(group.length, 2)})
+  `).bind(
+    jobId,
+    ...group.flatMap(error => [error.line, error.message])
+  ));
+}
+
+/**
+ * Build the statement recording a finished chunk and releasing the job
+ * @param {Object | null} next - Where the next chunk starts; null after the last chunk
+ */
+function buildProgressUpdate(env, job, processedRows, next, errorCount, result) {
+  return env.DB.prepare(`
+    UPDATE import_jobs
+    SET
+      status = 'pending',
+      processed_rows = ?,
+      byte_offset = ?,
+      next_line = ?,
+      error_count = error_count + ?,
+      result = ?,
+      attempts = 0,
+      locked_until = NULL,
+      updated_at = datetime('now')
+    WHERE id = ?
+  `).bind(
+    processedRows,
+    next ? next.offset : job.file_size,
+    next ? next.line : job.next_line,
+    errorCount,
+    JSON.stringify(result),
+    job.id
+  );
+}
+
+/**
+ * Fail a job, discarding the guide edition it was building
+ */
+async function failImportJob(env, job, message) {
+  const statements = [
+    env.DB.prepare(`
+      UPDATE import_jobs
+      SET
+        status = 'failed',
+        error_message = ?,
+        edition_id = NULL,
+        locked_until = NULL,
+        completed_at = datetime('now'),
+        updated_at = datetime('now')
+      WHERE id = ?
+    `).bind(message, job.id)
+  ];
+
+  if (job.edition_id) {
+    statements.push(
+      env.DB.prepare(`DELETE FROM item_valuations WHERE edition_id = ?`).bind(job.edition_id),
+      env.DB.prepare(`
+        DELETE FROM valuation_guide_editions WHERE id = ? AND status = 'importing'
+      `).bind(job.edition_id)
+    );
+  }
+
+  await env.DB.batch(statements);
+}
+
+/**
+ * Check a job's header and find its first data row before the first chunk,
+ * reading only as far as that row. Valuation jobs also create the guide edition
+ * they build, which stays out of lookups ('importing') until the last chunk is in.
+ */
+async function startImportJob(env, job, object) {
+  const { headers, rows, delimiter } = await readJobRows(job, object.body, 1);
+
+  if (job.import_type === 'item_valuations') {
+    const { error } = headers ? parseValuationHeaders(headers) : { error: null };
+    if (error || rows.length === 0) {
+      await failImportJob(env, job, error || 'CSV must contain header row and at least one data row');
+      return false;
+    }
+  } else if (rows.length === 0) {
+    await failImportJob(env, job, 'CSV must contain at least one data row');
+    return false;
+  }
+
+  const statements = [];
+  const result = {};
+
+  if (job.import_type === 'item_valuations') {
+    const { source, tax_year, replace_existing } = JSON.parse(job.options);
+    const baseEdition = await getBaseEdition(env, source, tax_year);
+    const editionId = uuidv4();
+
+    result.base_edition_id = baseEdition?.id || null;
+    job.edition_id = editionId;
+
+    statements.push(env.DB.prepare(`
+      INSERT INTO valuation_guide_editions (
+        id, source, tax_year, version, status, based_on_edition_id, imported_by
+      ) VALUES (?, ?, ?, ?, 'importing', ?, ?)
+    `).bind(
+      editionId,
+      source,
+      tax_year,
+      await getNextEditionVersion(env, source, tax_year),
+      baseEdition && !replace_existing ? baseEdition.id : null,
+      job.created_by
+    ));
+  }
+
+  statements.push(env.DB.prepare(`
+    UPDATE import_jobs
+    SET
+      status = 'pending',
+      byte_offset = ?,
+      next_line = ?,
+      csv_delimiter = ?,
+      csv_headers = ?,
+      edition_id = ?,
+      result = ?,
+      locked_until = NULL,
+      updated_at = datetime('now')
+    WHERE id = ?
+  `).bind(
+    rows[0].offset,
+    rows[0].line,
+    delimiter,
+    headers ? JSON.stringify(headers) : null,
+    job.edition_id,
+    JSON.stringify(result),
+    job.id
+  ));
+
+  await env.DB.batch(statements);
+  return true;
+}
+
+/**
+ * Import a chunk of guide items into the job's edition. The items, row errors
+ * and progress are written in one transaction, so a retried chunk is not counted twice.
+ */
+async function importValuationChunk(env, job, headers, rows, processedRows, next) {
+  const { source } = JSON.parse(job.options);
+  const { headers: columns } = parseValuationHeaders(headers);
+  const itemsByKey = new Map();
+  const errors = [];
+
+  for (const row of rows) {
+    const { item, error } = parseValuationRow(row, columns);
+
+    if (error) {
+      errors.push({ line: row.line, message: error });
+      continue;
+    }
+
+    itemsByKey.set(itemKey(item), item);
+  }
+
+  await env.DB.batch([
+    ...buildValuationInserts(env, job.edition_id, source, [...itemsByKey.values()], new Date().toISOString().split('T')[0]),
+    ...buildJobErrorInserts(env, job.id, errors),
+    buildProgressUpdate(env, job, processedRows, next, errors.length, JSON.parse(job.result))
+  ]);
+}
+
+/**
+ * Import a chunk of an IRS extract. Charity rows are upserted by EIN, so a chunk
+ * retried after its progress failed to save is imported again without harm.
+ */
+async function importCharityChunk(env, job, rows, processedRows, next) {
+  const options = {
+    ...JSON.parse(job.options),
+    chunk_index: Math.floor(job.processed_rows / JOB_CHUNK_ROWS),
+    job_id: job.id
+  };
+
+  const { result, errors } = job.import_type === 'revocations'
+    ? await importRevocationRows(env, job.created_by, rows, options)
+    : await importCharityRows(env, job.created_by, job.import_type, rows, options);
+
+  // Add the chunk's counts to the job totals
+  const totals = JSON.parse(job.result);
+  for (const [key, value] of Object.entries(result)) {
+    if (key.endsWith('_count') && key !== 'error_count') {
+      totals[key] = (totals[key] || 0) + value;
+    }
+  }
+
+  await env.DB.batch([
+    ...buildJobErrorInserts(env, job.id, errors),
+    buildProgressUpdate(env, job, processedRows, next, errors.length, totals)
+  ]);
+}
+
+/**
+ * Finish a valuation job: carry forward items the file left out and put the
+ * edition in force. A file with row errors is rejected as a whole, as in a
+ * direct import, and its edition is discarded.
+ */
+async function completeValuationJob(env, job) {
+  if (job.error_count > 0) {
+    await failImportJob(env, job, `${job.error_count} rows could not be imported; download the error report for details`);
+    return;
+  }
+
+  const { source, tax_year, replace_existing } = JSON.parse(job.options);
+  const { base_edition_id: baseEditionId } = JSON.parse(job.result);
+  const edition = await env.DB.prepare(`
+    SELECT * FROM valuation_guide_editions WHERE id = ?
+  `).bind(job.edition_id).first();
+
+  // Compare the imported items with the base edition
+  const counts = await env.DB.prepare(`
+    SELECT
+      COUNT(*) as total_items,
+      COALESCE(SUM(CASE WHEN p.id IS NULL THEN 1 ELSE 0 END), 0) as imported_count,
+      COALESCE(SUM(CASE WHEN p.id IS NOT NULL AND (
+        n.condition_good IS NOT p.condition_good OR
+        n.condition_fair IS NOT p.condition_fair OR
+        n.condition_poor IS NOT p.condition_poor
+      ) THEN 1 ELSE 0 END), 0) as changed_count
+    FROM item_valuations n
+    LEFT JOIN item_valuations p
+      ON p.edition_id = ? AND p.category = n.category AND p.item_name = n.item_name
+    WHERE n.edition_id = ?
+  `).bind(baseEditionId, job.edition_id).first();
+
+  if (counts.total_items === 0) {
+    await failImportJob(env, job, 'No valid items found in CSV');
+    return;
+  }
+
+  const missing = await env.DB.prepare(`
+    SELECT COUNT(*) as count FROM item_valuations p
+    WHERE p.edition_id = ? AND NOT EXISTS (
+      SELECT 1 FROM item_valuations n
+      WHERE n.edition_id = ? AND n.category = p.category AND n.item_name = p.item_name
+    )
+  `).bind(baseEditionId, job.edition_id).first();
+
+  const carryForward = !!baseEditionId && !replace_existing;
+  const result = {
+    source,
+    tax_year,
+    version: edition.version,
+    edition_id: job.edition_id,
+    based_on_edition_id: carryForward ? baseEditionId : null,
+    imported_count: counts.imported_count,
+    updated_count: counts.total_items - counts.imported_count,
+    changed_count: counts.changed_count,
+    carried_forward_count: carryForward ? missing.count : 0,
+    removed_count: replace_existing ? missing.count : 0,
+    total_items: counts.total_items,
+    replace_existing,
+    job_id: job.id
+  };
+
+  const statements = [];
+
+  if (carryForward && missing.count > 0) {
+    statements.push(buildCarryForwardInsert(env, job.edition_id, baseEditionId));
+  }
+
+  statements.push(
+    env.DB.prepare(`
+      UPDATE valuation_guide_editions
+      SET status = 'active', item_count = (SELECT COUNT(*) FROM item_valuations WHERE edition_id = ?)
+      WHERE id = ?
+    `).bind(job.edition_id, job.edition_id),
+    env.DB.prepare(`
+      UPDATE import_jobs
+      SET status = 'completed', result = ?, locked_until = NULL,
+          completed_at = datetime('now'), updated_at = datetime('now')
+      WHERE id = ?
+    `).bind(JSON.stringify(result), job.id),
+    // Audit log
+    env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES (?, 'import_item_valuations', 'valuation_guide_edition', ?, ?)
+    `).bind(job.created_by, job.edition_id, JSON.stringify(result))
+  );
+
+  await env.DB.batch(statements);
+}
+
+/**
+ * Mark a job finished once its last chunk is in
+ */
+async function completeImportJob(env, jobId) {
+  const job = await env.DB.prepare(`
+    SELECT * FROM import_jobs WHERE id = ?
+  `).bind(jobId).first();
+
+  if (job.import_type === 'item_valuations') {
+    await completeValuationJob(env, job);
+    return;
+  }
+
+  await env.DB.prepare(`
+    UPDATE import_jobs
+    SET status = 'completed', locked_until = NULL, completed_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ?
+  `).bind(jobId).run();
+}
+
+/**
+ * Import the next chunk of a job. A chunk that throws is retried by the next
+ * run, up to MAX_ATTEMPTS times, before the job fails.
+ * @returns {Promise<boolean>} true when the job has more to import
+ */
+export async function processImportJobChunk(env, jobId) {
+  if (!(await claimImportJob(env, jobId))) {
+    return false;
+  }
+
+  const job = await env.DB.prepare(`
+    SELECT * FROM import_jobs WHERE id = ?
+  `).bind(jobId).first();
+
+  try {
+    // A started job reads on from where its last chunk stopped
+    const started = !!job.csv_delimiter;
+    const object = await env.BUCKET.get(job.r2_key, started ? { range: { offset: job.byte_offset } } : {});
+
+    if (!object) {
+      await failImportJob(env, job, 'The uploaded file is no longer available');
+      return false;
+    }
+
+    if (!started) {
+      return await startImportJob(env, job, object);
+    }
+
+    const { headers, rows, next } = await readJobRows(job, object.body, JOB_CHUNK_ROWS);
+    const processedRows = job.processed_rows + rows.length;
+
+    if (rows.length > 0 && job.import_type === 'item_valuations') {
+      await importValuationChunk(env, job, headers, rows, processedRows, next);
+    } else if (rows.length > 0) {
+      await importCharityChunk(env, job, rows, processedRows, next);
+    }
+
+    if (rows.length > 0 && next) {
+      return true;
+    }
+
+    await completeImportJob(env, jobId);
+    return false;
+
+  } catch (error) {
+    console.error('Import job error:', error);
+    const attempts = job.attempts + 1;
+
+    if (attempts >= MAX_ATTEMPTS) {
+      await failImportJob(env, job, `Import stopped after ${attempts} failed attempts: ${error.message}`);
+      return false;
+    }
+
+    await env.DB.prepare(`
+      UPDATE import_jobs
+      SET status = 'pending', attempts = ?, error_message = ?, locked_until = NULL, updated_at = datetime('now')
+      WHERE id = ?
+    `).bind(attempts, error.message, jobId).run();
+    return true;
+  }
+}
+
+/**
+ * Import up to CHUNKS_PER_RUN chunks of a job
+ * @returns {Promise<boolean>} true when the job has more to import
+ */
+async function runImportJob(env, jobId) {
+  for (let i = 0; i < CHUNKS_PER_RUN; i++) {
+    if (!(await processImportJobChunk(env, jobId))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Import queue consumer: each message names a job, which is re-queued while it
+ * has more chunks to import
+ */
+export async function consumeImportQueue(batch, env) {
+  for (const message of batch.messages) {
+    try {
+      if (await runImportJob(env, message.body.job_id)) {
+        await enqueueImportJob(env, message.body.job_id);
+      }
+      message.ack();
+    } catch (error) {
+      console.error('Import queue error:', error);
+      message.retry();
+    }
+  }
+}
+
+/**
+ * Continue pending jobs and jobs whose worker died, for the cron trigger
+ * @returns {Promise<number>} Number of jobs worked on
+ */
+export async function processImportJobs(env) {
+  const jobs = await env.DB.prepare(`
+    SELECT id FROM import_jobs
+    WHERE status = 'pending' OR (status = 'processing' AND locked_until < datetime('now'))
+    ORDER BY created_at ASC
+    LIMIT 5
+  `).all();
+
+  for (const job of jobs.results || []) {
+    await runImportJob(env, job.id);
+  }
+
+  return (jobs.results || []).length;
+}
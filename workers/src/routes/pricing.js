@@ -1,10 +1,15 @@
 /**
  * External pricing APIs for stock and cryptocurrency data
  * Replicates the demo's pricing functionality with error handling
+ * Prices come from the provider layer in ../pricing (see PRICING_PROVIDERS)
  */
 
 import { validateSession, getSessionFromRequest } from '../utils/auth.js';
 import { successResponse, errorResponse, validationErrorResponse } from '../utils/response.js';
+import { isValidDate } from '../utils/validation.js';
+import { getCachedCurrentPrice, getCachedDailyPrices } from '../pricing/cache.js';
+import { getStockGiftDateValuation } from '../pricing/valuation.js';
+import { getCryptoAsset, searchCryptoAssets, roundCryptoPrice, OTHER_CRYPTO_SYMBOL } from '../utils/cryptoAssets.js';
 
 /**
  * Handle pricing API routes
@@ -21,6 +26,9 @@ export async function handlePricing(request, env, ctx) {
     case path === '/crypto' && method === 'GET':
       return handleGetCryptoPrice(request, env);
 
+    case path === '/crypto/assets' && method === 'GET':
+      return handleSearchCryptoAssets(request, env);
+
     default:
       return errorResponse('Not Found', 404);
   }
@@ -49,17 +57,39 @@ async function handleGetStockPrice(request, env) {
       return validationErrorResponse(['Stock symbol is required (e.g., AAPL)']);
     }
 
-    // Check if historical price is requested
+    // Historical valuation uses the IRS mean of the high and low on the gift date
     const requestDate = new Date(date);
     const today = new Date();
     const isHistorical = date && requestDate.toDateString() !== today.toDateString();
 
     if (isHistorical) {
-      return errorResponse('Historical stock prices require manual entry for this demo. Please enter the price from your broker or financial website.', 400);
+      if (!isValidDate(date)) {
+        return validationErrorResponse(['Date must be in YYYY-MM-DD format']);
+      }
+
+      if (requestDate > today) {
+        return validationErrorResponse(['Date cannot be in the future']);
+      }
+
+      const valuation = await getStockGiftDateValuation(symbol, date, env);
+
+      if (!valuation) {
+        return errorResponse(`Unable to fetch historical prices for ${symbol} on ${date}. Please enter the price from your broker statement.`, 400);
+      }
+
+      return successResponse({
+        symbol,
+        price: valuation.mean,
+        ...valuation,
+        note: valuation.is_trading_day
+          ? 'Mean of high and low on gift date'
+          : 'Average of means on nearest trading days before and after gift date'
+      }, `${symbol} FMV on ${date}: $${valuation.mean.toFixed(2)} per share`);
     }
 
-    // Try to fetch current price using multiple APIs (matching demo logic)
-    const price = await fetchStockPriceWithFallbacks(symbol, env);
+    // Try to fetch current price from each configured provider in turn
+    const quote = await getCachedCurrentPrice(env, 'stock', symbol);
+    const price = quote ? quote.price : null;
 
     if (price === null) {
       // Specific error message for symbols that don't work (like MSFT in demo)
@@ -75,7 +105,7 @@ async function handleGetStockPrice(request, env) {
       symbol,
       price: parseFloat(price.toFixed(2)),
       date: new Date().toISOString(),
-      source: 'yahoo_finance',
+      source: quote.source,
       note: 'Current market price'
     }, `Price updated: $${price.toFixed(2)} for ${symbol}`);
 
@@ -86,7 +116,7 @@ async function handleGetStockPrice(request, env) {
 }
 
 /**
- * Get cryptocurrency price using CoinGecko API
+ * Get cryptocurrency price for an asset in the crypto registry
  * Replicates demo's crypto pricing functionality
  */
 async function handleGetCryptoPrice(request, env) {
@@ -108,90 +138,57 @@ async function handleGetCryptoPrice(request, env) {
       return validationErrorResponse(['Cryptocurrency symbol is required (e.g., BTC)']);
     }
 
-    // Map symbols to CoinGecko IDs (matching demo)
-    const cryptoMap = {
-      'BTC': 'bitcoin',
-      'ETH': 'ethereum',
-      'ADA': 'cardano',
-      'SOL': 'solana',
-      'XRP': 'ripple',
-      'DOT': 'polkadot',
-      'AVAX': 'avalanche-2',
-      'MATIC': 'matic-network',
-      'LTC': 'litecoin',
-      'OTHER': null
-    };
-
-    const cryptoId = cryptoMap[symbol];
-    if (!cryptoId) {
-      if (symbol === 'OTHER') {
-        return errorResponse('Please select a specific cryptocurrency type for automatic pricing', 400);
-      }
-      return errorResponse(`Cryptocurrency ${symbol} not supported for automatic pricing. Please enter manually.`, 400);
+    if (symbol === OTHER_CRYPTO_SYMBOL) {
+      return errorResponse('Please select a specific cryptocurrency type for automatic pricing', 400);
     }
 
-    // Try to fetch price with caching (5-minute cache like demo)
-    const cacheKey = `crypto_price_${cryptoId}_${date || 'current'}`;
-    let cachedPrice = null;
-
-    try {
-      // Check cache first (using KV for 5-minute cache)
-      const cached = await env.SESSIONS.get(cacheKey);
-      if (cached) {
-        const { price, timestamp } = JSON.parse(cached);
-        const now = Date.now();
-        if (now - timestamp < 5 * 60 * 1000) { // 5 minutes
-          cachedPrice = price;
-        }
-      }
-    } catch (cacheError) {
-      console.warn('Cache read error:', cacheError);
+    const asset = await getCryptoAsset(env, symbol);
+    if (!asset) {
+      return validationErrorResponse([`${symbol} is not a supported cryptocurrency. Search /api/pricing/crypto/assets or choose OTHER.`]);
     }
 
-    let price = cachedPrice;
+    // Determine if historical or current price
     let isHistorical = false;
+    if (date) {
+      const requestDate = new Date(date);
+      const today = new Date();
+      isHistorical = requestDate.toDateString() !== today.toDateString();
+    }
 
-    if (!price) {
-      // Determine if historical or current price
-      if (date) {
-        const requestDate = new Date(date);
-        const today = new Date();
-        isHistorical = requestDate.toDateString() !== today.toDateString();
-      }
+    if (isHistorical && !isValidDate(date)) {
+      return validationErrorResponse(['Date must be in YYYY-MM-DD format']);
+    }
 
-      if (isHistorical) {
-        // Historical price from CoinGecko
-        price = await fetchHistoricalCryptoPrice(cryptoId, date);
-      } else {
-        // Current price from CoinGecko
-        price = await fetchCurrentCryptoPrice(cryptoId);
-      }
+    // Prices are cached in D1: historical days permanently, current prices with a TTL
+    let price = null;
+    let source = null;
 
-      // Cache the result for 5 minutes
-      if (price) {
-        try {
-          await env.SESSIONS.put(cacheKey, JSON.stringify({
-            price,
-            timestamp: Date.now()
-          }), { expirationTtl: 300 }); // 5 minutes
-        } catch (cacheError) {
-          console.warn('Cache write error:', cacheError);
-        }
-      }
+    if (isHistorical) {
+      const history = await getCachedDailyPrices(env, 'crypto', symbol, date, date);
+      price = history?.days[0]?.close ?? null;
+      source = history?.source ?? null;
+    } else {
+      const quote = await getCachedCurrentPrice(env, 'crypto', symbol);
+      price = quote?.price ?? null;
+      source = quote?.source ?? null;
     }
 
     if (price === null) {
-      return errorResponse(`Unable to fetch ${symbol} price. CoinGecko API may be unavailable. Please enter manually.`, 400);
+      return errorResponse(`Unable to fetch ${symbol} price. It may not be supported for automatic pricing or pricing APIs may be unavailable. Please enter manually.`, 400);
     }
 
+    const rounded = roundCryptoPrice(price, asset.decimals);
+
     return successResponse({
       symbol,
-      price: parseFloat(price.toFixed(2)),
+      name: asset.name,
+      price: rounded,
+      decimals: asset.decimals,
       date: date || new Date().toISOString(),
-      source: 'coingecko',
+      source,
       isHistorical,
       note: isHistorical ? 'Historical price' : 'Current market price'
-    }, `${symbol} price: $${price.toFixed(2)}`);
+    }, `${symbol} price: $${rounded}`);
 
   } catch (error) {
     console.error('Crypto price error:', error);
@@ -200,122 +197,27 @@ async function handleGetCryptoPrice(request, env) {
 }
 
 /**
- * Fetch stock price with multiple fallback APIs (matching demo behavior)
- */
-async function fetchStockPriceWithFallbacks(symbol, env) {
-  // API configurations (matching demo)
-  const apis = [
-    {
-      name: 'Yahoo Finance Proxy',
-      url: `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`,
-      parseResponse: (data) => {
-        const result = data?.chart?.result?.[0];
-        const price = result?.meta?.regularMarketPrice;
-        return price && !isNaN(price) ? parseFloat(price) : null;
-      }
-    }
-  ];
-
-  // Try each API in sequence
-  for (const api of apis) {
-    try {
-      console.log(`Attempting ${api.name} for ${symbol}`);
-
-      const response = await fetch(api.url, {
-        headers: {
-          'User-Agent': 'Charity-Tracker/1.0',
-          'Accept': 'application/json'
-        },
-        // Add timeout to prevent hanging
-        signal: AbortSignal.timeout(5000)
-      });
-
-      if (!response.ok) {
-        console.warn(`${api.name} failed with status:`, response.status);
-        continue;
-      }
-
-      const data = await response.json();
-      const price = api.parseResponse(data);
-
-      if (price && price > 0) {
-        console.log(`${api.name} success: $${price} for ${symbol}`);
-        return price;
-      } else {
-        console.warn(`${api.name} returned invalid price for ${symbol}:`, price);
-      }
-    } catch (error) {
-      console.warn(`${api.name} error for ${symbol}:`, error.message);
-      continue;
-    }
-  }
-
-  // All APIs failed
-  console.error(`All stock price APIs failed for ${symbol}`);
-  return null;
-}
-
-/**
- * Fetch current crypto price from CoinGecko
+ * Search the crypto asset registry for the donation form
  */
-async function fetchCurrentCryptoPrice(cryptoId) {
+async function handleSearchCryptoAssets(request, env) {
   try {
-    const response = await fetch(
-      `https://api.coingecko.com/api/v3/simple/price?ids=${cryptoId}&vs_currencies=usd`,
-      {
-        headers: {
-          'Accept': 'application/json'
-        },
-        signal: AbortSignal.timeout(5000)
-      }
-    );
+    const sessionId = getSessionFromRequest(request);
+    const session = await validateSession(sessionId, env);
 
-    if (!response.ok) {
-      throw new Error(`CoinGecko API error: ${response.status}`);
+    if (!session) {
+      return errorResponse('Authentication required', 401);
     }
 
-    const data = await response.json();
-    const price = data[cryptoId]?.usd;
-
-    return price && price > 0 ? price : null;
-  } catch (error) {
-    console.error(`CoinGecko current price error for ${cryptoId}:`, error);
-    return null;
-  }
-}
-
-/**
- * Fetch historical crypto price from CoinGecko
- */
-async function fetchHistoricalCryptoPrice(cryptoId, date) {
-  try {
-    // Format date for CoinGecko API (DD-MM-YYYY)
-    const dateObj = new Date(date);
-    const day = dateObj.getDate().toString().padStart(2, '0');
-    const month = (dateObj.getMonth() + 1).toString().padStart(2, '0');
-    const year = dateObj.getFullYear();
-    const formattedDate = `${day}-${month}-${year}`;
-
-    const response = await fetch(
-      `https://api.coingecko.com/api/v3/coins/${cryptoId}/history?date=${formattedDate}`,
-      {
-        headers: {
-          'Accept': 'application/json'
-        },
-        signal: AbortSignal.timeout(5000)
-      }
-    );
+    const url = new URL(request.url);
+    const query = url.searchParams.get('q') || '';
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '20'), 100);
 
-    if (!response.ok) {
-      throw new Error(`CoinGecko historical API error: ${response.status}`);
-    }
+    const assets = await searchCryptoAssets(env, query, limit);
 
-    const data = await response.json();
-    const price = data?.market_data?.current_price?.usd;
+    return successResponse({ assets });
 
-    return price && price > 0 ? price : null;
   } catch (error) {
-    console.error(`CoinGecko historical price error for ${cryptoId} on ${date}:`, error);
-    return null;
+    console.error('Crypto asset search error:', error);
+    return errorResponse('Failed to search cryptocurrencies');
   }
-}
\ No newline at end of file
+}
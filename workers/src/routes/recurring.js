@@ -0,0 +1,680 @@
+/**
+ * Recurring donation schedule routes for Cloudflare Workers
+ * Schedules are materialized into donation rows by the scheduled handler
+ */
+
+import { validateSession, getSessionFromRequest } from '../utils/auth.js';
+import {
+  successResponse,
+  errorResponse,
+  validationErrorResponse,
+  unauthorizedResponse
+} from '../utils/response.js';
+import {
+  isValidAmount,
+  isValidDate,
+  isValidDonationType,
+  validateDonationMetadata,
+  validateCryptoMetadata,
+  validateCryptoAmount,
+  validateItemValuations,
+  sanitizeInput
+} from '../utils/validation.js';
+import { canUserCreateDonation, isPaymentEnforcementEnabled } from '../utils/config.js';
+import { getDefaultAcknowledgmentStatus } from '../utils/substantiation.js';
+import { getDeductibilityFlag } from '../utils/revocation.js';
+import {
+  RECURRENCE_FREQUENCIES,
+  formatDate,
+  getOccurrencesBetween,
+  getNextOccurrence
+} from '../utils/recurrence.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// A new schedule may start at most this far in the past, which bounds the backfill
+const MAX_BACKFILL_DAYS = 366;
+
+// Occurrences created per schedule in one request or cron run; each costs a few
+// D1 queries, so anything left over is created by the next daily run
+const MAX_OCCURRENCES_PER_RUN = 60;
+
+/**
+ * Handle recurring donation routes
+ */
+export async function handleRecurring(request, env, ctx) {
+  const url = new URL(request.url);
+  const path = url.pathname.replace('/api/recurring', '');
+  const method = request.method;
+
+  // All recurring donation routes require authentication
+  const sessionId = getSessionFromRequest(request);
+  const session = await validateSession(sessionId, env);
+
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  switch (true) {
+    case path === '' && method === 'GET':
+      return handleGetSchedules(request, env, session);
+
+    case path === '' && method === 'POST':
+      return handleCreateSchedule(request, env, session);
+
+    case path.match(/^\/[a-f0-9-]+$/) && method === 'GET':
+      return handleGetSchedule(request, env, session, path.substring(1));
+
+    case path.match(/^\/[a-f0-9-]+$/) && method === 'PUT':
+      return handleUpdateSchedule(request, env, session, path.substring(1));
+
+    case path.match(/^\/[a-f0-9-]+$/) && method === 'DELETE':
+      return handleEndSchedule(request, env, session, path.substring(1));
+
+    case path.match(/^\/[a-f0-9-]+\/pause$/) && method === 'POST':
+      return handleSetScheduleStatus(request, env, session, path.split('/')[1], 'paused');
+
+    case path.match(/^\/[a-f0-9-]+\/resume$/) && method === 'POST':
+      return handleSetScheduleStatus(request, env, session, path.split('/')[1], 'active');
+
+    case path.match(/^\/[a-f0-9-]+\/skip$/) && method === 'POST':
+      return handleSkipOccurrence(request, env, session, path.split('/')[1]);
+
+    default:
+      return errorResponse('Not Found', 404);
+  }
+}
+
+/**
+ * Parse the skipped dates JSON column
+ */
+function getSkippedDates(schedule) {
+  try {
+    return schedule.skipped_dates ? JSON.parse(schedule.skipped_dates) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Load a schedule owned by the user
+ */
+async function getUserSchedule(env, session, scheduleId) {
+  return await env.DB.prepare(`
+    SELECT * FROM recurring_donations WHERE id = ? AND user_id = ?
+  `).bind(scheduleId, session.user_id).first();
+}
+
+/**
+ * Preview the next occurrences of a schedule
+ */
+function getUpcomingOccurrences(schedule, count = 5) {
+  if (schedule.status !== 'active' || !schedule.next_occurrence) return [];
+
+  const skipped = getSkippedDates(schedule);
+  const upcoming = [];
+  let from = schedule.next_occurrence;
+
+  while (upcoming.length < count) {
+    const date = getNextOccurrence(schedule, from);
+    if (!date) break;
+
+    upcoming.push({ date, skipped: skipped.includes(date) });
+
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    from = formatDate(next);
+  }
+
+  return upcoming;
+}
+
+/**
+ * Get user's recurring donation schedules
+ */
+async function handleGetSchedules(request, env, session) {
+  try {
+    const schedules = await env.DB.prepare(`
+      SELECT
+        r.*,
+        c.name as charity_name,
+        (SELECT COUNT(*) FROM donations d WHERE d.recurring_donation_id = r.id) as occurrence_count
+      FROM recurring_donations r
+      LEFT JOIN charities c ON r.charity_id = c.id
+      WHERE r.user_id = ?
+      ORDER BY r.status ASC, r.next_occurrence ASC
+    `).bind(session.user_id).all();
+
+    return successResponse({
+      schedules: schedules.results || []
+    });
+
+  } catch (error) {
+    console.error('Get recurring donations error:', error);
+    return errorResponse('Failed to retrieve recurring donations');
+  }
+}
+
+/**
+ * Create a recurring donation schedule
+ */
+async function handleCreateSchedule(request, env, session) {
+  try {
+    const body = await request.json();
+    const {
+      charity_id,
+      type = 'money',
+      amount,
+      frequency,
+      start_date,
+      end_date,
+      description,
+      metadata
+    } = body;
+
+    // Validation
+    const errors = [];
+    if (!charity_id) errors.push('Charity is required');
+    if (!isValidDonationType(type)) errors.push('Valid donation type is required');
+    if (!amount || !isValidAmount(amount)) errors.push('Valid amount is required');
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+      errors.push(`Frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+    }
+    if (!start_date || !isValidDate(start_date)) {
+      errors.push('Valid start date is required');
+    } else if (start_date < formatDate(new Date(Date.now() - MAX_BACKFILL_DAYS * 86400000))) {
+      errors.push('Start date can be at most one year in the past');
+    }
+    if (end_date && (!isValidDate(end_date) || end_date < start_date)) {
+      errors.push('End date must be a valid date on or after the start date');
+    }
+    if (metadata && !validateDonationMetadata(type, metadata)) {
+      errors.push('Invalid metadata for donation type');
+    } else if (type === 'crypto' && metadata && !(await validateCryptoMetadata(metadata, env))) {
+      errors.push('Cryptocurrency is not in the supported asset registry');
+    } else if (type === 'crypto' && metadata && !(await validateCryptoAmount(metadata, env))) {
+      errors.push('Cryptocurrency amount has more decimal places than the asset supports');
+    } else if (type === 'items' && metadata && !(await validateItemValuations(metadata, env))) {
+      errors.push('Item references a valuation that does not exist');
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    // Verify charity exists
+    const charity = await env.DB.prepare(`
+      SELECT id, name FROM charities WHERE id = ?
+    `).bind(charity_id).first();
+
+    if (!charity) {
+      return errorResponse('Charity not found', 404);
+    }
+
+    const scheduleId = uuidv4();
+    const nextOccurrence = getNextOccurrence({ start_date, end_date, frequency }, start_date);
+
+    await env.DB.prepare(`
+      INSERT INTO recurring_donations (
+        id, user_id, charity_id, type, amount, frequency, start_date, end_date,
+        next_occurrence, status, description, metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?)
+    `).bind(
+      scheduleId,
+      session.user_id,
+      charity_id,
+      type,
+      amount,
+      frequency,
+      start_date,
+      end_date || null,
+      nextOccurrence,
+      sanitizeInput(description) || null,
+      metadata ? JSON.stringify(metadata) : null
+    ).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES (?, 'create_recurring_donation', 'recurring_donation', ?, ?)
+    `).bind(
+      session.user_id,
+      scheduleId,
+      JSON.stringify({ type, amount, frequency, start_date, end_date, charity: charity.name })
+    ).run();
+
+    // Materialize any occurrences already due (e.g. a start date in the past)
+    await materializeSchedule(env, await getUserSchedule(env, session, scheduleId));
+
+    const schedule = await getUserSchedule(env, session, scheduleId);
+
+    return successResponse({
+      ...schedule,
+      upcoming: getUpcomingOccurrences(schedule)
+    }, 'Recurring donation created successfully', 201);
+
+  } catch (error) {
+    console.error('Create recurring donation error:', error);
+    return errorResponse('Failed to create recurring donation');
+  }
+}
+
+/**
+ * Get a recurring donation schedule with its history and upcoming occurrences
+ */
+async function handleGetSchedule(request, env, session, scheduleId) {
+  try {
+    const schedule = await getUserSchedule(env, session, scheduleId);
+
+    if (!schedule) {
+      return errorResponse('Recurring donation not found', 404);
+    }
+
+    const donations = await env.DB.prepare(`
+      SELECT id, date, tax_deductible_amount, created_at
+      FROM donations
+      WHERE recurring_donation_id = ? AND user_id = ?
+      ORDER BY date DESC
+    `).bind(scheduleId, session.user_id).all();
+
+    return successResponse({
+      ...schedule,
+      skipped_dates: getSkippedDates(schedule),
+      donations: donations.results || [],
+      upcoming: getUpcomingOccurrences(schedule)
+    });
+
+  } catch (error) {
+    console.error('Get recurring donation error:', error);
+    return errorResponse('Failed to retrieve recurring donation');
+  }
+}
+
+/**
+ * Edit a schedule; changes apply only to occurrences not yet created
+ */
+async function handleUpdateSchedule(request, env, session, scheduleId) {
+  try {
+    const schedule = await getUserSchedule(env, session, scheduleId);
+
+    if (!schedule) {
+      return errorResponse('Recurring donation not found', 404);
+    }
+
+    if (schedule.status === 'ended') {
+      return errorResponse('Recurring donation has ended', 400);
+    }
+
+    const body = await request.json();
+    const { charity_id, amount, frequency, end_date, description, metadata } = body;
+
+    // Validation
+    const errors = [];
+    if (charity_id && !(await env.DB.prepare('SELECT id FROM charities WHERE id = ?').bind(charity_id).first())) {
+      errors.push('Charity not found');
+    }
+    if (amount !== undefined && !isValidAmount(amount)) errors.push('Invalid amount');
+    if (frequency !== undefined && !RECURRENCE_FREQUENCIES.includes(frequency)) {
+      errors.push(`Frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+    }
+    if (end_date && (!isValidDate(end_date) || end_date < schedule.start_date)) {
+      errors.push('End date must be a valid date on or after the start date');
+    }
+    if (metadata && !validateDonationMetadata(schedule.type, metadata)) {
+      errors.push('Invalid metadata for donation type');
+    } else if (schedule.type === 'crypto' && metadata && !(await validateCryptoMetadata(metadata, env))) {
+      errors.push('Cryptocurrency is not in the supported asset registry');
+    } else if (schedule.type === 'crypto' && metadata && !(await validateCryptoAmount(metadata, env))) {
+      errors.push('Cryptocurrency amount has more decimal places than the asset supports');
+    } else if (schedule.type === 'items' && metadata && !(await validateItemValuations(metadata, env))) {
+      errors.push('Item references a valuation that does not exist');
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const params = [];
+    const updated = { ...schedule };
+
+    if (charity_id !== undefined) {
+      updates.push('charity_id = ?');
+      params.push(charity_id);
+    }
+    if (amount !== undefined) {
+      updates.push('amount = ?');
+      params.push(amount);
+    }
+    if (description !== undefined) {
+      updates.push('description = ?');
+      params.push(sanitizeInput(description));
+    }
+    if (metadata !== undefined) {
+      updates.push('metadata = ?');
+      params.push(JSON.stringify(metadata));
+    }
+    if (end_date !== undefined) {
+      updates.push('end_date = ?');
+      params.push(end_date || null);
+      updated.end_date = end_date || null;
+    }
+    if (frequency !== undefined && frequency !== schedule.frequency) {
+      // A new frequency restarts the cadence from the next pending occurrence
+      const restartDate = schedule.next_occurrence || formatDate(new Date());
+      updates.push('frequency = ?', 'start_date = ?');
+      params.push(frequency, restartDate);
+      updated.frequency = frequency;
+      updated.start_date = restartDate;
+    }
+
+    if (updates.length === 0) {
+      return errorResponse('No updates provided', 400);
+    }
+
+    // Recompute the next pending occurrence
+    const nextOccurrence = schedule.next_occurrence
+      ? getNextOccurrence(updated, schedule.next_occurrence)
+      : null;
+    updates.push('next_occurrence = ?');
+    params.push(nextOccurrence);
+
+    // An end date before the next occurrence leaves nothing to create, as in the materializer
+    if (!nextOccurrence) {
+      updates.push("status = 'ended'");
+    }
+
+    updates.push('updated_at = datetime("now")');
+    params.push(scheduleId);
+
+    await env.DB.prepare(`
+      UPDATE recurring_donations SET ${updates.join(', ')} WHERE id = ?
+    `).bind(...params).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES (?, 'update_recurring_donation', 'recurring_donation', ?, ?, ?)
+    `).bind(
+      session.user_id,
+      scheduleId,
+      JSON.stringify(schedule),
+      JSON.stringify(body)
+    ).run();
+
+    const result = await getUserSchedule(env, session, scheduleId);
+
+    return successResponse({
+      ...result,
+      upcoming: getUpcomingOccurrences(result)
+    }, 'Recurring donation updated successfully');
+
+  } catch (error) {
+    console.error('Update recurring donation error:', error);
+    return errorResponse('Failed to update recurring donation');
+  }
+}
+
+/**
+ * End a schedule; donations already created are kept
+ */
+async function handleEndSchedule(request, env, session, scheduleId) {
+  try {
+    const schedule = await getUserSchedule(env, session, scheduleId);
+
+    if (!schedule) {
+      return errorResponse('Recurring donation not found', 404);
+    }
+
+    await env.DB.prepare(`
+      UPDATE recurring_donations
+      SET status = 'ended', next_occurrence = NULL, updated_at = datetime("now")
+      WHERE id = ?
+    `).bind(scheduleId).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values)
+      VALUES (?, 'end_recurring_donation', 'recurring_donation', ?, ?)
+    `).bind(
+      session.user_id,
+      scheduleId,
+      JSON.stringify(schedule)
+    ).run();
+
+    return successResponse(null, 'Recurring donation ended successfully');
+
+  } catch (error) {
+    console.error('End recurring donation error:', error);
+    return errorResponse('Failed to end recurring donation');
+  }
+}
+
+/**
+ * Pause or resume a schedule
+ */
+async function handleSetScheduleStatus(request, env, session, scheduleId, status) {
+  try {
+    const schedule = await getUserSchedule(env, session, scheduleId);
+
+    if (!schedule) {
+      return errorResponse('Recurring donation not found', 404);
+    }
+
+    if (schedule.status === 'ended') {
+      return errorResponse('Recurring donation has ended', 400);
+    }
+
+    if (schedule.status === status) {
+      return errorResponse(`Recurring donation is already ${status}`, 400);
+    }
+
+    // Resuming does not back-fill occurrences missed while paused
+    let nextOccurrence = schedule.next_occurrence;
+    if (status === 'active') {
+      nextOccurrence = getNextOccurrence(schedule, formatDate(new Date()));
+    }
+
+    await env.DB.prepare(`
+      UPDATE recurring_donations
+      SET status = ?, next_occurrence = ?, updated_at = datetime("now")
+      WHERE id = ?
+    `).bind(status, nextOccurrence, scheduleId).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values)
+      VALUES (?, ?, 'recurring_donation', ?, ?, ?)
+    `).bind(
+      session.user_id,
+      status === 'paused' ? 'pause_recurring_donation' : 'resume_recurring_donation',
+      scheduleId,
+      JSON.stringify({ status: schedule.status }),
+      JSON.stringify({ status, next_occurrence: nextOccurrence })
+    ).run();
+
+    return successResponse({
+      id: scheduleId,
+      status,
+      next_occurrence: nextOccurrence
+    }, status === 'paused' ? 'Recurring donation paused' : 'Recurring donation resumed');
+
+  } catch (error) {
+    console.error('Set recurring donation status error:', error);
+    return errorResponse('Failed to update recurring donation status');
+  }
+}
+
+/**
+ * Skip (or un-skip) a single future occurrence
+ */
+async function handleSkipOccurrence(request, env, session, scheduleId) {
+  try {
+    const schedule = await getUserSchedule(env, session, scheduleId);
+
+    if (!schedule) {
+      return errorResponse('Recurring donation not found', 404);
+    }
+
+    const body = await request.json();
+    const { date, undo = false } = body;
+
+    if (!date || !isValidDate(date)) {
+      return validationErrorResponse(['Valid occurrence date is required']);
+    }
+
+    if (getNextOccurrence(schedule, date) !== date) {
+      return validationErrorResponse(['Date is not an occurrence of this schedule']);
+    }
+
+    if (schedule.next_occurrence === null || date < schedule.next_occurrence) {
+      return validationErrorResponse(['Only future occurrences can be skipped']);
+    }
+
+    const skipped = getSkippedDates(schedule).filter(skippedDate => skippedDate !== date);
+    if (!undo) skipped.push(date);
+    skipped.sort();
+
+    await env.DB.prepare(`
+      UPDATE recurring_donations SET skipped_dates = ?, updated_at = datetime("now") WHERE id = ?
+    `).bind(JSON.stringify(skipped), scheduleId).run();
+
+    // Audit log
+    await env.DB.prepare(`
+      INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+      VALUES (?, ?, 'recurring_donation', ?, ?)
+    `).bind(
+      session.user_id,
+      undo ? 'unskip_recurring_occurrence' : 'skip_recurring_occurrence',
+      scheduleId,
+      JSON.stringify({ date })
+    ).run();
+
+    return successResponse({
+      id: scheduleId,
+      skipped_dates: skipped
+    }, undo ? 'Occurrence restored' : 'Occurrence skipped');
+
+  } catch (error) {
+    console.error('Skip recurring occurrence error:', error);
+    return errorResponse('Failed to skip occurrence');
+  }
+}
+
+/**
+ * Create donation rows for the due occurrences of a schedule, at most
+ * MAX_OCCURRENCES_PER_RUN at a time
+ * @returns {number} Number of donations created
+ */
+async function materializeSchedule(env, schedule, today = formatDate(new Date())) {
+  if (!schedule || schedule.status !== 'active' || !schedule.next_occurrence || schedule.next_occurrence > today) {
+    return 0;
+  }
+
+  const skipped = getSkippedDates(schedule);
+  const dueDates = getOccurrencesBetween(schedule, schedule.next_occurrence, today).slice(0, MAX_OCCURRENCES_PER_RUN);
+  const charity = await env.DB.prepare(`
+    SELECT deductibility_status, revocation_date, reinstatement_date FROM charities WHERE id = ?
+  `).bind(schedule.charity_id).first();
+  let created = 0;
+  let lastProcessed = null;
+
+  for (const date of dueDates) {
+    if (!skipped.includes(date)) {
+      // Respect the free-tier donation limit
+      if (isPaymentEnforcementEnabled(env)) {
+        const user = await env.DB.prepare(`
+          SELECT u.*, (SELECT COUNT(*) FROM donations WHERE user_id = u.id) as donation_count
+          FROM users u WHERE u.id = ?
+        `).bind(schedule.user_id).first();
+
+        if (!user || !canUserCreateDonation(user, user.donation_count, env)) {
+          console.warn(`Recurring donation ${schedule.id} blocked by donation limit`);
+          break;
+        }
+      }
+
+      const donationId = uuidv4();
+      const deductibilityFlag = getDeductibilityFlag(charity, date);
+      const result = await env.DB.prepare(`
+        INSERT OR IGNORE INTO donations (
+          id, user_id, charity_id, type, date, tax_deductible_amount,
+          description, metadata, acknowledgment_status, recurring_donation_id,
+          deductibility_flag, flagged_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? IS NOT NULL THEN datetime('now') END)
+      `).bind(
+        donationId,
+        schedule.user_id,
+        schedule.charity_id,
+        schedule.type,
+        date,
+        schedule.amount,
+        schedule.description,
+        schedule.metadata,
+        getDefaultAcknowledgmentStatus(schedule.amount),
+        schedule.id,
+        deductibilityFlag,
+        deductibilityFlag
+      ).run();
+
+      // Occurrence already materialized (unique per schedule and date)
+      if (result.meta?.changes) {
+        // Audit log
+        await env.DB.prepare(`
+          INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+          VALUES (?, 'create_donation', 'donation', ?, ?)
+        `).bind(
+          schedule.user_id,
+          donationId,
+          JSON.stringify({
+            type: schedule.type,
+            amount: schedule.amount,
+            date,
+            recurring_donation_id: schedule.id
+          })
+        ).run();
+
+        created++;
+      }
+    }
+
+    lastProcessed = date;
+  }
+
+  if (lastProcessed) {
+    const dayAfter = new Date(`${lastProcessed}T00:00:00Z`);
+    dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+    const nextOccurrence = getNextOccurrence(schedule, formatDate(dayAfter));
+
+    await env.DB.prepare(`
+      UPDATE recurring_donations
+      SET next_occurrence = ?, status = ?, updated_at = datetime("now")
+      WHERE id = ?
+    `).bind(nextOccurrence, nextOccurrence ? 'active' : 'ended', schedule.id).run();
+  }
+
+  return created;
+}
+
+/**
+ * Materialize all due recurring donations (called from the scheduled handler)
+ */
+export async function materializeRecurringDonations(env) {
+  const today = formatDate(new Date());
+
+  const dueSchedules = await env.DB.prepare(`
+    SELECT * FROM recurring_donations
+    WHERE status = 'active' AND next_occurrence IS NOT NULL AND next_occurrence <= ?
+  `).bind(today).all();
+
+  let created = 0;
+  for (const schedule of dueSchedules.results || []) {
+    try {
+      created += await materializeSchedule(env, schedule, today);
+    } catch (error) {
+      console.error(`Recurring donation ${schedule.id} materialization error:`, error);
+    }
+  }
+
+  return created;
+}
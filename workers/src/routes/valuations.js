@@ -0,0 +1,230 @@
+/**
+ * Item valuation guide routes for Cloudflare Workers
+ * Lets the items donation form browse categories, search items and suggest values.
+ * Every lookup uses the guide editions in force on `date` (default today).
+ */
+
+import { validateSession, getSessionFromRequest } from '../utils/auth.js';
+import {
+  successResponse,
+  errorResponse,
+  validationErrorResponse,
+  unauthorizedResponse
+} from '../utils/response.js';
+import { sanitizeInput } from '../utils/validation.js';
+import {
+  ITEM_CONDITIONS,
+  IN_FORCE_EDITIONS_SQL,
+  getTaxYear,
+  normalizeCondition,
+  summarizeValuationRange,
+  getValuationRange
+} from '../utils/valuations.js';
+
+/**
+ * Handle valuation routes
+ */
+export async function handleValuations(request, env, ctx) {
+  const url = new URL(request.url);
+  const path = url.pathname.replace('/api/valuations', '');
+  const method = request.method;
+
+  // All valuation routes require authentication
+  const sessionId = getSessionFromRequest(request);
+  const session = await validateSession(sessionId, env);
+
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  switch (true) {
+    case path === '/categories' && method === 'GET':
+      return handleGetCategories(request, env);
+
+    case path === '/items' && method === 'GET':
+      return handleSearchItems(request, env);
+
+    case path === '/lookup' && method === 'GET':
+      return handleLookupValue(request, env);
+
+    case path.match(/^\/[a-f0-9-]+$/) && method === 'GET':
+      return handleGetValuation(request, env, path.substring(1));
+
+    default:
+      return errorResponse('Not Found', 404);
+  }
+}
+
+/**
+ * List guide categories with item counts
+ */
+async function handleGetCategories(request, env) {
+  try {
+    const url = new URL(request.url);
+    const taxYear = getTaxYear(url.searchParams.get('date'));
+
+    const categories = await env.DB.prepare(`
+      SELECT
+        category,
+        COUNT(DISTINCT item_name) as item_count,
+        GROUP_CONCAT(DISTINCT source) as sources,
+        MAX(last_updated) as last_updated
+      FROM item_valuations
+      WHERE edition_id IN (${IN_FORCE_EDITIONS_SQL})
+      GROUP BY category
+      ORDER BY category ASC
+    `).bind(taxYear).all();
+
+    return successResponse({
+      categories: (categories.results || []).map(category => ({
+        ...category,
+        sources: category.sources ? category.sources.split(',') : []
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get valuation categories error:', error);
+    return errorResponse('Failed to retrieve valuation categories');
+  }
+}
+
+/**
+ * Search guide items by name, optionally within a category.
+ * Each item is returned once with its value range across sources.
+ */
+async function handleSearchItems(request, env) {
+  try {
+    const url = new URL(request.url);
+    const category = url.searchParams.get('category');
+    const query = url.searchParams.get('q');
+    const condition = url.searchParams.get('condition');
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), 200);
+
+    const normalizedCondition = condition ? normalizeCondition(condition) : null;
+    if (condition && !normalizedCondition) {
+      return validationErrorResponse([`Condition must be one of: ${ITEM_CONDITIONS.join(', ')}`]);
+    }
+
+    if (!category && (!query || query.trim().length < 2)) {
+      return validationErrorResponse(['Provide a category or a search query of at least 2 characters']);
+    }
+
+    let whereConditions = [`v.edition_id IN (${IN_FORCE_EDITIONS_SQL})`];
+    const params = [getTaxYear(url.searchParams.get('date'))];
+
+    if (category) {
+      whereConditions.push('v.category = ?');
+      params.push(category);
+    }
+
+    if (query) {
+      whereConditions.push('v.item_name LIKE ?');
+      params.push(`%${sanitizeInput(query)}%`);
+    }
+
+    // Page over distinct items, then fetch every source row for them
+    const items = await env.DB.prepare(`
+      SELECT v.category, v.item_name
+      FROM item_valuations v
+      WHERE ${whereConditions.join(' AND ')}
+      GROUP BY v.category, v.item_name
+      ORDER BY v.category ASC, v.item_name ASC
+      LIMIT ?
+    `).bind(...params, limit).all();
+
+    const rows = await env.DB.prepare(`
+      SELECT v.*, e.tax_year, e.version
+      FROM item_valuations v
+      JOIN valuation_guide_editions e ON v.edition_id = e.id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY v.source ASC
+    `).bind(...params).all();
+
+    const rowsByItem = new Map();
+    for (const row of rows.results || []) {
+      const key = `${row.category}\u0000${row.item_name}`;
+      if (!rowsByItem.has(key)) rowsByItem.set(key, []);
+      rowsByItem.get(key).push(row);
+    }
+
+    return successResponse({
+      items: (items.results || []).map(item =>
+        summarizeValuationRange(rowsByItem.get(`${item.category}\u0000${item.item_name}`), normalizedCondition)
+      )
+    });
+
+  } catch (error) {
+    console.error('Search valuation items error:', error);
+    return errorResponse('Failed to search valuation items');
+  }
+}
+
+/**
+ * Look up the low/high guide value for an item in a condition
+ */
+async function handleLookupValue(request, env) {
+  try {
+    const url = new URL(request.url);
+    const valuationId = url.searchParams.get('valuation_id');
+    const category = url.searchParams.get('category');
+    const itemName = url.searchParams.get('item_name');
+    const date = url.searchParams.get('date');
+    const condition = normalizeCondition(url.searchParams.get('condition'));
+
+    // Validation
+    const errors = [];
+    if (!valuationId && (!category || !itemName)) {
+      errors.push('Provide valuation_id, or category and item_name');
+    }
+    if (!condition) {
+      errors.push(`Condition must be one of: ${ITEM_CONDITIONS.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const range = await getValuationRange(env, { valuationId, category, itemName, date }, condition);
+
+    if (!range) {
+      return errorResponse('Item not found in valuation guides', 404);
+    }
+
+    return successResponse(range);
+
+  } catch (error) {
+    console.error('Valuation lookup error:', error);
+    return errorResponse('Failed to look up valuation');
+  }
+}
+
+/**
+ * Get one guide row (from any edition) with the item's range across sources on a date
+ */
+async function handleGetValuation(request, env, valuationId) {
+  try {
+    const url = new URL(request.url);
+
+    const valuation = await env.DB.prepare(`
+      SELECT v.*, e.tax_year, e.version as edition_version, e.status as edition_status
+      FROM item_valuations v
+      JOIN valuation_guide_editions e ON v.edition_id = e.id
+      WHERE v.id = ?
+    `).bind(valuationId).first();
+
+    if (!valuation) {
+      return errorResponse('Valuation not found', 404);
+    }
+
+    const range = await getValuationRange(env, { valuationId, date: url.searchParams.get('date') });
+
+    return successResponse({
+      ...valuation,
+      range
+    });
+
+  } catch (error) {
+    console.error('Get valuation error:', error);
+    return errorResponse('Failed to retrieve valuation');
+  }
+}
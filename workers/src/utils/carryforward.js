@@ -0,0 +1,172 @@
+/**
+ * Charitable contribution carryforward ledger
+ * Excess deductions carry forward five years (IRC 170(d)) and are consumed oldest first
+ */
+
+import { DEDUCTION_BUCKETS, computeDeductionWorksheet } from './deductions.js';
+import { roundCents } from './donationRecords.js';
+
+export const CARRYFORWARD_YEARS = 5;
+
+/**
+ * Walk tax years in order, computing each year's worksheet with the carryovers
+ * available to it and recording ledger entries.
+ * @param {Array} donations - All of a user's donation rows joined with charities.organization_type
+ * @param {Object} agiByYear - Map of tax year to AGI
+ * @param {number} throughYear - Last tax year to process
+ * @returns {{ entries: Array, worksheets: Object, yearsMissingAgi: Array }}
+ */
+export function computeCarryforwardLedger(donations, agiByYear, throughYear) {
+  const donationsByYear = {};
+  for (const donation of donations) {
+    const year = parseInt(String(donation.date).substring(0, 4));
+    (donationsByYear[year] = donationsByYear[year] || []).push(donation);
+  }
+
+  const years = [
+    ...Object.keys(donationsByYear),
+    ...Object.keys(agiByYear)
+  ].map(Number);
+
+  const entries = [];
+  const worksheets = {};
+  const yearsMissingAgi = [];
+
+  if (years.length === 0) {
+    return { entries, worksheets, yearsMissingAgi };
+  }
+
+  // Open carryforward lots, oldest first: { origin_year, bucket, remaining }
+  let lots = [];
+
+  for (let year = Math.min(...years); year <= throughYear; year++) {
+    const yearDonations = donationsByYear[year] || [];
+    const agi = agiByYear[year];
+
+    if (agi === undefined || agi === null) {
+      // Without AGI the limits cannot be applied, so nothing is consumed or generated
+      if (yearDonations.length > 0) yearsMissingAgi.push(year);
+    } else {
+      const carryover = {};
+      for (const lot of lots) {
+        carryover[lot.bucket] = (carryover[lot.bucket] || 0) + lot.remaining;
+      }
+
+      const worksheet = computeDeductionWorksheet(yearDonations, parseFloat(agi), carryover);
+      worksheets[year] = worksheet;
+
+      for (const bucket of worksheet.buckets) {
+        // Consume carryover lots FIFO by origin year
+        let toConsume = bucket.carryover_used;
+        for (const lot of lots) {
+          if (toConsume <= 0) break;
+          if (lot.bucket !== bucket.key || lot.remaining <= 0) continue;
+
+          const used = roundCents(Math.min(lot.remaining, toConsume));
+          lot.remaining = roundCents(lot.remaining - used);
+          toConsume = roundCents(toConsume - used);
+
+          entries.push({
+            origin_year: lot.origin_year,
+            bucket: lot.bucket,
+            tax_year: year,
+            entry_type: 'applied',
+            amount: used
+          });
+        }
+
+        if (bucket.excess > 0) {
+          lots.push({ origin_year: year, bucket: bucket.key, remaining: bucket.excess });
+          entries.push({
+            origin_year: year,
+            bucket: bucket.key,
+            tax_year: year,
+            entry_type: 'excess',
+            amount: bucket.excess
+          });
+        }
+      }
+    }
+
+    // Expire lots whose final carryforward year has passed
+    for (const lot of lots) {
+      if (lot.remaining > 0 && year >= lot.origin_year + CARRYFORWARD_YEARS) {
+        entries.push({
+          origin_year: lot.origin_year,
+          bucket: lot.bucket,
+          tax_year: year,
+          entry_type: 'expired',
+          amount: lot.remaining
+        });
+        lot.remaining = 0;
+      }
+    }
+
+    lots = lots.filter(lot => lot.remaining > 0);
+  }
+
+  return { entries, worksheets, yearsMissingAgi };
+}
+
+/**
+ * Summarize ledger balances as of the start of a tax year
+ */
+export function getCarryforwardBalances(entries, asOfYear) {
+  const lots = {};
+
+  for (const entry of entries) {
+    if (entry.tax_year >= asOfYear) continue;
+
+    const key = `${entry.origin_year}:${entry.bucket}`;
+    if (!lots[key]) {
+      lots[key] = {
+        origin_year: entry.origin_year,
+        bucket: entry.bucket,
+        label: DEDUCTION_BUCKETS[entry.bucket]?.label,
+        original_amount: 0,
+        remaining: 0,
+        expires_after_year: entry.origin_year + CARRYFORWARD_YEARS
+      };
+    }
+
+    const lot = lots[key];
+    if (entry.entry_type === 'excess') {
+      lot.original_amount = roundCents(lot.original_amount + entry.amount);
+      lot.remaining = roundCents(lot.remaining + entry.amount);
+    } else {
+      lot.remaining = roundCents(lot.remaining - entry.amount);
+    }
+  }
+
+  return Object.values(lots)
+    .filter(lot => lot.remaining > 0)
+    .sort((a, b) => a.origin_year - b.origin_year);
+}
+
+/**
+ * Compute a user's carryforward ledger from their donations and AGI history.
+ * The ledger is derived data, so it is computed on read rather than stored.
+ */
+export async function loadCarryforwardLedger(env, userId, throughYear = new Date().getFullYear()) {
+  const donations = await env.DB.prepare(`
+    SELECT
+      d.id, d.type, d.date, d.tax_deductible_amount, d.fair_market_value,
+      d.cost_basis, d.metadata,
+      c.organization_type
+    FROM donations d
+    LEFT JOIN charities c ON d.charity_id = c.id
+    WHERE d.user_id = ? AND d.deductibility_flag IS NULL -- gifts during a revocation are not deductible
+    ORDER BY d.date ASC
+  `).bind(userId).all();
+
+  const taxYears = await env.DB.prepare(`
+    SELECT tax_year, agi FROM user_tax_years WHERE user_id = ?
+  `).bind(userId).all();
+
+  const agiByYear = {};
+  for (const row of taxYears.results || []) {
+    agiByYear[row.tax_year] = row.agi;
+  }
+
+  return computeCarryforwardLedger(donations.results || [], agiByYear, throughYear);
+}
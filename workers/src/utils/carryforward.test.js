@@ -0,0 +1,94 @@
+/**
+ * Tests for the charitable contribution carryforward ledger
+ */
+
+import { computeCarryforwardLedger, getCarryforwardBalances } from './carryforward.js';
+
+const cash = (id, date, amount) => ({
+  id,
+  type: 'money',
+  date,
+  tax_deductible_amount: amount,
+  organization_type: 'public_charity'
+});
+
+// Cash gifts above the 60% limit in 2019 and 2020, and room for part of the excess in 2021
+const donations = [
+  cash('d2019', '2019-06-01', 80000),
+  cash('d2020', '2020-06-01', 70000),
+  cash('d2021', '2021-06-01', 45000)
+];
+const agiByYear = { 2019: 100000, 2020: 100000, 2021: 100000 };
+
+const entriesOf = (entries, type) => entries
+  .filter(entry => entry.entry_type === type)
+  .map(({ origin_year, tax_year, amount }) => ({ origin_year, tax_year, amount }));
+
+describe('computeCarryforwardLedger', () => {
+  test('carries forward the excess over the AGI limit', () => {
+    const { entries } = computeCarryforwardLedger(donations, agiByYear, 2021);
+
+    expect(entriesOf(entries, 'excess')).toEqual([
+      { origin_year: 2019, tax_year: 2019, amount: 20000 },
+      { origin_year: 2020, tax_year: 2020, amount: 10000 }
+    ]);
+  });
+
+  test('deducts current-year gifts first, then the oldest carryforward', () => {
+    const { entries, worksheets } = computeCarryforwardLedger(donations, agiByYear, 2021);
+
+    // 2020 gifts fill the 2020 limit, so none of the 2019 excess is used that year
+    expect(entriesOf(entries, 'applied').filter(entry => entry.tax_year === 2020)).toEqual([]);
+
+    // 2021 has 15,000 of room, all taken from 2019 before any of 2020
+    expect(entriesOf(entries, 'applied')).toEqual([
+      { origin_year: 2019, tax_year: 2021, amount: 15000 }
+    ]);
+    expect(worksheets[2021].total_allowed).toBe(60000);
+  });
+
+  test('expires each year\'s excess after five carryforward years', () => {
+    const { entries } = computeCarryforwardLedger(donations, agiByYear, 2026);
+
+    expect(entriesOf(entries, 'expired')).toEqual([
+      { origin_year: 2019, tax_year: 2024, amount: 5000 },
+      { origin_year: 2020, tax_year: 2025, amount: 10000 }
+    ]);
+  });
+
+  test('neither uses nor generates carryforward in a year without AGI', () => {
+    const { entries, yearsMissingAgi } = computeCarryforwardLedger(
+      [...donations, cash('d2022', '2022-06-01', 90000)],
+      agiByYear,
+      2022
+    );
+
+    expect(yearsMissingAgi).toEqual([2022]);
+    expect(entries.filter(entry => entry.tax_year === 2022)).toEqual([]);
+  });
+
+  test('returns an empty ledger without donations or AGI', () => {
+    expect(computeCarryforwardLedger([], {}, 2024)).toEqual({ entries: [], worksheets: {}, yearsMissingAgi: [] });
+  });
+});
+
+describe('getCarryforwardBalances', () => {
+  const { entries } = computeCarryforwardLedger(donations, agiByYear, 2026);
+
+  test('lists open carryforward oldest first as of the start of a year', () => {
+    expect(getCarryforwardBalances(entries, 2022).map(lot => [lot.origin_year, lot.original_amount, lot.remaining])).toEqual([
+      [2019, 20000, 5000],
+      [2020, 10000, 10000]
+    ]);
+    expect(getCarryforwardBalances(entries, 2022)[0]).toMatchObject({
+      bucket: 'cash_60',
+      label: 'Cash to public charities',
+      expires_after_year: 2024
+    });
+  });
+
+  test('drops carryforward once it has expired', () => {
+    expect(getCarryforwardBalances(entries, 2025).map(lot => lot.origin_year)).toEqual([2020]);
+    expect(getCarryforwardBalances(entries, 2026)).toEqual([]);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Charity edits and change proposals
+ * Admins and the creator of an unverified charity edit directly; other user edits
+ * are stored in charity_change_proposals for admin review.
+ */
+
+import { isValidEIN, sanitizeInput } from './validation.js';
+import { refreshDeductibilityFlags } from './revocation.js';
+
+// Editable fields stored as columns
+const COLUMN_FIELDS = ['name', 'ein'];
+
+// Editable fields stored in the metadata JSON
+const METADATA_FIELDS = ['address', 'website', 'phone'];
+
+export const CHARITY_EDITABLE_FIELDS = [...COLUMN_FIELDS, ...METADATA_FIELDS];
+
+/**
+ * Validate and normalize requested charity changes
+ * @returns {{ changes: Object, errors: Array<string> }}
+ */
+export function validateCharityChanges(body) {
+  const changes = {};
+  const errors = [];
+
+  for (const field of CHARITY_EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    const value = typeof body[field] === 'string' ? sanitizeInput(body[field]) : body[field];
+
+    switch (field) {
+      case 'name':
+        if (!value || value.length < 2) errors.push('Charity name is required (minimum 2 characters)');
+        break;
+      case 'ein':
+        if (value && !isValidEIN(value)) errors.push('Invalid EIN format (should be XX-XXXXXXX)');
+        break;
+      case 'website':
+        if (value && !/^https?:\/\/[^\s.]+\.[^\s]+$/i.test(value)) errors.push('Website must be an http(s) URL');
+        break;
+      case 'phone':
+        if (value && !/^[\d\s()+.-]{7,20}$/.test(value)) errors.push('Invalid phone number');
+        break;
+    }
+
+    changes[field] = value || null;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    errors.push('No updates provided');
+  }
+
+  return { changes, errors };
+}
+
+/**
+ * Check that a new EIN is not already used by another charity
+ */
+export async function isEinAvailable(env, ein, charityId) {
+  if (!ein) return true;
+
+  const existing = await env.DB.prepare(`
+    SELECT id FROM charities WHERE ein = ? AND id != ?
+  `).bind(ein, charityId).first();
+
+  return !existing;
+}
+
+/**
+ * Apply validated changes to a charity
+ */
+export async function applyCharityChanges(env, charityId, changes) {
+  const updates = [];
+  const params = [];
+
+  for (const field of COLUMN_FIELDS) {
+    if (changes[field] !== undefined) {
+      updates.push(`${field} = ?`);
+      params.push(changes[field]);
+    }
+  }
+
+  const metadataChanges = {};
+  for (const field of METADATA_FIELDS) {
+    if (changes[field] !== undefined) {
+      metadataChanges[field] = changes[field];
+    }
+  }
+
+  // json_patch removes keys whose new value is null
+  if (Object.keys(metadataChanges).length > 0) {
+    updates.push(`metadata = json_patch(COALESCE(metadata, '{}'), ?)`);
+    params.push(JSON.stringify(metadataChanges));
+  }
+
+  // Revocation dates belong to the EIN, so a new EIN takes its stored revocation (or none)
+  if (changes.ein !== undefined) {
+    updates.push(
+      'revocation_date = (SELECT revocation_date FROM irs_revocations WHERE ein = ?)',
+      'revocation_posting_date = (SELECT posting_date FROM irs_revocations WHERE ein = ?)',
+      'reinstatement_date = (SELECT reinstatement_date FROM irs_revocations WHERE ein = ?)'
+    );
+    params.push(changes.ein, changes.ein, changes.ein);
+  }
+
+  updates.push('updated_at = datetime("now")');
+  params.push(charityId);
+
+  await env.DB.prepare(`
+    UPDATE charities SET ${updates.join(', ')} WHERE id = ?
+  `).bind(...params).run();
+
+  if (changes.ein !== undefined) {
+    await refreshDeductibilityFlags(env, [charityId]);
+  }
+}
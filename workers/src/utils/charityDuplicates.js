@@ -0,0 +1,156 @@
+/**
+ * Charity duplicate detection
+ * Unverified (user-created) charities are compared against FTS candidates by
+ * normalized name similarity, EIN digits, and street address.
+ */
+
+import { tokenize, parseAliases } from './charitySearch.js';
+
+// Words that do not distinguish one organization from another
+const NAME_STOPWORDS = new Set([
+  'the', 'of', 'and', 'for', 'inc', 'incorporated', 'corp', 'corporation',
+  'co', 'llc', 'ltd', 'org', 'assn', 'association', 'usa', 'us', 'america', 'american'
+]);
+
+// Minimum score for a pair to be reported
+export const DUPLICATE_MIN_SCORE = 0.6;
+
+// FTS candidates compared against each charity
+const CANDIDATES_PER_CHARITY = 20;
+
+/**
+ * Normalize a charity name to its distinguishing words
+ */
+export function normalizeCharityName(name) {
+  return tokenize(name).filter(word => !NAME_STOPWORDS.has(word));
+}
+
+/**
+ * Similarity of two names (0-1): the larger of word overlap and containment,
+ * so "Red Cross" matches "American Red Cross"
+ */
+export function nameSimilarity(a, b) {
+  const wordsA = new Set(normalizeCharityName(a));
+  const wordsB = new Set(normalizeCharityName(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  const jaccard = shared / (wordsA.size + wordsB.size - shared);
+  const containment = shared / Math.min(wordsA.size, wordsB.size);
+
+  // Containment alone over-matches single common words, so weight it down
+  return Math.max(jaccard, containment * 0.85);
+}
+
+/**
+ * Get digits of an EIN
+ */
+function einDigits(ein) {
+  return String(ein || '').replace(/\D/g, '');
+}
+
+/**
+ * Normalize a street address for comparison
+ */
+function normalizeAddress(metadata) {
+  let address = null;
+  try {
+    address = (typeof metadata === 'string' ? JSON.parse(metadata) : metadata)?.address;
+  } catch (error) {
+    return null;
+  }
+
+  const words = tokenize(address)
+    .map(word => ({ street: 'st', avenue: 'ave', road: 'rd', suite: 'ste', drive: 'dr' }[word] || word));
+  return words.length > 0 ? words.join(' ') : null;
+}
+
+/**
+ * Score two charities as possible duplicates
+ * @returns {{ score: number, reasons: Array<string> }}
+ */
+export function scoreDuplicatePair(a, b) {
+  const reasons = [];
+  const digitsA = einDigits(a.ein);
+  const digitsB = einDigits(b.ein);
+
+  // Different EINs are different organizations
+  if (digitsA && digitsB && digitsA !== digitsB) {
+    return { score: 0, reasons };
+  }
+
+  let score = 0;
+
+  if (digitsA && digitsA === digitsB) {
+    score = 1;
+    reasons.push('same_ein');
+  }
+
+  const namesA = [a.name, ...parseAliases(a.aliases)];
+  const namesB = [b.name, ...parseAliases(b.aliases)];
+  let similarity = 0;
+  for (const nameA of namesA) {
+    for (const nameB of namesB) {
+      similarity = Math.max(similarity, nameSimilarity(nameA, nameB));
+    }
+  }
+
+  if (similarity >= DUPLICATE_MIN_SCORE) {
+    score = Math.max(score, similarity);
+    reasons.push('similar_name');
+  }
+
+  const addressA = normalizeAddress(a.metadata);
+  if (addressA && addressA === normalizeAddress(b.metadata)) {
+    score = Math.min(1, Math.max(score, 0.7) + 0.15);
+    reasons.push('same_address');
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * Find likely duplicates of one charity
+ * @returns {Promise<Array<{ charity: Object, score: number, reasons: Array<string> }>>}
+ */
+export async function findDuplicatesOf(env, charity) {
+  const candidates = new Map();
+  const words = normalizeCharityName(charity.name);
+
+  if (words.length > 0) {
+    const rows = await env.DB.prepare(`
+      SELECT c.*
+      FROM charities_fts
+      JOIN charities c ON c.rowid = charities_fts.rowid
+      WHERE charities_fts MATCH ? AND c.id != ?
+      ORDER BY bm25(charities_fts, 10.0, 8.0, 0.0, 0.0)
+      LIMIT ?
+    `).bind(
+      `{name aliases}: ${words.map(word => `"${word}"`).join(' OR ')}`,
+      charity.id,
+      CANDIDATES_PER_CHARITY
+    ).all();
+
+    for (const row of rows.results || []) {
+      candidates.set(row.id, row);
+    }
+  }
+
+  // EINs stored with different formatting, e.g. 530196605 and 53-0196605
+  const digits = einDigits(charity.ein);
+  if (digits.length === 9) {
+    const rows = await env.DB.prepare(`
+      SELECT * FROM charities
+      WHERE id != ? AND ein IN (?, ?)
+    `).bind(charity.id, digits, `${digits.slice(0, 2)}-${digits.slice(2)}`).all();
+
+    for (const row of rows.results || []) {
+      candidates.set(row.id, row);
+    }
+  }
+
+  return [...candidates.values()]
+    .map(candidate => ({ charity: candidate, ...scoreDuplicatePair(charity, candidate) }))
+    .filter(match => match.score >= DUPLICATE_MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,270 @@
+/**
+ * Charity search over the charities_fts FTS5 index (name, aliases, city, state)
+ * Prefix matches are tried first; when they find too few charities, the
+ * charities_trigram index gathers names sharing three-letter sequences with the
+ * search terms, which are kept only if their words are within a small edit
+ * distance of the terms. Trigrams still match when the typo is in a word's
+ * first letters.
+ */
+
+import { normalizeEin } from './irs.js';
+import { queryInGroups } from './d1.js';
+
+// Candidates fetched from FTS before ranking
+const CANDIDATE_LIMIT = 200;
+
+// Minimum text score for candidates from the fuzzy query
+const FUZZY_MIN_SCORE = 0.6;
+
+// Ranking boosts, added to a text score of 0-100
+const VERIFIED_BOOST = 15;
+const DONATED_BOOST = 25;
+
+/**
+ * Split text into lowercase word tokens
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Parse the JSON aliases column into an array of names
+ */
+export function parseAliases(aliases) {
+  if (!aliases) return [];
+  try {
+    const parsed = JSON.parse(aliases);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1];
+}
+
+/**
+ * Score how well one search term matches a word (0-1)
+ */
+function scoreTerm(term, word) {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.9;
+
+  // Short words only forgive swapped letters ("rde" for "red")
+  if (term.length < 4) {
+    return term.length === 3 && word.length === 3 && editDistance(term, word) === 1 &&
+      [...term].sort().join('') === [...word].sort().join('') ? 0.7 : 0;
+  }
+
+  // Allow one typo in short words, two in longer ones
+  const allowed = term.length >= 7 ? 2 : 1;
+  const distance = editDistance(term, word.slice(0, term.length + allowed));
+  return distance <= allowed ? 0.8 - 0.1 * distance : 0;
+}
+
+/**
+ * Score a charity's text against the search terms (0-1)
+ */
+export function scoreCharityText(charity, terms) {
+  if (terms.length === 0) return 0;
+
+  const names = [charity.name, ...parseAliases(charity.aliases)];
+  const words = tokenize([...names, charity.city, charity.state].join(' '));
+  const phrase = terms.join(' ');
+
+  const termScores = terms.map(term => Math.max(0, ...words.map(word => scoreTerm(term, word))));
+  let score = termScores.reduce((sum, value) => sum + value, 0) / terms.length;
+
+  // Prefer names that are, or begin with, the whole query
+  const normalizedNames = names.map(name => tokenize(name).join(' '));
+  if (normalizedNames.includes(phrase)) {
+    score = Math.min(1, score + 0.2);
+  } else if (normalizedNames.some(name => name.startsWith(phrase))) {
+    score = Math.min(1, score + 0.1);
+  }
+
+  return score;
+}
+
+/**
+ * Build an FTS5 MATCH expression from search terms
+ * @param {boolean} fuzzy - OR together the terms' trigrams, for the charities_trigram
+ *   index, instead of requiring every term as a prefix
+ */
+export function buildFtsQuery(terms, fuzzy = false) {
+  if (fuzzy) {
+    const trigrams = new Set();
+    for (const term of terms) {
+      for (let i = 0; i + 3 <= term.length; i++) trigrams.add(term.slice(i, i + 3));
+    }
+    return [...trigrams].map(trigram => `"${trigram}"`).join(' OR ');
+  }
+
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+/**
+ * Interpret a query as an EIN (with or without the dash)
+ * @returns {{ exact: string } | { prefix: string } | null}
+ */
+export function parseEinQuery(query) {
+  const trimmed = String(query || '').trim();
+  if (!/^[\d\s-]+$/.test(trimmed)) return null;
+
+  const digits = trimmed.replace(/\D/g, '');
+  if (digits.length === 9) return { exact: normalizeEin(digits) };
+  if (digits.length >= 2 && digits.length < 9) {
+    return { prefix: digits.length > 2 ? `${digits.slice(0, 2)}-${digits.slice(2)}` : digits };
+  }
+
+  return null;
+}
+
+/**
+ * Build the shared filter clause for state, NTEE code, and verification
+ */
+function buildFilters({ state, ntee, verifiedOnly }) {
+  const conditions = [];
+  const params = [];
+
+  if (state) {
+    conditions.push('c.state = ?');
+    params.push(state.toUpperCase());
+  }
+
+  if (ntee) {
+    conditions.push('c.ntee_code LIKE ?');
+    params.push(`${ntee.toUpperCase()}%`);
+  }
+
+  if (verifiedOnly) {
+    conditions.push('c.is_verified = TRUE');
+  }
+
+  return {
+    clause: conditions.length > 0 ? `AND ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Get the ids of candidate charities the user has donated to
+ */
+async function getDonatedCharityIds(env, userId, charityIds) {
+  if (!userId) return new Set();
+
+  const rows = await queryInGroups(charityIds, (placeholders, group) => env.DB.prepare(`
+    SELECT DISTINCT charity_id FROM donations
+    WHERE user_id = ? AND charity_id IN (${placeholders})
+  `).bind(userId, ...group));
+
+  return new Set(rows.map(row => row.charity_id));
+}
+
+/**
+ * Search charities by name, alias, location, or EIN.
+ * @param {Object} options - { query, state, ntee, verifiedOnly, limit, userId }
+ * @returns {Promise<Array>} Charities ordered by relevance, each with a `score`
+ */
+export async function searchCharities(env, options) {
+  const { query, limit = 20, userId = null } = options;
+  const filters = buildFilters(options);
+  const columns = `
+    c.id, c.name, c.ein, c.is_verified, c.organization_type, c.city, c.state,
+    c.ntee_code, c.deductibility_status, c.revocation_date, c.aliases
+  `;
+
+  const einQuery = parseEinQuery(query);
+  let candidates = [];
+  let terms = [];
+
+  if (einQuery) {
+    const rows = await env.DB.prepare(`
+      SELECT ${columns}
+      FROM charities c
+      WHERE ${einQuery.exact ? 'c.ein = ?' : 'c.ein LIKE ?'} ${filters.clause}
+      ORDER BY c.is_verified DESC, c.name ASC
+      LIMIT ?
+    `).bind(einQuery.exact || `${einQuery.prefix}%`, ...filters.params, CANDIDATE_LIMIT).all();
+
+    candidates = (rows.results || []).map(charity => ({ ...charity, text_score: 1 }));
+  } else {
+    terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    const runFts = async (fuzzy) => {
+      const match = buildFtsQuery(terms, fuzzy);
+      if (!match) return [];
+
+      const index = fuzzy ? 'charities_trigram' : 'charities_fts';
+      const rows = await env.DB.prepare(`
+        SELECT ${columns}
+        FROM ${index}
+        JOIN charities c ON c.rowid = ${index}.rowid
+        WHERE ${index} MATCH ? ${filters.clause}
+        ORDER BY ${fuzzy ? 'bm25(charities_trigram, 10.0, 8.0)' : 'bm25(charities_fts, 10.0, 8.0, 2.0, 1.0)'}
+        LIMIT ?
+      `).bind(match, ...filters.params, CANDIDATE_LIMIT).all();
+
+      return rows.results || [];
+    };
+
+    const seen = new Set();
+    for (const charity of await runFts(false)) {
+      seen.add(charity.id);
+      candidates.push({ ...charity, text_score: scoreCharityText(charity, terms) });
+    }
+
+    if (candidates.length < limit) {
+      for (const charity of await runFts(true)) {
+        if (seen.has(charity.id)) continue;
+        const textScore = scoreCharityText(charity, terms);
+        if (textScore >= FUZZY_MIN_SCORE) {
+          candidates.push({ ...charity, text_score: textScore });
+        }
+      }
+    }
+  }
+
+  const donatedIds = await getDonatedCharityIds(env, userId, candidates.map(charity => charity.id));
+
+  return candidates
+    .map(({ text_score, ...charity }) => {
+      const donatedTo = donatedIds.has(charity.id);
+      const score = text_score * 100 +
+        (charity.is_verified ? VERIFIED_BOOST : 0) +
+        (donatedTo ? DONATED_BOOST : 0);
+
+      return {
+        ...charity,
+        aliases: parseAliases(charity.aliases),
+        donated_to: donatedTo,
+        score: Math.round(score * 10) / 10
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
@@ -0,0 +1,64 @@
+/**
+ * Tests for charity search query building and text scoring
+ */
+
+import { buildFtsQuery, parseEinQuery, scoreCharityText, tokenize } from './charitySearch.js';
+
+const FUZZY_MIN_SCORE = 0.6;
+
+const goodwill = { name: 'Goodwill Industries International', aliases: '["Goodwill"]', city: 'Rockville', state: 'MD' };
+const redCross = { name: 'American National Red Cross', aliases: '["American Red Cross"]', city: 'Washington', state: 'DC' };
+const salvationArmy = { name: 'The Salvation Army', aliases: null, city: 'Alexandria', state: 'VA' };
+
+const score = (charity, query) => scoreCharityText(charity, tokenize(query));
+
+describe('buildFtsQuery', () => {
+  test('requires every term as a prefix', () => {
+    expect(buildFtsQuery(tokenize('Red Cross'))).toBe('"red"* "cross"*');
+  });
+
+  test('matches any trigram of the terms for fuzzy search', () => {
+    expect(buildFtsQuery(tokenize('Godwill'), true)).toBe('"god" OR "odw" OR "dwi" OR "wil" OR "ill"');
+    expect(buildFtsQuery(tokenize('Amercian Rde'), true)).toBe('"ame" OR "mer" OR "erc" OR "rci" OR "cia" OR "ian" OR "rde"');
+  });
+
+  test('shares trigrams with names whose first letters are misspelled', () => {
+    const trigrams = query => buildFtsQuery(tokenize(query), true).split(' OR ');
+    const shared = (query, name) => trigrams(query).filter(trigram => trigrams(name).includes(trigram));
+
+    expect(shared('Godwill', 'Goodwill')).toEqual(['"odw"', '"dwi"', '"wil"', '"ill"']);
+    expect(shared('Amercian Rde', 'American Red')).toEqual(['"ame"', '"mer"']);
+  });
+});
+
+describe('scoreCharityText', () => {
+  test('ranks whole words above prefixes', () => {
+    expect(score(goodwill, 'Goodwill')).toBe(1);
+    expect(score(goodwill, 'indus')).toBeLessThan(score(goodwill, 'industries'));
+  });
+
+  test('accepts a dropped letter', () => {
+    expect(score(goodwill, 'Godwill')).toBeGreaterThanOrEqual(FUZZY_MIN_SCORE);
+    expect(score(redCross, 'Godwill')).toBe(0);
+  });
+
+  test('accepts transposed letters, including in short words', () => {
+    expect(score(redCross, 'Amercian Rde')).toBeGreaterThanOrEqual(FUZZY_MIN_SCORE);
+    expect(score(redCross, 'Amercian Rde')).toBeGreaterThan(score(goodwill, 'Amercian Rde'));
+    expect(score(salvationArmy, 'salvaton army')).toBeGreaterThanOrEqual(FUZZY_MIN_SCORE);
+  });
+
+  test('rejects short words that only share letters', () => {
+    expect(score(redCross, 'rex')).toBe(0);
+    expect(score(redCross, 'der')).toBe(0);
+  });
+});
+
+describe('parseEinQuery', () => {
+  test('reads full and partial EINs', () => {
+    expect(parseEinQuery('53-0196605')).toEqual({ exact: '53-0196605' });
+    expect(parseEinQuery('530196605')).toEqual({ exact: '53-0196605' });
+    expect(parseEinQuery('5301')).toEqual({ prefix: '53-01' });
+    expect(parseEinQuery('Red Cross')).toBeNull();
+  });
+});
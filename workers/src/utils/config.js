@@ -18,6 +18,27 @@ function getBooleanEnvVar(env, key, defaultValue = false) {
   return value === 'true' || value === '1' || value === 'yes';
 }
 
+/**
+ * Parse a comma-separated list environment variable
+ */
+function getListEnvVar(env, key) {
+  const value = getEnvVar(env, key);
+  if (!value) return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse "name:value" pairs (e.g. "yahoo:5000,coingecko:8000") into an object of integers
+ */
+function getMapEnvVar(env, key) {
+  return getListEnvVar(env, key).reduce((acc, pair) => {
+    const [name, value] = pair.split(':');
+    const parsed = parseInt(value);
+    if (name && !isNaN(parsed)) acc[name.trim()] = parsed;
+    return acc;
+  }, {});
+}
+
 /**
  * Get configuration object
  */
@@ -49,6 +70,14 @@ export function getConfig(env) {
       yahooFinanceEnabled: getBooleanEnvVar(env, 'ENABLE_YAHOO_FINANCE', true)
     },
 
+    // Pricing providers (e.g. PRICING_PROVIDERS=local for offline development and CI)
+    pricing: {
+      providers: getListEnvVar(env, 'PRICING_PROVIDERS'),
+      timeoutMs: parseInt(getEnvVar(env, 'PRICING_TIMEOUT_MS', '0')) || null,
+      timeouts: getMapEnvVar(env, 'PRICING_PROVIDER_TIMEOUTS'),
+      cacheTtlSeconds: parseInt(getEnvVar(env, 'PRICE_CACHE_TTL_SECONDS', '300'))
+    },
+
     // Limits and defaults
     limits: {
       freeDonationLimit: parseInt(getEnvVar(env, 'FREE_DONATION_LIMIT', '2')),
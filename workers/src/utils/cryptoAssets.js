@@ -0,0 +1,71 @@
+/**
+ * Cryptocurrency asset registry
+ * Crypto donations and pricing are limited to active assets in the crypto_assets table
+ */
+
+// Placeholder symbol for assets not in the registry (priced manually)
+export const OTHER_CRYPTO_SYMBOL = 'OTHER';
+
+/**
+ * Normalize a ticker symbol for registry lookups
+ */
+export function normalizeCryptoSymbol(symbol) {
+  return typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+}
+
+/**
+ * Look up an active registry asset by symbol
+ * @returns {Promise<Object | null>}
+ */
+export async function getCryptoAsset(env, symbol) {
+  const normalized = normalizeCryptoSymbol(symbol);
+  if (!normalized) return null;
+
+  return env.DB.prepare(`
+    SELECT id, symbol, name, provider_id, decimals
+    FROM crypto_assets
+    WHERE symbol = ? AND is_active = TRUE
+  `).bind(normalized).first();
+}
+
+/**
+ * Search active assets by symbol or name; exact symbol matches sort first
+ */
+export async function searchCryptoAssets(env, query, limit = 20) {
+  const term = (query || '').trim();
+  const pattern = `%${term}%`;
+
+  const assets = await env.DB.prepare(`
+    SELECT id, symbol, name, provider_id, decimals
+    FROM crypto_assets
+    WHERE is_active = TRUE AND (symbol LIKE ? OR name LIKE ?)
+    ORDER BY (symbol = ?) DESC, (symbol LIKE ?) DESC, symbol ASC
+    LIMIT ?
+  `).bind(pattern, pattern, term.toUpperCase(), `${term}%`, limit).all();
+
+  return assets.results || [];
+}
+
+/**
+ * Count the decimal places of a quantity (handles exponent notation such as 1e-7)
+ */
+function countDecimals(value) {
+  const [mantissa, exponent = '0'] = String(value).toLowerCase().split('e');
+  const fraction = (mantissa.split('.')[1] || '').length;
+  return Math.max(0, fraction - parseInt(exponent));
+}
+
+/**
+ * Check that a quantity has no more decimal places than the asset allows
+ */
+export function fitsAssetPrecision(amount, decimals) {
+  return countDecimals(amount) <= decimals;
+}
+
+/**
+ * Round a USD unit price for display: cents from $1 up, otherwise to the
+ * asset's precision so low-priced tokens do not show as $0
+ */
+export function roundCryptoPrice(price, decimals = 8) {
+  return parseFloat(price.toFixed(price >= 1 ? 2 : Math.min(decimals, 18)));
+}
@@ -0,0 +1,303 @@
+/**
+ * RFC 4180 CSV parsing shared by the import routes, and CSV formatting for reports
+ * Parsing handles quoted fields (embedded delimiters, quotes and newlines), CRLF, LF or CR
+ * line endings, a leading byte order mark, and delimiter detection. Text can be
+ * pushed in chunks, so request bodies are parsed as they stream in.
+ */
+
+export const CSV_DELIMITERS = [',', '|', '\t', ';'];
+
+/**
+ * Detect the delimiter from the first record of a sample
+ */
+export function detectDelimiter(sample) {
+  const counts = new Map(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of sample) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ',';
+  for (const [delimiter, count] of counts) {
+    if (count > counts.get(best)) best = delimiter;
+  }
+  return best;
+}
+
+/**
+ * UTF-8 length of a UTF-16 code unit (each half of a surrogate pair is 2 of its 4 bytes)
+ */
+function utf8Length(code) {
+  if (code < 0x80) return 1;
+  if (code < 0x800 || (code >= 0xD800 && code <= 0xDFFF)) return 2;
+  return 3;
+}
+
+/**
+ * Create an incremental CSV parser.
+ * push(text) and end() return the records completed so far as
+ * { line, offset, values, error }, where line is the line number the record
+ * starts on, offset the UTF-8 byte offset it starts at, and error describes a
+ * malformed record (its values are still returned).
+ * Blank lines are skipped; unquoted values are trimmed.
+ * @param {Object} options - { delimiter, line, offset }: the delimiter is detected
+ *   from the first record when omitted; line and offset are those of the first
+ *   byte parsed, when parsing resumes part way through a file
+ */
+export function createCsvParser({ delimiter = null, line: startLine = 1, offset: startOffset = 0 } = {}) {
+  let pending = '';
+  let started = false;
+  let offset = startOffset;
+  let recordOffset = startOffset;
+
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let afterQuote = false;
+  let afterCR = false;
+  let error = null;
+  let line = startLine;
+  let recordLine = startLine;
+
+  const endField = () => {
+    values.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+
+  const endRecord = (records) => {
+    endField();
+    if (values.length > 1 || values[0] !== '' || error) {
+      records.push({ line: recordLine, offset: recordOffset, values, error });
+    }
+    values = [];
+    error = null;
+  };
+
+  const parse = (text, records) => {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      offset += utf8Length(text.charCodeAt(i));
+
+      if (inQuotes) {
+        if (char === '"') {
+          inQuotes = false;
+          afterQuote = true;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+
+      if (afterQuote) {
+        afterQuote = false;
+
+        // A doubled quote inside a quoted field is a literal quote
+        if (char === '"') {
+          field += '"';
+          inQuotes = true;
+          continue;
+        }
+
+        if (char !== delimiter && char !== '\r' && char !== '\n') {
+          error = error || 'Unexpected text after a closing quote';
+        }
+      }
+
+      if (char === '\n' && afterCR) {
+        afterCR = false;
+        recordOffset = offset;
+        continue;
+      }
+      afterCR = false;
+
+      if (char === delimiter) {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        endRecord(records);
+        afterCR = char === '\r';
+        line++;
+        recordLine = line;
+        recordOffset = offset;
+      } else if (char === '"' && !quoted && field.trim() === '') {
+        field = '';
+        quoted = true;
+        inQuotes = true;
+      } else {
+        if (char === '"') error = error || 'Unexpected quote in an unquoted field';
+        field += char;
+      }
+    }
+  };
+
+  const start = (text, final) => {
+    if (started) return text;
+
+    pending += text;
+
+    // Wait for a full first record before detecting the delimiter
+    if (!delimiter && !final && !/[\r\n]/.test(pending) && pending.length < 65536) {
+      return null;
+    }
+
+    started = true;
+    const buffered = pending.replace(/^\uFEFF/, '');
+    if (buffered !== pending) {
+      offset += 3;
+      recordOffset = offset;
+    }
+    pending = '';
+    delimiter = delimiter || detectDelimiter(buffered);
+    return buffered;
+  };
+
+  return {
+    push(text) {
+      const records = [];
+      const ready = start(text, false);
+      if (ready !== null) parse(ready, records);
+      return records;
+    },
+
+    end() {
+      const records = [];
+      const ready = start('', true);
+      if (ready) parse(ready, records);
+
+      if (inQuotes) {
+        error = error || 'Unterminated quoted field';
+        inQuotes = false;
+      }
+      if (field !== '' || quoted || values.length > 0 || error) {
+        endRecord(records);
+      }
+      return records;
+    },
+
+    get delimiter() {
+      return delimiter;
+    }
+  };
+}
+
+/**
+ * Parse CSV text into records
+ * @returns {Array<{ line: number, offset: number, values: Array<string>, error: string | null }>}
+ */
+export function parseCsv(text, options = {}) {
+  const parser = createCsvParser(options);
+  return [...parser.push(text), ...parser.end()];
+}
+
+/**
+ * Parse a byte stream (e.g. a request body) into records as it arrives.
+ * Stopping early cancels the rest of the stream.
+ * @param {Object} options - createCsvParser options, or { parser } to read the
+ *   detected delimiter from a parser created by the caller
+ */
+export async function* parseCsvStream(stream, options = {}) {
+  const parser = options.parser || createCsvParser(options);
+  const reader = stream.getReader();
+  // The parser strips the byte order mark itself, counting its bytes in record offsets
+  const decoder = new TextDecoder('utf-8', { ignoreBOM: true });
+  let finished = false;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      yield* parser.push(decoder.decode(value, { stream: true }));
+    }
+
+    finished = true;
+    yield* parser.push(decoder.decode());
+    yield* parser.end();
+  } finally {
+    if (!finished) {
+      await reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Normalize a header cell to a lowercase snake_case column name
+ */
+export function normalizeHeader(header) {
+  return String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Map a record's values onto column names
+ */
+export function toRecord(columns, values) {
+  const record = {};
+  columns.forEach((column, index) => {
+    record[column] = values[index] ?? '';
+  });
+  return record;
+}
+
+/**
+ * Format values as one CSV line, quoting values that contain a comma, quote,
+ * line break or surrounding whitespace
+ */
+export function formatCsvRow(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+/**
+ * Parse a query string option, turning 'true' and 'false' into booleans
+ */
+function parseOption(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+/**
+ * Read an import request. The CSV is either `csv_data` in a JSON body (other body
+ * fields are options) or a text/csv body, streamed, with options in the query string.
+ * @returns {Promise<{ options: Object, rows: AsyncIterable | Iterable | null }>}
+ *   rows is null when no CSV was sent
+ */
+export async function readCsvRequest(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+
+  if (/^text\/(csv|plain|tab-separated-values)/i.test(contentType)) {
+    const options = {};
+    for (const [key, value] of new URL(request.url).searchParams) {
+      options[key] = parseOption(value);
+    }
+
+    const delimiter = options.delimiter === 'tab' ? '\t' : options.delimiter;
+    return {
+      options,
+      rows: request.body ? parseCsvStream(request.body, {
+        delimiter: CSV_DELIMITERS.includes(delimiter) ? delimiter : null
+      }) : null
+    };
+  }
+
+  const { csv_data, ...options } = await request.json();
+  const delimiter = options.delimiter === 'tab' ? '\t' : options.delimiter;
+
+  return {
+    options,
+    rows: typeof csv_data === 'string' && csv_data.trim()
+      ? parseCsv(csv_data, { delimiter: CSV_DELIMITERS.includes(delimiter) ? delimiter : null })
+      : null
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Tests for the CSV parser and formatter
+ */
+
+import { createCsvParser, detectDelimiter, formatCsvRow, parseCsv, parseCsvStream } from './csv.js';
+
+const valuesOf = records => records.map(record => record.values);
+
+const streamOf = (bytes, chunkSize) => new ReadableStream({
+  start(controller) {
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      controller.enqueue(bytes.slice(i, i + chunkSize));
+    }
+    controller.close();
+  }
+});
+
+const collect = async (iterable) => {
+  const records = [];
+  for await (const record of iterable) records.push(record);
+  return records;
+};
+
+describe('parseCsv', () => {
+  test('reads quoted fields with delimiters, doubled quotes and line breaks', () => {
+    const records = parseCsv('name,notes\n"Smith, Jane","said ""thanks""\nby mail"\nplain,  trimmed  \n');
+
+    expect(valuesOf(records)).toEqual([
+      ['name', 'notes'],
+      ['Smith, Jane', 'said "thanks"\nby mail'],
+      ['plain', 'trimmed']
+    ]);
+    expect(records.map(record => record.line)).toEqual([1, 2, 4]);
+    expect(records.every(record => record.error === null)).toBe(true);
+  });
+
+  test('keeps whitespace inside quotes', () => {
+    expect(valuesOf(parseCsv('a," b "'))).toEqual([['a', ' b ']]);
+  });
+
+  test('treats CRLF, LF and CR line endings alike and skips blank lines', () => {
+    const expected = [['a', 'b'], ['1', '2'], ['3', '4']];
+
+    expect(valuesOf(parseCsv('a,b\r\n1,2\r\n\r\n3,4\r\n'))).toEqual(expected);
+    expect(valuesOf(parseCsv('a,b\n1,2\n\n3,4'))).toEqual(expected);
+    expect(valuesOf(parseCsv('a,b\r1,2\r\r3,4\r'))).toEqual(expected);
+    expect(parseCsv('a,b\r\n1,2\r\n\r\n3,4\r\n').map(record => record.line)).toEqual([1, 2, 4]);
+  });
+
+  test('strips a byte order mark and counts its bytes in offsets', () => {
+    const records = parseCsv('\uFEFFname,amount\r\nGoodwill,25\r\n');
+
+    expect(valuesOf(records)).toEqual([['name', 'amount'], ['Goodwill', '25']]);
+    expect(records.map(record => record.offset)).toEqual([3, 16]);
+  });
+
+  test('reports malformed records with their values', () => {
+    const records = parseCsv('a,b\n"x"y,2\nc"d,3\n"open,4');
+
+    expect(records.map(record => record.error)).toEqual([
+      null,
+      'Unexpected text after a closing quote',
+      'Unexpected quote in an unquoted field',
+      'Unterminated quoted field'
+    ]);
+    expect(records[3].values).toEqual(['open,4']);
+  });
+
+  test('detects the delimiter from the first record', () => {
+    expect(detectDelimiter('"a;b"|c|d\n1;2;3;4')).toBe('|');
+    expect(valuesOf(parseCsv('a\tb\n1\t2'))).toEqual([['a', 'b'], ['1', '2']]);
+    expect(valuesOf(parseCsv('a;b\n1,5;2', { delimiter: ';' }))).toEqual([['a', 'b'], ['1,5', '2']]);
+  });
+
+  test('resumes from a record\'s byte offset and line', () => {
+    const text = '\uFEFFname,notes\r\n"Café ✓","two\r\nlines"\r\n\r\n"Müller, 😀",x\r\nlast,y\r\n';
+    const bytes = new TextEncoder().encode(text);
+    const records = parseCsv(text);
+
+    for (let index = 1; index < records.length; index++) {
+      const { offset, line } = records[index];
+      const rest = new TextDecoder().decode(bytes.slice(offset));
+
+      expect(parseCsv(rest, { delimiter: ',', offset, line })).toEqual(records.slice(index));
+    }
+    expect(records.map(record => record.line)).toEqual([1, 2, 5, 6]);
+  });
+});
+
+describe('createCsvParser', () => {
+  test('returns the same records when text arrives in pieces', () => {
+    const text = 'a,b\r\n"1\r\n2","x""y"\r\n3,4';
+    const parser = createCsvParser();
+    const records = [];
+
+    for (const char of text) records.push(...parser.push(char));
+    records.push(...parser.end());
+
+    expect(records).toEqual(parseCsv(text));
+    expect(parser.delimiter).toBe(',');
+  });
+});
+
+describe('parseCsvStream', () => {
+  test('decodes multibyte characters split across chunks', async () => {
+    const text = '\uFEFFname,amount\nCafé ✓ 😀,10\nÜber,20\n';
+    const records = await collect(parseCsvStream(streamOf(new TextEncoder().encode(text), 1)));
+
+    expect(records).toEqual(parseCsv(text));
+    expect(records[1].values).toEqual(['Café ✓ 😀', '10']);
+  });
+});
+
+describe('formatCsvRow', () => {
+  test('quotes only the values that need it', () => {
+    expect(formatCsvRow(['plain', 'a,b', 'say "hi"', 'two\nlines', ' padded', null, undefined, 12.5]))
+      .toBe('plain,"a,b","say ""hi""","two\nlines"," padded",,,12.5');
+  });
+
+  test('round-trips through the parser', () => {
+    const values = ['Smith, Jane', 'said "thanks"', 'line\r\nbreak', ' space '];
+
+    expect(valuesOf(parseCsv(formatCsvRow(values)))).toEqual([values]);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Helpers for writing many rows to D1 with few statements, and for looking up
+ * long lists of values. Imports build multi-row statements and send them in a
+ * single batch, which D1 runs as one transaction.
+ */
+
+// D1 allows at most 100 bound parameters per statement
+export const MAX_BOUND_PARAMETERS = 100;
+
+// Values per IN (...) list, leaving room for a statement's other parameters
+export const LOOKUP_SIZE = 90;
+
+/**
+ * Split rows into groups small enough for one multi-row statement
+ * @param {number} paramsPerRow - Parameters bound for each row
+ * @param {number} sharedParams - Parameters bound once per statement
+ */
+export function groupRows(rows, paramsPerRow, sharedParams = 0) {
+  const size = Math.max(1, Math.floor((MAX_BOUND_PARAMETERS - sharedParams) / paramsPerRow));
+  const groups = [];
+
+  for (let i = 0; i < rows.length; i += size) {
+    groups.push(rows.slice(i, i + size));
+  }
+
+  return groups;
+}
+
+/**
+ * Build the placeholders of a multi-row VALUES list, e.g. "(?, ?), (?, ?)"
+ */
+export function valuesPlaceholders(rowCount, paramsPerRow) {
+  const row = `(${new Array(paramsPerRow).fill('?').join(', ')})`;
+  return new Array(rowCount).fill(row).join(', ');
+}
+
+/**
+ * Build the placeholders of an IN (...) list, e.g. "?, ?, ?"
+ */
+export function inPlaceholders(count) {
+  return new Array(count).fill('?').join(', ');
+}
+
+/**
+ * Run a statement once per LOOKUP_SIZE values, for lists too long for one IN (...)
+ * @param {Array} values - Values of the IN list
+ * @param {Function} buildStatement - (placeholders, group) => bound statement
+ * @returns {Promise<Array>} The result rows of every group
+ */
+export async function queryInGroups(values, buildStatement) {
+  const rows = [];
+
+  for (let i = 0; i < values.length; i += LOOKUP_SIZE) {
+    const group = values.slice(i, i + LOOKUP_SIZE);
+    const result = await buildStatement(inPlaceholders(group.length), group).all();
+    rows.push(...(result.results || []));
+  }
+
+  return rows;
+}
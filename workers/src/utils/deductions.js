@@ -0,0 +1,208 @@
+/**
+ * Schedule A charitable deduction limits (IRC 170(b))
+ * Classifies donations into AGI limitation buckets and applies the ceilings
+ */
+
+import { parseMetadata, roundCents } from './donationRecords.js';
+
+/**
+ * Limitation buckets in the order they are applied.
+ * Follows the simplified ordering of IRS Publication 526, Worksheet 2.
+ */
+export const DEDUCTION_BUCKETS = {
+  ordinary_50: {
+    label: 'Noncash ordinary-income property to public charities',
+    limit_percent: 50
+  },
+  cash_60: {
+    label: 'Cash to public charities',
+    limit_percent: 60
+  },
+  capital_gain_30: {
+    label: 'Appreciated capital gain property to public charities',
+    limit_percent: 30
+  },
+  private_30: {
+    label: 'Cash and ordinary-income property to private foundations',
+    limit_percent: 30
+  },
+  capital_gain_20: {
+    label: 'Appreciated capital gain property to private foundations',
+    limit_percent: 20
+  }
+};
+
+// Total charitable deductions can never exceed this share of AGI
+const OVERALL_LIMIT_PERCENT = 60;
+
+const CASH_TYPES = ['money', 'mileage'];
+const CAPITAL_ASSET_TYPES = ['stock', 'crypto'];
+
+/**
+ * Check whether property was held more than one year before the gift
+ * Holdings with no recorded acquisition date are treated as long-term
+ */
+export function isLongTermHolding(dateAcquired, dateDonated) {
+  if (!dateAcquired) return true;
+
+  const acquired = new Date(dateAcquired);
+  const oneYearLater = new Date(acquired);
+  oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
+
+  return new Date(dateDonated) > oneYearLater;
+}
+
+/**
+ * Determine the AGI limitation bucket for a donation.
+ * Expects the donation row joined with charities.organization_type.
+ */
+export function classifyDonation(donation) {
+  const isPrivateFoundation = donation.organization_type === 'private_foundation';
+
+  if (CASH_TYPES.includes(donation.type)) {
+    return isPrivateFoundation ? 'private_30' : 'cash_60';
+  }
+
+  if (CAPITAL_ASSET_TYPES.includes(donation.type)) {
+    const metadata = parseMetadata(donation.metadata);
+    const fmv = parseFloat(donation.fair_market_value) || 0;
+    const basis = parseFloat(donation.cost_basis);
+    const appreciated = isNaN(basis) || fmv > basis;
+
+    // Lot-based donations record their holding period; 'mixed' lots are split by getDonationBucketAmounts
+    const isLongTerm = metadata.holdingPeriod
+      ? metadata.holdingPeriod !== 'short'
+      : isLongTermHolding(metadata.dateAcquired, donation.date);
+
+    if (appreciated && isLongTerm) {
+      return isPrivateFoundation ? 'capital_gain_20' : 'capital_gain_30';
+    }
+  }
+
+  // Items and short-term or depreciated securities are ordinary-income property
+  return isPrivateFoundation ? 'private_30' : 'ordinary_50';
+}
+
+/**
+ * Split a donation's deductible amount across limitation buckets.
+ * Gifts drawn from both short- and long-term lots put the short-term portion
+ * in the ordinary-income bucket.
+ * @returns {Array<{ bucket: string, amount: number }>}
+ */
+export function getDonationBucketAmounts(donation) {
+  const bucket = classifyDonation(donation);
+  const amount = parseFloat(donation.tax_deductible_amount) || 0;
+  const metadata = parseMetadata(donation.metadata);
+
+  if (metadata.holdingPeriod === 'mixed' && bucket.startsWith('capital_gain')) {
+    const shortTerm = Math.min(amount, parseFloat(metadata.shortTermDeductible) || 0);
+    const ordinaryBucket = donation.organization_type === 'private_foundation' ? 'private_30' : 'ordinary_50';
+    return [
+      { bucket, amount: amount - shortTerm },
+      { bucket: ordinaryBucket, amount: shortTerm }
+    ];
+  }
+
+  return [{ bucket, amount }];
+}
+
+/**
+ * Compute the allowable charitable deduction for a year.
+ * @param {Array} donations - Donation rows joined with charities.organization_type
+ * @param {number} agi - Adjusted gross income for the year
+ * @param {Object} carryover - Optional prior-year carryover amounts keyed by bucket,
+ *   applied after current-year contributions in the same bucket
+ * Each bucket reports the carryover used and the current-year excess that carries forward.
+ */
+export function computeDeductionWorksheet(donations, agi, carryover = {}) {
+  const totals = {};
+  const donationIds = {};
+
+  for (const key of Object.keys(DEDUCTION_BUCKETS)) {
+    totals[key] = 0;
+    donationIds[key] = [];
+  }
+
+  for (const donation of donations) {
+    for (const { bucket, amount } of getDonationBucketAmounts(donation)) {
+      totals[bucket] += amount;
+      if (!donationIds[bucket].includes(donation.id)) {
+        donationIds[bucket].push(donation.id);
+      }
+    }
+  }
+
+  const limitOf = percent => (agi * percent) / 100;
+  const allowed = {};
+  const available = {};
+
+  for (const key of Object.keys(DEDUCTION_BUCKETS)) {
+    available[key] = totals[key] + (parseFloat(carryover[key]) || 0);
+  }
+
+  // 50% ordinary-income property to public charities
+  allowed.ordinary_50 = Math.min(available.ordinary_50, limitOf(50));
+
+  // 60% cash, reduced by the 50% contributions already allowed
+  allowed.cash_60 = Math.min(available.cash_60, Math.max(0, limitOf(60) - allowed.ordinary_50));
+
+  // 30% capital gain property, limited to what remains under the 50% ceiling
+  allowed.capital_gain_30 = Math.min(
+    available.capital_gain_30,
+    limitOf(30),
+    Math.max(0, limitOf(50) - allowed.ordinary_50 - allowed.cash_60)
+  );
+
+  // 30% private foundation gifts, limited by gifts to public charities
+  const publicCharityTotal = available.ordinary_50 + available.cash_60 + available.capital_gain_30;
+  allowed.private_30 = Math.min(
+    available.private_30,
+    limitOf(30),
+    Math.max(0, limitOf(50) - publicCharityTotal)
+  );
+
+  // 20% capital gain property to private foundations
+  allowed.capital_gain_20 = Math.min(
+    available.capital_gain_20,
+    limitOf(20),
+    Math.max(0, limitOf(30) - allowed.private_30),
+    Math.max(0, limitOf(30) - available.capital_gain_30)
+  );
+
+  // Overall ceiling
+  let remaining = limitOf(OVERALL_LIMIT_PERCENT);
+  for (const key of Object.keys(DEDUCTION_BUCKETS)) {
+    allowed[key] = Math.max(0, Math.min(allowed[key], remaining));
+    remaining -= allowed[key];
+  }
+
+  // Current-year contributions are deducted before carryovers in each bucket
+  const buckets = Object.entries(DEDUCTION_BUCKETS).map(([key, definition]) => {
+    const currentAllowed = Math.min(totals[key], allowed[key]);
+
+    return {
+      key,
+      label: definition.label,
+      limit_percent: definition.limit_percent,
+      limit_amount: roundCents(limitOf(definition.limit_percent)),
+      contributions: roundCents(totals[key]),
+      carryover_available: roundCents(parseFloat(carryover[key]) || 0),
+      allowed: roundCents(allowed[key]),
+      carryover_used: roundCents(allowed[key] - currentAllowed),
+      excess: roundCents(totals[key] - currentAllowed),
+      donation_ids: donationIds[key]
+    };
+  });
+
+  const sum = field => roundCents(buckets.reduce((total, bucket) => total + bucket[field], 0));
+
+  return {
+    agi: roundCents(agi),
+    buckets,
+    total_contributions: sum('contributions'),
+    total_carryover_available: sum('carryover_available'),
+    total_allowed: sum('allowed'),
+    total_carryover_used: sum('carryover_used'),
+    total_excess: sum('excess')
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Tests for Schedule A deduction buckets and limits
+ */
+
+import { classifyDonation, computeDeductionWorksheet, getDonationBucketAmounts } from './deductions.js';
+
+const stockGift = (overrides = {}) => ({
+  id: 'stock-1',
+  type: 'stock',
+  date: '2024-03-01',
+  fair_market_value: 50000,
+  cost_basis: 20000,
+  tax_deductible_amount: 50000,
+  organization_type: 'public_charity',
+  ...overrides
+});
+
+const mixedMetadata = shortTermDeductible => JSON.stringify({ holdingPeriod: 'mixed', shortTermDeductible });
+
+describe('classifyDonation', () => {
+  test('uses the recorded holding period of lot-based gifts', () => {
+    expect(classifyDonation(stockGift({ metadata: JSON.stringify({ holdingPeriod: 'long' }) }))).toBe('capital_gain_30');
+    expect(classifyDonation(stockGift({ metadata: JSON.stringify({ holdingPeriod: 'short' }) }))).toBe('ordinary_50');
+    expect(classifyDonation(stockGift({ metadata: mixedMetadata(10000) }))).toBe('capital_gain_30');
+  });
+
+  test('falls back to the acquisition date', () => {
+    expect(classifyDonation(stockGift({ metadata: JSON.stringify({ dateAcquired: '2023-06-01' }) }))).toBe('ordinary_50');
+    expect(classifyDonation(stockGift({ metadata: JSON.stringify({ dateAcquired: '2022-06-01' }) }))).toBe('capital_gain_30');
+  });
+
+  test('treats depreciated securities as ordinary-income property', () => {
+    expect(classifyDonation(stockGift({ cost_basis: 60000 }))).toBe('ordinary_50');
+    expect(classifyDonation(stockGift({ cost_basis: 60000, organization_type: 'private_foundation' }))).toBe('private_30');
+  });
+});
+
+describe('getDonationBucketAmounts', () => {
+  test('splits a mixed-lot gift to a public charity', () => {
+    expect(getDonationBucketAmounts(stockGift({ metadata: mixedMetadata(10000) }))).toEqual([
+      { bucket: 'capital_gain_30', amount: 40000 },
+      { bucket: 'ordinary_50', amount: 10000 }
+    ]);
+  });
+
+  test('splits a mixed-lot gift to a private foundation', () => {
+    const donation = stockGift({ metadata: mixedMetadata(10000), organization_type: 'private_foundation' });
+
+    expect(getDonationBucketAmounts(donation)).toEqual([
+      { bucket: 'capital_gain_20', amount: 40000 },
+      { bucket: 'private_30', amount: 10000 }
+    ]);
+  });
+
+  test('never moves more than the deductible amount out of the capital gain bucket', () => {
+    expect(getDonationBucketAmounts(stockGift({ metadata: mixedMetadata(80000) }))).toEqual([
+      { bucket: 'capital_gain_30', amount: 0 },
+      { bucket: 'ordinary_50', amount: 50000 }
+    ]);
+  });
+
+  test('leaves a mixed-lot gift of depreciated stock in one bucket', () => {
+    expect(getDonationBucketAmounts(stockGift({ cost_basis: 60000, metadata: mixedMetadata(10000) }))).toEqual([
+      { bucket: 'ordinary_50', amount: 50000 }
+    ]);
+  });
+});
+
+describe('computeDeductionWorksheet', () => {
+  test('limits each portion of a mixed-lot gift by its own bucket', () => {
+    const worksheet = computeDeductionWorksheet([stockGift({ metadata: mixedMetadata(10000) })], 100000);
+    const bucket = key => worksheet.buckets.find(entry => entry.key === key);
+
+    expect(bucket('ordinary_50')).toMatchObject({ contributions: 10000, allowed: 10000, excess: 0, donation_ids: ['stock-1'] });
+    expect(bucket('capital_gain_30')).toMatchObject({ contributions: 40000, allowed: 30000, excess: 10000, donation_ids: ['stock-1'] });
+    expect(worksheet.total_allowed).toBe(40000);
+    expect(worksheet.total_excess).toBe(10000);
+  });
+
+  test('applies carryover after current-year gifts in the same bucket', () => {
+    const cash = { id: 'cash-1', type: 'money', date: '2024-01-15', tax_deductible_amount: 50000, organization_type: 'public_charity' };
+    const worksheet = computeDeductionWorksheet([cash], 100000, { cash_60: 20000 });
+    const cashBucket = worksheet.buckets.find(entry => entry.key === 'cash_60');
+
+    expect(cashBucket).toMatchObject({ contributions: 50000, allowed: 60000, carryover_used: 10000, excess: 0 });
+  });
+});
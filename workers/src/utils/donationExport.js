@@ -0,0 +1,317 @@
+/**
+ * Donation exports
+ * Builds CSV, TXF (Tax Exchange Format, read by TurboTax and H&R Block) and
+ * JSON files from donation rows joined with charity name and EIN.
+ */
+
+import { formatCsvRow } from './csv.js';
+import { parseMetadata, roundCents } from './donationRecords.js';
+import { REVOKED_CHARITY_FLAG, NOT_DEDUCTIBLE_CHARITY_FLAG } from './revocation.js';
+
+export const DONATION_EXPORT_FORMATS = ['csv', 'txf', 'json'];
+
+// Version of the JSON export layout; bump when fields change meaning
+export const DONATION_EXPORT_VERSION = 1;
+
+// Schedule A reference numbers in TXF
+const TXF_CASH_CONTRIBUTIONS = 280;
+const TXF_NONCASH_CONTRIBUTIONS = 281;
+
+// TXF memo text for flagged (not deductible) donations
+const TXF_FLAG_NOTES = {
+  [REVOKED_CHARITY_FLAG]: 'charity exemption revoked',
+  [NOT_DEDUCTIBLE_CHARITY_FLAG]: 'charity not eligible for deductible gifts'
+};
+
+// Money and out-of-pocket mileage are cash gifts on Schedule A; the rest is property
+const CASH_TYPES = ['money', 'mileage'];
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  txf: 'application/x-txf',
+  json: 'application/json'
+};
+
+const CSV_COLUMNS = [
+  'donation_id',
+  'date',
+  'type',
+  'schedule_a',
+  'charity_name',
+  'charity_ein',
+  'tax_deductible_amount',
+  'fair_market_value',
+  'cost_basis',
+  'capital_gains_avoided',
+  'description',
+  'payment_method',
+  'check_number',
+  'transaction_id',
+  'items',
+  'item_count',
+  'miles',
+  'mileage_rate',
+  'mileage_purpose',
+  'symbol',
+  'shares',
+  'security_type',
+  'crypto_amount',
+  'price_per_unit',
+  'transaction_hash',
+  'acknowledgment_status',
+  'acknowledgment_date',
+  'deductibility_flag',
+  'receipt_file_id',
+  'acknowledgment_file_id',
+  'files'
+];
+
+/**
+ * Read a stored amount as a number (null when not recorded)
+ */
+function toAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = parseFloat(value);
+  return isNaN(amount) ? null : roundCents(amount);
+}
+
+/**
+ * Whether a donation is reported as a cash or a noncash gift on Schedule A
+ */
+export function getScheduleACategory(type) {
+  return CASH_TYPES.includes(type) ? 'cash' : 'noncash';
+}
+
+/**
+ * Content type of an export format
+ */
+export function getExportContentType(format) {
+  return EXPORT_CONTENT_TYPES[format];
+}
+
+/**
+ * Describe the items of an items donation, e.g. "2 x Coat (good); 1 x Lamp (fair)"
+ */
+function describeItems(items) {
+  if (!Array.isArray(items)) return null;
+  return items
+    .map(item => `${item.quantity} x ${item.name || item.type || item.category} (${item.condition})`)
+    .join('; ');
+}
+
+/**
+ * Flatten the type-specific metadata of a donation into export columns
+ */
+function getDetailColumns(donation, metadata) {
+  const columns = {};
+
+  switch (donation.type) {
+    case 'money':
+      columns.payment_method = metadata.method;
+      columns.check_number = metadata.check_number;
+      columns.transaction_id = metadata.transaction_id;
+      break;
+
+    case 'items':
+      columns.items = describeItems(metadata.items);
+      columns.item_count = metadata.total_items ??
+        (Array.isArray(metadata.items) ? metadata.items.reduce((total, item) => total + (item.quantity || 0), 0) : null);
+      break;
+
+    case 'mileage':
+      columns.miles = metadata.miles;
+      columns.mileage_rate = metadata.rate;
+      columns.mileage_purpose = metadata.purpose;
+      break;
+
+    case 'stock':
+      columns.symbol = metadata.symbol;
+      columns.shares = metadata.shares;
+      columns.security_type = metadata.securityType;
+      break;
+
+    case 'crypto':
+      columns.symbol = metadata.symbol;
+      columns.crypto_amount = metadata.amount;
+      columns.price_per_unit = metadata.pricePerUnit;
+      columns.transaction_hash = metadata.transactionHash;
+      break;
+  }
+
+  return columns;
+}
+
+/**
+ * Describe a donation's files for export
+ * @param {Array} files - file_uploads rows attached to the donation
+ */
+function formatFiles(donation, files) {
+  return files.map(file => ({
+    file_id: file.id,
+    filename: file.original_filename,
+    content_type: file.content_type,
+    file_size: file.file_size,
+    purpose: file.id === donation.acknowledgment_file_id ? 'acknowledgment' : 'receipt',
+    uploaded_at: file.created_at,
+    url: `/api/files/${file.id}`
+  }));
+}
+
+/**
+ * Build a CSV export with one row per donation
+ * @param {Array} donations - Donation rows with charity_name and charity_ein
+ * @param {Map<string, Array>} filesByDonation - file_uploads rows by donation id
+ */
+export function buildDonationsCsv(donations, filesByDonation = new Map()) {
+  const lines = [formatCsvRow(CSV_COLUMNS)];
+
+  for (const donation of donations) {
+    const metadata = parseMetadata(donation.metadata);
+    const files = filesByDonation.get(donation.id) || [];
+    const record = {
+      donation_id: donation.id,
+      date: donation.date,
+      type: donation.type,
+      schedule_a: getScheduleACategory(donation.type),
+      charity_name: donation.charity_name,
+      charity_ein: donation.charity_ein,
+      tax_deductible_amount: toAmount(donation.tax_deductible_amount),
+      fair_market_value: toAmount(donation.fair_market_value),
+      cost_basis: toAmount(donation.cost_basis),
+      capital_gains_avoided: toAmount(donation.capital_gains_avoided),
+      description: donation.description,
+      ...getDetailColumns(donation, metadata),
+      acknowledgment_status: donation.acknowledgment_status,
+      acknowledgment_date: donation.acknowledgment_date,
+      deductibility_flag: donation.deductibility_flag,
+      receipt_file_id: donation.receipt_file_id,
+      acknowledgment_file_id: donation.acknowledgment_file_id,
+      files: formatFiles(donation, files).map(file => `${file.filename} (${file.file_id})`).join('; ')
+    };
+
+    lines.push(formatCsvRow(CSV_COLUMNS.map(column => record[column])));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Format a YYYY-MM-DD date as MM/DD/YYYY for TXF
+ */
+function formatTxfDate(date) {
+  const [year, month, day] = String(date).slice(0, 10).split('-');
+  return `${month}/${day}/${year}`;
+}
+
+/**
+ * Keep TXF field text on one line
+ */
+function txfText(value) {
+  return String(value).replace(/[\r\n^]+/g, ' ').trim();
+}
+
+/**
+ * Build a TXF (V042) export: one Schedule A detail record per donation,
+ * under cash or noncash contributions. Amounts are negative, as expenses are
+ * in TXF files exported by Quicken. Flagged donations are not deductible: they
+ * are written with a zero amount and the reason in the memo.
+ * @param {Array} donations - Donation rows with charity_name and charity_ein
+ * @param {Date} exportedAt - Export time written to the header
+ */
+export function buildDonationsTxf(donations, exportedAt = new Date()) {
+  const lines = [
+    'V042',
+    'ACharity Tracker',
+    `D${formatTxfDate(exportedAt.toISOString())}`,
+    '^'
+  ];
+
+  for (const donation of donations) {
+    const flagged = !!donation.deductibility_flag;
+    const amount = flagged ? 0 : toAmount(donation.tax_deductible_amount) || 0;
+    const metadata = parseMetadata(donation.metadata);
+    const memo = [
+      flagged ? `Not deductible: ${TXF_FLAG_NOTES[donation.deductibility_flag] || donation.deductibility_flag}` : null,
+      donation.charity_ein ? `EIN ${donation.charity_ein}` : null,
+      metadata.check_number ? `Check ${metadata.check_number}` : null,
+      donation.type === 'money' ? null : donation.type,
+      donation.description
+    ].filter(Boolean).join(', ');
+
+    lines.push(
+      'TD',
+      `N${getScheduleACategory(donation.type) === 'cash' ? TXF_CASH_CONTRIBUTIONS : TXF_NONCASH_CONTRIBUTIONS}`,
+      'C1',
+      'L1',
+      `D${formatTxfDate(donation.date)}`,
+      `$${(-amount).toFixed(2)}`,
+      `P${txfText(donation.charity_name || 'Unknown charity')}`
+    );
+    if (memo) lines.push(`X${txfText(memo)}`);
+    lines.push('^');
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the JSON export (layout documented in the README and in the frontend
+ * DonationExport interface)
+ * @param {Array} donations - Donation rows with charity_name and charity_ein
+ * @param {Map<string, Array>} filesByDonation - file_uploads rows by donation id
+ * @param {Object} period - { from, to, tax_year } (tax_year null for a date range)
+ */
+export function buildDonationsJson(donations, filesByDonation, period, exportedAt = new Date()) {
+  const totals = { count: donations.length, tax_deductible_amount: 0, cash: 0, noncash: 0 };
+
+  const records = donations.map(donation => {
+    const amount = toAmount(donation.tax_deductible_amount) || 0;
+    const category = getScheduleACategory(donation.type);
+
+    // Flagged gifts are not deductible
+    if (!donation.deductibility_flag) {
+      totals.tax_deductible_amount += amount;
+      totals[category] += amount;
+    }
+
+    return {
+      id: donation.id,
+      date: donation.date,
+      type: donation.type,
+      schedule_a: category,
+      charity: {
+        id: donation.charity_id,
+        name: donation.charity_name || null,
+        ein: donation.charity_ein || null
+      },
+      tax_deductible_amount: amount,
+      fair_market_value: toAmount(donation.fair_market_value),
+      cost_basis: toAmount(donation.cost_basis),
+      capital_gains_avoided: toAmount(donation.capital_gains_avoided),
+      description: donation.description || null,
+      details: parseMetadata(donation.metadata),
+      acknowledgment: {
+        status: donation.acknowledgment_status || null,
+        date: donation.acknowledgment_date || null,
+        file_id: donation.acknowledgment_file_id || null
+      },
+      receipt_file_id: donation.receipt_file_id || null,
+      deductibility_flag: donation.deductibility_flag || null,
+      recurring_donation_id: donation.recurring_donation_id || null,
+      files: formatFiles(donation, filesByDonation.get(donation.id) || [])
+    };
+  });
+
+  for (const key of ['tax_deductible_amount', 'cash', 'noncash']) {
+    totals[key] = roundCents(totals[key]);
+  }
+
+  return JSON.stringify({
+    format: 'charity-tracker-donations',
+    version: DONATION_EXPORT_VERSION,
+    exported_at: exportedAt.toISOString(),
+    period,
+    totals,
+    donations: records
+  }, null, 2);
+}
@@ -0,0 +1,594 @@
+/**
+ * Donation imports from bank, card and spreadsheet exports
+ * Files are read into rows of { date, amount, charity_name, charity_ein, ... }
+ * through a column mapping (CSV) or the statement transactions (OFX/QFX); each
+ * row is then matched to a charity and checked against the user's existing
+ * donations before anything is written.
+ */
+
+import { parseCsv, normalizeHeader, toRecord, formatCsvRow } from './csv.js';
+import { parseOfx, isOfx } from './ofx.js';
+import { normalizeEin } from './irs.js';
+import { searchCharities, tokenize } from './charitySearch.js';
+import { nameSimilarity } from './charityDuplicates.js';
+import { isValidDate, sanitizeInput } from './validation.js';
+import { queryInGroups } from './d1.js';
+
+export const DONATION_IMPORT_FORMATS = ['csv', 'template', 'ofx', 'qfx'];
+
+// Rows accepted per request
+export const MAX_IMPORT_ROWS = 1000;
+
+// Distinct payee names searched per request; each search is several D1 queries
+export const MAX_NAME_SEARCHES = 50;
+
+// Fields a CSV column can be mapped to, with the headers each is detected from
+export const DONATION_IMPORT_FIELDS = {
+  date: ['date', 'donation_date', 'transaction_date', 'trans_date', 'posted_date', 'post_date', 'posting_date'],
+  amount: ['amount', 'donation_amount', 'gift_amount', 'total'],
+  debit: ['debit', 'debit_amount', 'withdrawal', 'withdrawals', 'withdrawal_amount'],
+  credit: ['credit', 'credit_amount', 'deposit', 'deposits'],
+  charity_name: ['charity_name', 'charity', 'organization', 'organization_name', 'payee', 'merchant', 'name', 'description'],
+  charity_ein: ['charity_ein', 'ein', 'tax_id'],
+  description: ['memo', 'notes', 'note', 'description', 'purpose'],
+  payment_method: ['payment_method', 'method', 'payment_type'],
+  check_number: ['check_number', 'check', 'check_no', 'check_num']
+};
+
+// Sign of payments in a single signed amount column: bank exports show money out
+// as negative, card exports show charges as positive
+export const AMOUNT_SIGNS = ['negative', 'positive'];
+
+// Columns of the spreadsheet template, in order
+export const DONATION_TEMPLATE_COLUMNS = [
+  'date', 'charity_name', 'charity_ein', 'amount', 'payment_method', 'check_number', 'description'
+];
+
+// Payment methods accepted in money donation metadata, by lowercase alias
+const PAYMENT_METHOD_ALIASES = {
+  cash: 'Cash',
+  check: 'Check',
+  cheque: 'Check',
+  'credit card': 'Credit Card',
+  credit: 'Credit Card',
+  card: 'Credit Card',
+  'debit card': 'Credit Card',
+  debit: 'Credit Card',
+  'bank transfer': 'Bank Transfer',
+  bank: 'Bank Transfer',
+  transfer: 'Bank Transfer',
+  ach: 'Bank Transfer',
+  eft: 'Bank Transfer',
+  wire: 'Bank Transfer',
+  other: 'Other'
+};
+
+// Card processor and bank prefixes that hide the payee name, e.g. "PAYPAL *REDCROSS"
+const PAYEE_PREFIXES = /^(?:(?:paypal|sq|sp|tst|pp|gofundme|pos|ach|debit|checkcard|check card|purchase|recurring|online|web)\b\s*\*?\s*)+/i;
+
+// Days apart an existing donation of the same amount to the same charity is still
+// treated as the same gift (card and bank posting dates lag the gift date)
+const DUPLICATE_DATE_WINDOW_DAYS = 3;
+
+// Minimum name similarity for a charity to be matched without the user choosing it
+const NAME_MATCH_MIN_SCORE = 0.85;
+
+/**
+ * Normalize a payment method to one accepted in money donation metadata
+ * @returns {string | null}
+ */
+export function normalizePaymentMethod(method) {
+  const value = String(method || '').trim().toLowerCase();
+  return PAYMENT_METHOD_ALIASES[value] || null;
+}
+
+/**
+ * Parse an amount such as "$1,234.56", "-25.00" or "(25.00)"
+ * @returns {number | null}
+ */
+export function parseImportAmount(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || /^-|-$|\bdr$/i.test(text);
+  const number = parseFloat(text.replace(/[^\d.]/g, ''));
+  if (isNaN(number)) return null;
+
+  return Math.round((negative ? -number : number) * 100) / 100;
+}
+
+/**
+ * Parse a date in YYYY-MM-DD, YYYYMMDD, MM/DD/YYYY or MM/DD/YY form
+ * @returns {string | null} YYYY-MM-DD
+ */
+export function parseImportDate(value) {
+  const text = String(value || '').trim();
+  let year;
+  let month;
+  let day;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/))) {
+    [, month, day, year] = match;
+    if (year.length === 2) year = `20${year}`;
+  } else {
+    return null;
+  }
+
+  const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const parsed = new Date(`${date}T00:00:00Z`);
+
+  // Reject dates that roll over, e.g. 02/30
+  if (!isValidDate(date) || parsed.toISOString().slice(0, 10) !== date) return null;
+  return date;
+}
+
+/**
+ * Strip card processor prefixes and reference numbers from a payee name
+ */
+export function cleanPayeeName(name) {
+  return String(name || '')
+    .replace(PAYEE_PREFIXES, '')
+    .split(/\s+/)
+    .filter(word => !/\d{3,}/.test(word) && !/^#/.test(word))
+    .join(' ')
+    .trim();
+}
+
+/**
+ * Work out which column each field is read from. Explicit mappings (field to
+ * column header) win; other fields are detected from the headers, and a column
+ * is used for at most one field.
+ * @returns {{ mapping: Object, errors: Array<string> }} mapping of field to column index
+ */
+export function resolveColumnMapping(headers, requested = {}) {
+  const columns = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+  const errors = [];
+
+  for (const [field, header] of Object.entries(requested || {})) {
+    if (!DONATION_IMPORT_FIELDS[field]) {
+      errors.push(`Unknown import field: ${field}`);
+      continue;
+    }
+
+    const index = columns.indexOf(normalizeHeader(header));
+    if (index === -1) {
+      errors.push(`Column not found for ${field}: ${header}`);
+      continue;
+    }
+
+    mapping[field] = index;
+    used.add(index);
+  }
+
+  for (const [field, aliases] of Object.entries(DONATION_IMPORT_FIELDS)) {
+    if (mapping[field] !== undefined) continue;
+
+    const index = aliases
+      .map(alias => columns.indexOf(alias))
+      .find(candidate => candidate !== -1 && !used.has(candidate));
+
+    if (index !== undefined) {
+      mapping[field] = index;
+      used.add(index);
+    }
+  }
+
+  return { mapping, errors };
+}
+
+/**
+ * Work out the sign payments carry in a signed amount column. Without amount_sign,
+ * a column of one sign is all payments; a mixed column takes the more common sign
+ * as payments, and negative on a tie, as bank exports do.
+ * @returns {string | null} 'negative', 'positive', or null when every amount is a payment
+ */
+function resolveAmountSign(amounts, amountSign) {
+  if (amountSign) return amountSign;
+
+  const negative = amounts.filter(amount => amount < 0).length;
+  const positive = amounts.filter(amount => amount > 0).length;
+  if (negative === 0 || positive === 0) return null;
+
+  return positive > negative ? 'positive' : 'negative';
+}
+
+/**
+ * Read the rows of a CSV export through a column mapping
+ * @param {Object} options - { mapping, payment_method, charity_id, amount_sign }
+ * @returns {{ columns: Array<string>, mapping: Object, amount_sign: string | null, rows: Array, errors: Array<string> }}
+ */
+function readCsvRows(data, options) {
+  const [headerRecord, ...dataRecords] = parseCsv(data);
+  if (dataRecords.length === 0) {
+    return { columns: [], mapping: {}, rows: [], errors: ['CSV must contain header row and at least one data row'] };
+  }
+
+  const headers = headerRecord.values;
+  const { mapping, errors } = resolveColumnMapping(headers, options.mapping);
+
+  if (mapping.date === undefined) {
+    errors.push('A date column is required');
+  }
+  if (mapping.amount === undefined && mapping.debit === undefined) {
+    errors.push('An amount or debit column is required');
+  }
+  if (mapping.charity_name === undefined && mapping.charity_ein === undefined && !options.charity_id) {
+    errors.push('A charity name or EIN column is required, or choose one charity for every row');
+  }
+
+  const fieldNames = Object.fromEntries(Object.entries(mapping).map(([field, index]) => [field, headers[index]]));
+  if (errors.length > 0) {
+    return { columns: headers, mapping: fieldNames, rows: [], errors };
+  }
+
+  const fields = Object.keys(mapping);
+  const rowValues = dataRecords.map(record => toRecord(fields, fields.map(field => record.values[mapping[field]])));
+  const amountSign = resolveAmountSign(
+    rowValues.map(values => parseImportAmount(values.amount)).filter(amount => amount !== null),
+    options.amount_sign
+  );
+
+  const rows = dataRecords.map((record, index) => {
+    const values = rowValues[index];
+    const row = {
+      row: record.line,
+      errors: record.error ? [{ field: null, message: record.error }] : []
+    };
+
+    // A signed amount column holds money in with the opposite sign to payments
+    let amount = parseImportAmount(values.amount);
+    if (amount && amountSign && (amount < 0) !== (amountSign === 'negative')) {
+      row.skip_reason = 'Deposit or credit, not a payment';
+    }
+
+    // Bank exports split money out and money in; a row with only money in is not a gift
+    if (amount === null && values.debit !== undefined) {
+      amount = parseImportAmount(values.debit);
+      if (amount === null && parseImportAmount(values.credit) !== null) {
+        row.skip_reason = 'Deposit or credit, not a payment';
+      }
+    }
+
+    row.date = parseImportDate(values.date);
+    row.amount = amount === null ? null : Math.abs(amount);
+    row.charity_name = sanitizeInput(values.charity_name || '') || null;
+    row.charity_ein = values.charity_ein ? normalizeEin(values.charity_ein) : null;
+    row.description = sanitizeInput(values.description || '') || null;
+    row.check_number = values.check_number || null;
+    row.payment_method = normalizePaymentMethod(values.payment_method) ||
+      (row.check_number ? 'Check' : options.payment_method || 'Other');
+
+    if (values.payment_method && !normalizePaymentMethod(values.payment_method)) {
+      row.errors.push({ field: 'payment_method', message: `Unknown payment method: ${values.payment_method}` });
+    }
+    if (values.charity_ein && !row.charity_ein) {
+      row.errors.push({ field: 'charity_ein', message: `Invalid EIN: ${values.charity_ein}` });
+    }
+
+    return row;
+  });
+
+  return { columns: headers, mapping: fieldNames, amount_sign: amountSign, rows, errors: [] };
+}
+
+/**
+ * Read the payments of an OFX/QFX statement
+ * @returns {{ columns: Array<string>, mapping: Object, rows: Array, errors: Array<string> }}
+ */
+function readOfxRows(data, options) {
+  const { accountType, transactions, error } = parseOfx(data);
+  if (error) {
+    return { columns: [], mapping: {}, rows: [], errors: [error] };
+  }
+
+  const accountMethod = accountType === 'credit_card' ? 'Credit Card' : 'Bank Transfer';
+
+  const rows = transactions.map(transaction => {
+    const row = {
+      row: transaction.index,
+      date: transaction.date,
+      amount: transaction.amount === null ? null : Math.abs(transaction.amount),
+      charity_name: sanitizeInput(transaction.name || '') || null,
+      charity_ein: null,
+      description: sanitizeInput(transaction.memo || '') || null,
+      check_number: transaction.check_number,
+      payment_method: transaction.check_number || transaction.type === 'CHECK'
+        ? 'Check'
+        : options.payment_method || accountMethod,
+      import_id: transaction.fitid ? `${transaction.account_id || ''}:${transaction.fitid}` : null,
+      errors: []
+    };
+
+    // Statement amounts are signed: payments are negative
+    if (transaction.amount !== null && transaction.amount > 0) {
+      row.skip_reason = 'Deposit or credit, not a payment';
+    }
+
+    return row;
+  });
+
+  return { columns: [], mapping: {}, rows, errors: [] };
+}
+
+/**
+ * Read an uploaded export into import rows
+ * @param {Object} options - { format, mapping, payment_method, charity_id, amount_sign }
+ * @returns {{ format: string, columns: Array<string>, mapping: Object, rows: Array, errors: Array<string> }}
+ */
+export function readDonationImportRows(data, options = {}) {
+  const format = options.format || (isOfx(data) ? 'ofx' : 'csv');
+  const read = format === 'ofx' || format === 'qfx' ? readOfxRows : readCsvRows;
+  const result = read(data, options);
+
+  if (result.rows.length > MAX_IMPORT_ROWS) {
+    result.errors.push(`Imports are limited to ${MAX_IMPORT_ROWS} rows; split the file and import each part`);
+  }
+
+  // Check the fields every row needs
+  for (const row of result.rows) {
+    if (!row.date) row.errors.push({ field: 'date', message: 'Missing or invalid date' });
+    if (row.amount === null) row.errors.push({ field: 'amount', message: 'Missing or invalid amount' });
+    else if (row.amount <= 0 || row.amount > 1000000) {
+      row.errors.push({ field: 'amount', message: 'Amount must be greater than zero and at most 1,000,000' });
+    }
+    if (!row.charity_name && !row.charity_ein && !options.charity_id) {
+      row.errors.push({ field: 'charity_name', message: 'Missing charity name or EIN' });
+    }
+  }
+
+  return { format, ...result };
+}
+
+/**
+ * Load charities by id
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function getCharitiesById(env, charityIds) {
+  const ids = [...new Set(charityIds.filter(Boolean))];
+
+  const rows = await queryInGroups(ids, (placeholders, group) => env.DB.prepare(`
+    SELECT id, name, ein, is_verified, deductibility_status, revocation_date, reinstatement_date
+    FROM charities WHERE id IN (${placeholders})
+  `).bind(...group));
+
+  return new Map(rows.map(row => [row.id, row]));
+}
+
+/**
+ * Find the charity a payee name refers to among search candidates
+ * @returns {{ charity: Object | null, candidates: Array }}
+ */
+async function matchCharityName(env, userId, name) {
+  const payee = cleanPayeeName(name) || name;
+  if (tokenize(payee).length === 0) return { charity: null, candidates: [] };
+
+  const results = await searchCharities(env, { query: payee, userId, limit: 5 });
+  const candidates = results
+    .map(charity => ({
+      id: charity.id,
+      name: charity.name,
+      ein: charity.ein,
+      is_verified: charity.is_verified,
+      donated_to: charity.donated_to,
+      similarity: Math.round(Math.max(
+        ...[charity.name, ...charity.aliases].map(candidate => nameSimilarity(payee, candidate))
+      ) * 100) / 100
+    }))
+    .sort((a, b) => b.similarity - a.similarity || b.donated_to - a.donated_to || b.is_verified - a.is_verified);
+
+  const [best, next] = candidates;
+  const isClear = best && best.similarity >= NAME_MATCH_MIN_SCORE &&
+    (!next || next.similarity < best.similarity || (best.donated_to && !next.donated_to));
+
+  return { charity: isClear ? best : null, candidates: candidates.slice(0, 3) };
+}
+
+/**
+ * Match each row to a charity: a charity chosen for the file or for the row's
+ * charity name, then the EIN, then the charity an earlier import of the same
+ * payee went to, the user's nicknames, and finally a name search.
+ * Rows without a clear match get up to three candidates to choose from.
+ * Rows that are skipped or have errors are not searched, and at most
+ * MAX_NAME_SEARCHES names are; the rest are left for the user to choose.
+ * @param {Object} options - { charity_id, charity_map: { [charity name]: charity id }, skip_rows }
+ */
+export async function matchImportCharities(env, userId, rows, options = {}) {
+  const charityMap = options.charity_map || {};
+  const chosen = await getCharitiesById(env, [options.charity_id, ...Object.values(charityMap)]);
+
+  const eins = [...new Set(rows.map(row => row.charity_ein).filter(Boolean))];
+  const found = await queryInGroups(eins, (placeholders, group) => env.DB.prepare(`
+    SELECT id, ein FROM charities WHERE ein IN (${placeholders})
+  `).bind(...group));
+  const byEin = new Map(found.map(charity => [charity.ein, charity.id]));
+
+  // Payees of earlier imports, and the user's nicknames for charities
+  const previous = await env.DB.prepare(`
+    SELECT json_extract(metadata, '$.importPayee') as payee, charity_id
+    FROM donations
+    WHERE user_id = ? AND json_extract(metadata, '$.importPayee') IS NOT NULL
+    ORDER BY date ASC
+  `).bind(userId).all();
+  const byPayee = new Map((previous.results || []).map(row => [row.payee.toLowerCase(), row.charity_id]));
+
+  const nicknames = await env.DB.prepare(`
+    SELECT nickname, charity_id FROM user_charities
+    WHERE user_id = ? AND nickname IS NOT NULL
+  `).bind(userId).all();
+  const byNickname = new Map((nicknames.results || []).map(row => [row.nickname.trim().toLowerCase(), row.charity_id]));
+
+  // Search each distinct payee name once
+  const skipRows = new Set((options.skip_rows || []).map(Number));
+  const searches = new Map();
+  const matches = new Map();
+
+  for (const row of rows) {
+    const name = row.charity_name?.toLowerCase();
+    let charityId = null;
+    let match = null;
+
+    if (row.charity_name && charityMap[row.charity_name]) {
+      charityId = charityMap[row.charity_name];
+      match = 'selected';
+    } else if (options.charity_id) {
+      charityId = options.charity_id;
+      match = 'selected';
+    } else if (row.charity_ein && byEin.has(row.charity_ein)) {
+      charityId = byEin.get(row.charity_ein);
+      match = 'ein';
+    } else if (name && byPayee.has(name)) {
+      charityId = byPayee.get(name);
+      match = 'previous_import';
+    } else if (name && byNickname.has(name)) {
+      charityId = byNickname.get(name);
+      match = 'nickname';
+    } else if (row.charity_name && !row.skip_reason && row.errors.length === 0 && !skipRows.has(row.row)) {
+      if (!searches.has(name) && searches.size < MAX_NAME_SEARCHES) {
+        searches.set(name, await matchCharityName(env, userId, row.charity_name));
+      }
+      if (searches.has(name)) {
+        const { charity, candidates } = searches.get(name);
+        charityId = charity?.id || null;
+        match = charity ? 'name' : null;
+        row.candidates = candidates;
+      } else {
+        row.search_skipped = true;
+      }
+    }
+
+    if (match === 'selected' && !chosen.has(charityId)) {
+      row.errors.push({ field: 'charity_id', message: 'Selected charity not found' });
+      charityId = null;
+    }
+
+    matches.set(row, { charityId, match });
+  }
+
+  const charities = await getCharitiesById(env, [...matches.values()].map(({ charityId }) => charityId));
+
+  for (const [row, { charityId, match }] of matches) {
+    const charity = charities.get(charityId);
+    row.charity = charity ? { ...charity, match } : null;
+  }
+}
+
+/**
+ * Days between two YYYY-MM-DD dates
+ */
+function daysBetween(a, b) {
+  return Math.abs(new Date(`${a}T00:00:00Z`) - new Date(`${b}T00:00:00Z`)) / 86400000;
+}
+
+/**
+ * Flag rows that repeat an existing donation: the same statement transaction
+ * imported before, or a gift of the same amount to the same charity within a
+ * few days. A transaction repeated within the file is also flagged.
+ */
+export async function findImportDuplicates(env, userId, rows) {
+  const dated = rows.filter(row => row.charity && row.date && row.amount);
+  const importIds = rows.map(row => row.import_id).filter(Boolean);
+  const existing = [];
+
+  if (dated.length > 0) {
+    const dates = dated.map(row => row.date).sort();
+    const found = await env.DB.prepare(`
+      SELECT id, charity_id, date, tax_deductible_amount, json_extract(metadata, '$.importId') as import_id
+      FROM donations
+      WHERE user_id = ? AND date BETWEEN date(?, '-${DUPLICATE_DATE_WINDOW_DAYS} days') AND date(?, '+${DUPLICATE_DATE_WINDOW_DAYS} days')
+    `).bind(userId, dates[0], dates[dates.length - 1]).all();
+    existing.push(...(found.results || []));
+  }
+
+  existing.push(...await queryInGroups(importIds, (placeholders, group) => env.DB.prepare(`
+    SELECT id, charity_id, date, tax_deductible_amount, json_extract(metadata, '$.importId') as import_id
+    FROM donations
+    WHERE user_id = ? AND json_extract(metadata, '$.importId') IN (${placeholders})
+  `).bind(userId, ...group)));
+
+  const seenImportIds = new Map();
+
+  for (const row of rows) {
+    const duplicate = existing.find(donation =>
+      (row.import_id && donation.import_id === row.import_id) ||
+      (row.charity && row.date && row.amount !== null &&
+        donation.charity_id === row.charity.id &&
+        Math.abs(parseFloat(donation.tax_deductible_amount) - row.amount) < 0.005 &&
+        daysBetween(donation.date, row.date) <= DUPLICATE_DATE_WINDOW_DAYS)
+    );
+
+    if (duplicate) {
+      row.duplicate_of = {
+        donation_id: duplicate.id,
+        date: duplicate.date,
+        amount: parseFloat(duplicate.tax_deductible_amount)
+      };
+    } else if (row.import_id && seenImportIds.has(row.import_id)) {
+      row.duplicate_of = { row: seenImportIds.get(row.import_id) };
+    }
+
+    if (row.import_id && !seenImportIds.has(row.import_id)) {
+      seenImportIds.set(row.import_id, row.row);
+    }
+  }
+}
+
+/**
+ * Decide what happens to each row:
+ * ready, duplicate, needs_charity, error, or skipped
+ * @param {Object} options - { skip_rows: Array<number>, skip_duplicates }
+ */
+export function assignImportStatuses(rows, options = {}) {
+  const skipRows = new Set((options.skip_rows || []).map(Number));
+  const skipDuplicates = options.skip_duplicates !== false;
+
+  for (const row of rows) {
+    if (skipRows.has(row.row)) {
+      row.status = 'skipped';
+      row.skip_reason = 'Left out by the user';
+    } else if (row.skip_reason) {
+      row.status = 'skipped';
+    } else if (row.errors.length > 0) {
+      row.status = 'error';
+    } else if (!row.charity) {
+      row.status = 'needs_charity';
+    } else if (row.duplicate_of && skipDuplicates) {
+      row.status = 'duplicate';
+    } else {
+      row.status = 'ready';
+    }
+  }
+}
+
+/**
+ * Build the money donation metadata for an imported row
+ */
+export function buildImportMetadata(row, format) {
+  const metadata = {
+    method: row.payment_method,
+    importSource: format,
+    importedAt: new Date().toISOString()
+  };
+
+  if (row.check_number) metadata.check_number = row.check_number;
+  if (row.charity_name) metadata.importPayee = row.charity_name;
+  if (row.import_id) metadata.importId = row.import_id;
+
+  return metadata;
+}
+
+/**
+ * Build the template CSV with an example row
+ */
+export function buildImportTemplate() {
+  return [
+    formatCsvRow(DONATION_TEMPLATE_COLUMNS),
+    formatCsvRow(['2024-03-15', 'American Red Cross', '53-0196605', '100.00', 'Check', '1042', 'Disaster relief'])
+  ].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,23 @@
+/**
+ * Helpers for reading stored donation and charity rows
+ */
+
+/**
+ * Parse donation or charity metadata JSON safely
+ */
+export function parseMetadata(metadata) {
+  if (!metadata) return {};
+  if (typeof metadata === 'object') return metadata;
+  try {
+    return JSON.parse(metadata);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Round a currency amount to cents
+ */
+export function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
@@ -0,0 +1,222 @@
+/**
+ * IRS Form 8283 (Noncash Charitable Contributions) builder
+ * Assembles Section A and Section B line items from donation records
+ */
+
+import { renderTextPdf, formatColumns, formatCurrency } from './pdf.js';
+import { parseMetadata } from './donationRecords.js';
+
+// Form 8283 is required once total noncash deductions for the year exceed this amount
+export const FORM_8283_THRESHOLD = 500;
+
+// Items (other than publicly traded securities) above this amount go in Section B
+export const SECTION_B_THRESHOLD = 5000;
+
+const NONCASH_TYPES = ['items', 'stock', 'crypto'];
+const PUBLICLY_TRADED_SECURITY_TYPES = ['Common Stock', 'Bond', 'Mutual Fund', 'ETF'];
+
+/**
+ * Check if a donation type is reported on Form 8283
+ */
+export function isNoncashDonationType(type) {
+  return NONCASH_TYPES.includes(type);
+}
+
+/**
+ * Describe the donated property for column (c) of the form
+ */
+export function describeProperty(donation, metadata) {
+  switch (donation.type) {
+    case 'items':
+      if (Array.isArray(metadata.items) && metadata.items.length > 0) {
+        return metadata.items
+          .map(item => `${item.quantity} x ${item.name || item.category} (${item.condition})`)
+          .join('; ');
+      }
+      break;
+
+    case 'stock':
+      if (metadata.symbol) {
+        return `${metadata.shares} shares ${metadata.symbol}${metadata.securityType ? ` (${metadata.securityType})` : ''}`;
+      }
+      break;
+
+    case 'crypto':
+      if (metadata.symbol) {
+        return `${metadata.amount} ${metadata.symbol} (digital asset)`;
+      }
+      break;
+  }
+
+  return donation.description || donation.type;
+}
+
+/**
+ * Default valuation method when the user has not recorded one
+ */
+function defaultValuationMethod(donation, section) {
+  if (section === 'B') return 'Appraisal';
+
+  switch (donation.type) {
+    case 'items':
+      return 'Thrift shop value';
+    case 'stock':
+    case 'crypto':
+      return 'Market quotation';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a donation is of publicly traded securities, which need no qualified appraisal
+ */
+export function isPubliclyTradedSecurity(donation, metadata) {
+  return donation.type === 'stock' && PUBLICLY_TRADED_SECURITY_TYPES.includes(metadata.securityType);
+}
+
+/**
+ * Determine which section of Form 8283 a donation belongs in
+ */
+function getSection(donation, metadata, amount) {
+  // Publicly traded securities are always reported in Section A
+  if (isPubliclyTradedSecurity(donation, metadata)) {
+    return 'A';
+  }
+
+  return amount > SECTION_B_THRESHOLD ? 'B' : 'A';
+}
+
+/**
+ * Section B property type (Part I, line 4)
+ */
+function getPropertyType(donation, metadata) {
+  if (metadata.propertyType) return metadata.propertyType;
+  return donation.type === 'stock' ? 'Securities' : 'Other';
+}
+
+/**
+ * Build Form 8283 line items for a tax year.
+ * Donations are expected to include charity_name, charity_ein and charity_metadata.
+ */
+export function buildForm8283(donations, year) {
+  const noncash = donations.filter(donation => isNoncashDonationType(donation.type));
+  const totalNoncash = noncash.reduce((sum, donation) => sum + (parseFloat(donation.tax_deductible_amount) || 0), 0);
+  const required = totalNoncash > FORM_8283_THRESHOLD;
+
+  const sectionA = [];
+  const sectionB = [];
+
+  if (required) {
+    for (const donation of noncash) {
+      const metadata = parseMetadata(donation.metadata);
+      const charityMetadata = parseMetadata(donation.charity_metadata);
+      const amount = parseFloat(donation.tax_deductible_amount) || 0;
+      const section = getSection(donation, metadata, amount);
+
+      const line = {
+        donation_id: donation.id,
+        donee_name: donation.charity_name,
+        donee_ein: donation.charity_ein || null,
+        donee_address: charityMetadata.address || null,
+        description: describeProperty(donation, metadata),
+        donation_type: donation.type,
+        date_of_contribution: donation.date,
+        date_acquired: metadata.dateAcquired || null,
+        how_acquired: metadata.howAcquired || null,
+        cost_basis: donation.cost_basis !== null && donation.cost_basis !== undefined
+          ? parseFloat(donation.cost_basis)
+          : null,
+        fair_market_value: parseFloat(donation.fair_market_value) || amount,
+        deduction_amount: amount,
+        valuation_method: metadata.valuationMethod || defaultValuationMethod(donation, section)
+      };
+
+      if (section === 'B') {
+        sectionB.push({
+          ...line,
+          property_type: getPropertyType(donation, metadata),
+          appraiser: typeof metadata.appraiser === 'string'
+            ? { name: metadata.appraiser }
+            : metadata.appraiser || null,
+          appraisal_required: true
+        });
+      } else {
+        sectionA.push(line);
+      }
+    }
+  }
+
+  return {
+    tax_year: parseInt(year),
+    required,
+    threshold: FORM_8283_THRESHOLD,
+    total_noncash_deduction: parseFloat(totalNoncash.toFixed(2)),
+    section_a: sectionA,
+    section_b: sectionB,
+    totals: {
+      section_a_fmv: parseFloat(sectionA.reduce((sum, line) => sum + line.fair_market_value, 0).toFixed(2)),
+      section_b_fmv: parseFloat(sectionB.reduce((sum, line) => sum + line.fair_market_value, 0).toFixed(2))
+    }
+  };
+}
+
+/**
+ * Render a built Form 8283 as a PDF worksheet
+ */
+export function renderForm8283Pdf(form, taxpayer) {
+  const lines = [
+    `FORM 8283 - NONCASH CHARITABLE CONTRIBUTIONS WORKSHEET - TAX YEAR ${form.tax_year}`,
+    `Taxpayer: ${taxpayer.name} <${taxpayer.email}>`,
+    `Total noncash deduction: ${formatCurrency(form.total_noncash_deduction)}`,
+    ''
+  ];
+
+  if (!form.required) {
+    lines.push(`Form 8283 is not required: total noncash deductions do not exceed ${formatCurrency(form.threshold)}.`);
+    return renderTextPdf(lines, { title: `Form 8283 ${form.tax_year}` });
+  }
+
+  const widths = [3, 24, 10, 10, 10, -11, -11, 18];
+  const header = formatColumns(['#', 'Donee / Description', 'EIN', 'Contrib.', 'Acquired', 'Cost basis', 'FMV', 'Method'], widths);
+
+  const renderSection = (title, sectionLines, extra) => {
+    lines.push(title, '-'.repeat(header.length), header, '-'.repeat(header.length));
+
+    if (sectionLines.length === 0) {
+      lines.push('(none)');
+    }
+
+    sectionLines.forEach((line, index) => {
+      lines.push(formatColumns([
+        index + 1,
+        line.donee_name,
+        line.donee_ein || '',
+        line.date_of_contribution,
+        line.date_acquired || 'Various',
+        line.cost_basis !== null ? formatCurrency(line.cost_basis) : 'N/A',
+        formatCurrency(line.fair_market_value),
+        line.valuation_method || ''
+      ], widths));
+      lines.push(formatColumns(['', line.description], [3, 100]));
+      if (line.donee_address) lines.push(formatColumns(['', line.donee_address], [3, 100]));
+      if (line.how_acquired) lines.push(formatColumns(['', `How acquired: ${line.how_acquired}`], [3, 100]));
+      if (extra) extra(line);
+    });
+
+    lines.push('');
+  };
+
+  renderSection('SECTION A - Donated property of $5,000 or less and publicly traded securities', form.section_a);
+  renderSection('SECTION B - Donated property over $5,000 (qualified appraisal required)', form.section_b, line => {
+    lines.push(formatColumns(['', `Property type: ${line.property_type}`], [3, 100]));
+    lines.push(formatColumns(['', `Appraiser: ${line.appraiser?.name || 'NOT RECORDED'}`], [3, 100]));
+  });
+
+  lines.push(`Section A total FMV: ${formatCurrency(form.totals.section_a_fmv)}`);
+  lines.push(`Section B total FMV: ${formatCurrency(form.totals.section_b_fmv)}`);
+  lines.push('');
+  lines.push('This worksheet summarizes your records. Transfer the amounts to the official IRS Form 8283.');
+
+  return renderTextPdf(lines, { title: `Form 8283 ${form.tax_year}` });
+}
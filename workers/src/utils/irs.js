@@ -0,0 +1,123 @@
+/**
+ * IRS exempt organization data extracts (rows come from the shared CSV parser)
+ * EO Business Master File (eo_xx.csv): https://www.irs.gov/charities-non-profits/exempt-organizations-business-master-file-extract-eo-bmf
+ * Publication 78 data (data-download-pub78.txt): organizations eligible to receive deductible contributions
+ */
+
+import { toRecord } from './csv.js';
+
+// Column order of the EO BMF CSV extract
+export const BMF_COLUMNS = [
+  'ein', 'name', 'ico', 'street', 'city', 'state', 'zip', 'group', 'subsection',
+  'affiliation', 'classification', 'ruling', 'deductibility', 'foundation', 'activity',
+  'organization', 'status', 'tax_period', 'asset_cd', 'income_cd', 'filing_req_cd',
+  'pf_filing_req_cd', 'acct_pd', 'asset_amt', 'income_amt', 'revenue_amt', 'ntee_cd', 'sort_name'
+];
+
+// Column order of the Pub 78 extract
+export const PUB78_COLUMNS = ['ein', 'name', 'city', 'state', 'country', 'deductibility_codes'];
+
+export const DEDUCTIBILITY_STATUSES = ['deductible', 'deductible_by_treaty', 'not_deductible'];
+
+// BMF DEDUCTIBILITY codes
+const BMF_DEDUCTIBILITY = {
+  '1': 'deductible',
+  '2': 'not_deductible',
+  '4': 'deductible_by_treaty'
+};
+
+// BMF FOUNDATION code for private non-operating foundations (30%/20% AGI limits).
+// Operating foundations (02, 03) are 50% organizations like public charities.
+const BMF_PRIVATE_FOUNDATION_CODE = '04';
+
+// Pub 78 deductibility code for private non-operating foundations
+const PUB78_PRIVATE_FOUNDATION_CODE = 'PF';
+
+/**
+ * Normalize an EIN to the NN-NNNNNNN format stored on charities
+ * @returns {string | null}
+ */
+export function normalizeEin(ein) {
+  const digits = String(ein || '').replace(/\D/g, '');
+  if (digits.length === 0 || digits.length > 9) return null;
+
+  const padded = digits.padStart(9, '0');
+  return `${padded.slice(0, 2)}-${padded.slice(2)}`;
+}
+
+/**
+ * Format a street address from its parts
+ */
+function formatAddress(street, city, state, zip) {
+  const locality = [city, [state, zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  return [street, locality].filter(Boolean).join(', ');
+}
+
+/**
+ * Parse one EO BMF row into a charity record
+ * @returns {{ charity: Object | null, error: string | null }}
+ */
+export function parseBmfRow(values) {
+  const record = toRecord(BMF_COLUMNS, values);
+  const ein = normalizeEin(record.ein);
+
+  if (!ein || !record.name) {
+    return { charity: null, error: 'Missing EIN or name' };
+  }
+
+  return {
+    charity: {
+      ein,
+      name: record.name,
+      organization_type: record.foundation === BMF_PRIVATE_FOUNDATION_CODE ? 'private_foundation' : 'public_charity',
+      city: record.city || null,
+      state: record.state || null,
+      address: formatAddress(record.street, record.city, record.state, record.zip) || null,
+      ntee_code: record.ntee_cd || null,
+      deductibility_status: BMF_DEDUCTIBILITY[record.deductibility] || 'not_deductible',
+      subsection: record.subsection || null
+    },
+    error: null
+  };
+}
+
+/**
+ * Parse one Pub 78 row into a charity record.
+ * Every organization listed in Pub 78 is eligible for deductible contributions.
+ * @returns {{ charity: Object | null, error: string | null }}
+ */
+export function parsePub78Row(values) {
+  const record = toRecord(PUB78_COLUMNS, values);
+  const ein = normalizeEin(record.ein);
+
+  if (!ein || !record.name) {
+    return { charity: null, error: 'Missing EIN or name' };
+  }
+
+  const codes = record.deductibility_codes
+    .split(/[,;\s]+/)
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean);
+
+  return {
+    charity: {
+      ein,
+      name: record.name,
+      organization_type: codes.includes(PUB78_PRIVATE_FOUNDATION_CODE) ? 'private_foundation' : 'public_charity',
+      city: record.city || null,
+      state: record.state || null,
+      address: null,
+      ntee_code: null,
+      deductibility_status: record.country && record.country !== 'United States' ? 'deductible_by_treaty' : 'deductible',
+      deductibility_codes: codes
+    },
+    error: null
+  };
+}
+
+/**
+ * Check whether a row is a header row rather than data
+ */
+export function isHeaderRow(values) {
+  return /^ein$/i.test(values[0] || '');
+}
@@ -0,0 +1,147 @@
+/**
+ * Cost-basis lot selection for stock and crypto donations
+ * Lots held more than one year are long-term and deductible at fair market value;
+ * short-term lots are deductible at the lesser of fair market value and basis (IRC 170(e)(1)(A))
+ */
+
+import { isLongTermHolding } from './deductions.js';
+import { roundCents } from './donationRecords.js';
+
+export const LOT_SELECTION_METHODS = ['fifo', 'specific'];
+
+// Quantities are stored with up to 8 decimals (crypto); ignore float dust below that
+const QUANTITY_EPSILON = 1e-9;
+
+/**
+ * Round a share or coin quantity to 8 decimals
+ */
+export function roundQuantity(quantity) {
+  return Math.round(quantity * 1e8) / 1e8;
+}
+
+/**
+ * Get the quantity donated from stock or crypto metadata
+ */
+export function getDonatedQuantity(type, metadata) {
+  const data = typeof metadata === 'string' ? JSON.parse(metadata) : (metadata || {});
+  return parseFloat(type === 'stock' ? data.shares : data.amount) || 0;
+}
+
+/**
+ * Allocate a donated quantity across open lots.
+ * @param {Array} lots - Open lots for the holding (id, acquired_date, quantity, cost_basis, remaining_quantity)
+ * @param {number} quantity - Quantity donated
+ * @param {string} method - 'fifo' (oldest first) or 'specific'
+ * @param {Array} selections - For 'specific': [{ lot_id, quantity }]
+ * @param {string} donationDate - Gift date, used for holding period
+ * @returns {{ allocations: Array, errors: Array<string> }}
+ */
+export function allocateLots(lots, quantity, method, selections, donationDate) {
+  const errors = [];
+  const allocations = [];
+  const lotsById = new Map(lots.map(lot => [lot.id, lot]));
+
+  const allocate = (lot, lotQuantity) => {
+    const basisPerUnit = parseFloat(lot.cost_basis) / parseFloat(lot.quantity);
+    allocations.push({
+      lot_id: lot.id,
+      acquired_date: lot.acquired_date,
+      quantity: roundQuantity(lotQuantity),
+      cost_basis: roundCents(basisPerUnit * lotQuantity),
+      is_long_term: isLongTermHolding(lot.acquired_date, donationDate)
+    });
+  };
+
+  if (method === 'fifo') {
+    let remaining = quantity;
+    const eligible = lots
+      .filter(lot => lot.acquired_date <= donationDate && parseFloat(lot.remaining_quantity) > 0)
+      .sort((a, b) => a.acquired_date.localeCompare(b.acquired_date));
+
+    for (const lot of eligible) {
+      if (remaining <= QUANTITY_EPSILON) break;
+      const used = Math.min(remaining, parseFloat(lot.remaining_quantity));
+      allocate(lot, used);
+      remaining -= used;
+    }
+
+    if (remaining > QUANTITY_EPSILON) {
+      errors.push(`Only ${roundQuantity(quantity - remaining)} units are available in lots acquired on or before ${donationDate}`);
+    }
+  } else {
+    if (!Array.isArray(selections) || selections.length === 0) {
+      errors.push('Select at least one lot');
+      return { allocations, errors };
+    }
+
+    let selectedTotal = 0;
+    for (const selection of selections) {
+      const lot = lotsById.get(selection.lot_id);
+      const lotQuantity = parseFloat(selection.quantity);
+
+      if (!lot) {
+        errors.push(`Lot ${selection.lot_id} not found for this holding`);
+      } else if (!(lotQuantity > 0) || lotQuantity > parseFloat(lot.remaining_quantity) + QUANTITY_EPSILON) {
+        errors.push(`Lot ${selection.lot_id} has ${lot.remaining_quantity} units remaining`);
+      } else if (lot.acquired_date > donationDate) {
+        errors.push(`Lot ${selection.lot_id} was acquired after the donation date`);
+      } else {
+        allocate(lot, lotQuantity);
+        selectedTotal += lotQuantity;
+      }
+    }
+
+    if (errors.length === 0 && Math.abs(selectedTotal - quantity) > QUANTITY_EPSILON) {
+      errors.push(`Selected lot quantities (${roundQuantity(selectedTotal)}) must equal the quantity donated (${quantity})`);
+    }
+  }
+
+  return { allocations, errors };
+}
+
+/**
+ * Summarize lot allocations into basis, holding period, and deductible amount
+ * @param {Array} allocations - Result of allocateLots
+ * @param {number} fairMarketValue - Total FMV of the donated quantity
+ */
+export function summarizeAllocations(allocations, fairMarketValue) {
+  const totalQuantity = allocations.reduce((sum, a) => sum + a.quantity, 0);
+  const fmvPerUnit = totalQuantity > 0 ? fairMarketValue / totalQuantity : 0;
+
+  let costBasis = 0;
+  let longTermDeductible = 0;
+  let shortTermDeductible = 0;
+  let longTermQuantity = 0;
+  let shortTermQuantity = 0;
+
+  for (const allocation of allocations) {
+    const lotValue = fmvPerUnit * allocation.quantity;
+    costBasis += allocation.cost_basis;
+
+    if (allocation.is_long_term) {
+      longTermQuantity += allocation.quantity;
+      longTermDeductible += lotValue;
+    } else {
+      shortTermQuantity += allocation.quantity;
+      shortTermDeductible += Math.min(lotValue, allocation.cost_basis);
+    }
+  }
+
+  let holdingPeriod = 'long';
+  if (shortTermQuantity > 0) {
+    holdingPeriod = longTermQuantity > 0 ? 'mixed' : 'short';
+  }
+
+  const acquiredDates = [...new Set(allocations.map(a => a.acquired_date))];
+
+  return {
+    cost_basis: roundCents(costBasis),
+    holding_period: holdingPeriod,
+    long_term_quantity: roundQuantity(longTermQuantity),
+    short_term_quantity: roundQuantity(shortTermQuantity),
+    long_term_deductible: roundCents(longTermDeductible),
+    short_term_deductible: roundCents(shortTermDeductible),
+    deductible_amount: roundCents(longTermDeductible + shortTermDeductible),
+    date_acquired: acquiredDates.length === 1 ? acquiredDates[0] : 'Various'
+  };
+}
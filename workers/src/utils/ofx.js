@@ -0,0 +1,89 @@
+/**
+ * OFX and QFX statement parsing for donation imports
+ * Handles OFX 1.x (SGML, where leaf elements have no closing tags) and OFX 2.x
+ * (XML). QFX is OFX with extra Quicken elements, which are ignored.
+ */
+
+/**
+ * Read the value of a leaf element, e.g. <TRNAMT>-25.00
+ */
+function readElement(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : null;
+}
+
+/**
+ * Decode the XML entities allowed in OFX values
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Convert an OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]) to YYYY-MM-DD
+ */
+export function parseOfxDate(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Check whether text looks like an OFX or QFX file
+ */
+export function isOfx(text) {
+  return /<OFX>/i.test(String(text || '').slice(0, 4096));
+}
+
+/**
+ * Parse the transactions of every statement in an OFX file
+ * @returns {{ accountType: 'bank' | 'credit_card' | null, transactions: Array, error: string | null }}
+ *   transactions are { index, account_id, fitid, type, date, amount, name, memo, check_number }
+ */
+export function parseOfx(text) {
+  const body = String(text || '');
+  const start = body.search(/<OFX>/i);
+
+  if (start === -1) {
+    return { accountType: null, transactions: [], error: 'File is not an OFX or QFX statement' };
+  }
+
+  const ofx = body.slice(start);
+  const accountType = /<CCSTMTRS>/i.test(ofx) ? 'credit_card' : /<STMTRS>/i.test(ofx) ? 'bank' : null;
+  const transactions = [];
+
+  // Each statement carries its own account; transactions follow it
+  const statements = ofx.split(/<(?:CC)?STMTRS>/i).slice(1);
+
+  for (const statement of statements) {
+    const accountId = readElement(statement, 'ACCTID');
+    const blocks = statement.split(/<STMTTRN>/i).slice(1);
+
+    for (const block of blocks) {
+      const transaction = block.split(/<\/STMTTRN>/i)[0];
+      const amount = parseFloat(readElement(transaction, 'TRNAMT'));
+
+      transactions.push({
+        index: transactions.length + 1,
+        account_id: accountId,
+        fitid: readElement(transaction, 'FITID'),
+        type: (readElement(transaction, 'TRNTYPE') || '').toUpperCase(),
+        date: parseOfxDate(readElement(transaction, 'DTPOSTED')),
+        amount: isNaN(amount) ? null : amount,
+        name: readElement(transaction, 'NAME') || readElement(transaction, 'PAYEEID'),
+        memo: readElement(transaction, 'MEMO'),
+        check_number: readElement(transaction, 'CHECKNUM')
+      });
+    }
+  }
+
+  return {
+    accountType,
+    transactions,
+    error: accountType ? null : 'No bank or credit card statement found in the OFX file'
+  };
+}
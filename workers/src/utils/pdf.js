@@ -0,0 +1,129 @@
+/**
+ * Minimal PDF rendering utilities for Cloudflare Workers
+ * Produces plain-text reports without external dependencies
+ */
+
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - MARGIN * 2) / LINE_HEIGHT);
+
+/**
+ * Escape text for use inside a PDF string literal
+ */
+function escapePdfText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7E]/g, '?') // Built-in fonts only cover ASCII reliably
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+/**
+ * Build the content stream for a single page of text lines
+ */
+function buildPageStream(lines, pageNumber, pageCount) {
+  const commands = [
+    'BT',
+    `/F1 ${FONT_SIZE} Tf`,
+    `${LINE_HEIGHT} TL`,
+    `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`
+  ];
+
+  for (const line of lines) {
+    commands.push(`(${escapePdfText(line)}) Tj T*`);
+  }
+
+  commands.push('ET');
+
+  // Page footer
+  commands.push(
+    'BT',
+    `/F1 ${FONT_SIZE - 1} Tf`,
+    `${PAGE_WIDTH - MARGIN - 60} ${MARGIN / 2} Td`,
+    `(Page ${pageNumber} of ${pageCount}) Tj`,
+    'ET'
+  );
+
+  return commands.join('\n');
+}
+
+/**
+ * Render lines of text into a paginated PDF document.
+ * A line containing only '\f' forces a page break.
+ * Returns the document as a Uint8Array.
+ */
+export function renderTextPdf(lines, { title = 'Report' } = {}) {
+  // Split lines into pages
+  const pages = [[]];
+  for (const line of lines) {
+    if (line === '\f') {
+      if (pages[pages.length - 1].length > 0) pages.push([]);
+      continue;
+    }
+    if (pages[pages.length - 1].length >= LINES_PER_PAGE) {
+      pages.push([]);
+    }
+    pages[pages.length - 1].push(line);
+  }
+
+  // Object numbers: 1 catalog, 2 pages, 3 font, 4 info, then page/content pairs
+  const objects = [];
+  const pageObjectIds = pages.map((_, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageObjectIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+  objects[4] = `<< /Title (${escapePdfText(title)}) /Producer (Charity Tracker) >>`;
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageObjectIds[index];
+    const stream = buildPageStream(pageLines, index + 1, pages.length);
+
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+
+  // Assemble document and cross-reference table (content is ASCII-only)
+  let output = '%PDF-1.4\n';
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = output.length;
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return new TextEncoder().encode(output);
+}
+
+/**
+ * Format a row of values into fixed-width columns
+ * @param {Array} values - Cell values
+ * @param {Array<number>} widths - Column widths in characters (negative = right-aligned)
+ */
+export function formatColumns(values, widths) {
+  return values.map((value, index) => {
+    const width = Math.abs(widths[index]);
+    const text = value === null || value === undefined ? '' : String(value);
+    if (text.length > width) return text.substring(0, width - 1) + '~';
+    return widths[index] < 0 ? text.padStart(width) : text.padEnd(width);
+  }).join(' ');
+}
+
+/**
+ * Format a number as a currency string for reports
+ */
+export function formatCurrency(amount) {
+  const value = Number(amount) || 0;
+  return '$' + value.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
@@ -0,0 +1,114 @@
+/**
+ * Date recurrence helpers for recurring donation schedules
+ */
+
+export const RECURRENCE_FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'quarterly', 'semiannually', 'annually'];
+
+// Safety cap on occurrences generated in one pass
+const MAX_OCCURRENCES = 1000;
+
+// Length of each frequency's period in days or in months
+const PERIOD_DAYS = { weekly: 7, biweekly: 14 };
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3, semiannually: 6, annually: 12 };
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ */
+export function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC date
+ */
+function parseDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Add months to a date, clamping to the last day of shorter months
+ */
+function addMonths(date, months, anchorDay) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(anchorDay, lastDay)));
+}
+
+/**
+ * Get the nth occurrence (0-based) of a schedule starting on startDate
+ */
+export function getNthOccurrence(startDate, frequency, n) {
+  const start = parseDate(startDate);
+  const anchorDay = start.getUTCDate();
+
+  switch (frequency) {
+    case 'weekly':
+      return formatDate(new Date(start.getTime() + n * 7 * 86400000));
+    case 'biweekly':
+      return formatDate(new Date(start.getTime() + n * 14 * 86400000));
+    case 'monthly':
+      return formatDate(addMonths(start, n, anchorDay));
+    case 'quarterly':
+      return formatDate(addMonths(start, n * 3, anchorDay));
+    case 'semiannually':
+      return formatDate(addMonths(start, n * 6, anchorDay));
+    case 'annually':
+      return formatDate(addMonths(start, n * 12, anchorDay));
+    default:
+      throw new Error(`Unsupported frequency: ${frequency}`);
+  }
+}
+
+/**
+ * Index of the first occurrence of a schedule on or after a date.
+ * Estimated from the elapsed periods, so long-running schedules are not walked from the start.
+ */
+function getOccurrenceIndex(startDate, frequency, onOrAfter) {
+  if (onOrAfter <= startDate) return 0;
+
+  const start = parseDate(startDate);
+  const target = parseDate(onOrAfter);
+  let n;
+  if (PERIOD_DAYS[frequency]) {
+    n = Math.floor((target - start) / (PERIOD_DAYS[frequency] * 86400000));
+  } else if (PERIOD_MONTHS[frequency]) {
+    const months = (target.getUTCFullYear() - start.getUTCFullYear()) * 12 + target.getUTCMonth() - start.getUTCMonth();
+    n = Math.floor(months / PERIOD_MONTHS[frequency]);
+  } else {
+    throw new Error(`Unsupported frequency: ${frequency}`);
+  }
+
+  // The estimate can overshoot by one period when the day of the month is clamped
+  n = Math.max(n - 1, 0);
+  while (getNthOccurrence(startDate, frequency, n) < onOrAfter) n++;
+  return n;
+}
+
+/**
+ * List occurrence dates of a schedule within [fromDate, toDate], inclusive.
+ * Respects the schedule's end_date but not skips.
+ */
+export function getOccurrencesBetween(schedule, fromDate, toDate) {
+  const occurrences = [];
+  const lastDate = schedule.end_date && schedule.end_date < toDate ? schedule.end_date : toDate;
+  const first = getOccurrenceIndex(schedule.start_date, schedule.frequency, fromDate);
+
+  for (let n = first; n < first + MAX_OCCURRENCES; n++) {
+    const date = getNthOccurrence(schedule.start_date, schedule.frequency, n);
+    if (date > lastDate) break;
+    occurrences.push(date);
+  }
+
+  return occurrences;
+}
+
+/**
+ * Get the first occurrence on or after a date, or null once the schedule has ended
+ */
+export function getNextOccurrence(schedule, onOrAfter) {
+  const n = getOccurrenceIndex(schedule.start_date, schedule.frequency, onOrAfter);
+  const date = getNthOccurrence(schedule.start_date, schedule.frequency, n);
+  return schedule.end_date && date > schedule.end_date ? null : date;
+}
@@ -48,4 +48,14 @@ export function forbiddenResponse(message = 'Forbidden') {
 
 export function notFoundResponse(message = 'Not Found') {
   return errorResponse(message, 404);
-}
\ No newline at end of file
+}
+export function fileResponse(body, filename, contentType = 'application/octet-stream') {
+  return new Response(body, {
+    status: 200,
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      ...corsHeaders
+    }
+  });
+}
@@ -0,0 +1,152 @@
+/**
+ * IRS automatic revocation of exemption (IRC 6033(j))
+ * Organizations that fail to file for three consecutive years lose exempt status;
+ * gifts made on or after the revocation date, and before any reinstatement, are not deductible.
+ * Gifts to charities the IRS lists as not eligible for deductible gifts are flagged the same way.
+ * Auto-Revocation List: https://www.irs.gov/charities-non-profits/automatic-revocation-of-exemption-list
+ */
+
+import { normalizeEin } from './irs.js';
+import { toRecord } from './csv.js';
+import { queryInGroups } from './d1.js';
+
+// Column order of the pipe-delimited Auto-Revocation List extract
+export const REVOCATION_COLUMNS = [
+  'ein', 'name', 'dba_name', 'street', 'city', 'state', 'zip', 'country',
+  'exemption_type', 'revocation_date', 'posting_date', 'reinstatement_date'
+];
+
+// Donation flag for gifts made while the charity's exemption was revoked
+export const REVOKED_CHARITY_FLAG = 'charity_revoked';
+
+// Donation flag for gifts to a charity the IRS lists as not eligible for deductible gifts
+export const NOT_DEDUCTIBLE_CHARITY_FLAG = 'charity_not_deductible';
+
+const MONTHS = {
+  JAN: '01', FEB: '02', MAR: '03', APR: '04', MAY: '05', JUN: '06',
+  JUL: '07', AUG: '08', SEP: '09', OCT: '10', NOV: '11', DEC: '12'
+};
+
+/**
+ * Parse an IRS date (15-MAY-2010, 05/15/2010, or 2010-05-15) to YYYY-MM-DD
+ * @returns {string | null}
+ */
+export function parseIrsDate(value) {
+  const text = String(value || '').trim().toUpperCase();
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    return text;
+  }
+
+  if ((match = text.match(/^(\d{1,2})-([A-Z]{3})-(\d{4})$/)) && MONTHS[match[2]]) {
+    return `${match[3]}-${MONTHS[match[2]]}-${match[1].padStart(2, '0')}`;
+  }
+
+  if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse one Auto-Revocation List row
+ * @returns {{ revocation: Object | null, error: string | null }}
+ */
+export function parseRevocationRow(values) {
+  const record = toRecord(REVOCATION_COLUMNS, values);
+
+  const ein = normalizeEin(record.ein);
+  const revocationDate = parseIrsDate(record.revocation_date);
+
+  if (!ein || !revocationDate) {
+    return { revocation: null, error: 'Missing EIN or revocation date' };
+  }
+
+  return {
+    revocation: {
+      ein,
+      name: record.name,
+      revocation_date: revocationDate,
+      posting_date: parseIrsDate(record.posting_date),
+      reinstatement_date: parseIrsDate(record.reinstatement_date)
+    },
+    error: null
+  };
+}
+
+/**
+ * Check whether a charity's exemption was revoked on a given date
+ */
+export function isRevokedOn(charity, date) {
+  if (!charity?.revocation_date || date < charity.revocation_date) return false;
+  return !charity.reinstatement_date || date < charity.reinstatement_date;
+}
+
+/**
+ * Flag for a gift to a charity on a given date; flagged gifts are left out of
+ * every deduction total
+ * @returns {string | null}
+ */
+export function getDeductibilityFlag(charity, date) {
+  if (isRevokedOn(charity, date)) return REVOKED_CHARITY_FLAG;
+  if (charity?.deductibility_status === 'not_deductible') return NOT_DEDUCTIBLE_CHARITY_FLAG;
+  return null;
+}
+
+/**
+ * Copy stored Auto-Revocation List entries onto the charities with the given EINs
+ * and re-flag their donations. Only charities whose dates change are touched.
+ * @returns {Promise<Array<string>>} Ids of the charities updated
+ */
+export async function applyStoredRevocations(env, eins) {
+  const updated = await queryInGroups(eins, (placeholders, group) => env.DB.prepare(`
+    UPDATE charities
+    SET
+      revocation_date = r.revocation_date,
+      revocation_posting_date = r.posting_date,
+      reinstatement_date = r.reinstatement_date,
+      updated_at = datetime('now')
+    FROM irs_revocations r
+    WHERE charities.ein = r.ein
+      AND charities.ein IN (${placeholders})
+      AND (charities.revocation_date IS NOT r.revocation_date
+        OR charities.revocation_posting_date IS NOT r.posting_date
+        OR charities.reinstatement_date IS NOT r.reinstatement_date)
+    RETURNING charities.id
+  `).bind(...group));
+
+  const updatedIds = updated.map(row => row.id);
+  await refreshDeductibilityFlags(env, updatedIds);
+  return updatedIds;
+}
+
+/**
+ * Recompute deductibility flags on every donation to the given charities
+ */
+export async function refreshDeductibilityFlags(env, charityIds) {
+  await queryInGroups(charityIds, (placeholders, group) => env.DB.prepare(`
+    UPDATE donations
+    SET
+      deductibility_flag = status.flag,
+      flagged_at = CASE
+        WHEN status.flag IS NULL THEN NULL
+        WHEN status.flag IS deductibility_flag THEN flagged_at
+        ELSE datetime('now')
+      END
+    FROM (
+      SELECT
+        d.id as donation_id,
+        CASE
+          WHEN c.revocation_date IS NOT NULL AND d.date >= c.revocation_date
+            AND (c.reinstatement_date IS NULL OR d.date < c.reinstatement_date) THEN ?
+          WHEN c.deductibility_status = 'not_deductible' THEN ?
+        END as flag
+      FROM donations d
+      JOIN charities c ON d.charity_id = c.id
+      WHERE d.charity_id IN (${placeholders})
+    ) AS status
+    WHERE donations.id = status.donation_id
+  `).bind(REVOKED_CHARITY_FLAG, NOT_DEDUCTIBLE_CHARITY_FLAG, ...group));
+}
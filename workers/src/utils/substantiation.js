@@ -0,0 +1,99 @@
+/**
+ * IRS substantiation rules for charitable contributions (IRC 170(f)(8), Pub 1771)
+ */
+
+import { parseMetadata } from './donationRecords.js';
+import { isPubliclyTradedSecurity } from './form8283.js';
+
+// Single gifts at or above this amount need a contemporaneous written acknowledgment
+export const ACKNOWLEDGMENT_THRESHOLD = 250;
+
+// Noncash gifts above this amount need Form 8283 Section A details
+const NONCASH_DETAIL_THRESHOLD = 500;
+
+// Noncash gifts above this amount (other than public securities) need a qualified appraisal
+const APPRAISAL_THRESHOLD = 5000;
+
+export const ACKNOWLEDGMENT_STATUSES = ['requested', 'received', 'missing'];
+
+/**
+ * Check if a gift requires a written acknowledgment from the charity
+ */
+export function requiresAcknowledgment(amount) {
+  return (parseFloat(amount) || 0) >= ACKNOWLEDGMENT_THRESHOLD;
+}
+
+/**
+ * Default acknowledgment status for a new donation
+ */
+export function getDefaultAcknowledgmentStatus(amount) {
+  return requiresAcknowledgment(amount) ? 'missing' : null;
+}
+
+/**
+ * An acknowledgment is contemporaneous if received by the return due date (April 15 of the next year)
+ */
+function getContemporaneousDeadline(donationDate) {
+  const year = parseInt(String(donationDate).substring(0, 4));
+  return `${year + 1}-04-15`;
+}
+
+/**
+ * List the substantiation problems that would cause a donation's deduction to fail
+ * @returns {Array<{code: string, message: string}>}
+ */
+export function getSubstantiationIssues(donation) {
+  const issues = [];
+  const amount = parseFloat(donation.tax_deductible_amount) || 0;
+  const metadata = parseMetadata(donation.metadata);
+
+  if (requiresAcknowledgment(amount)) {
+    if (donation.acknowledgment_status !== 'received') {
+      issues.push({
+        code: donation.acknowledgment_status === 'requested' ? 'acknowledgment_pending' : 'acknowledgment_missing',
+        message: `Gifts of $${ACKNOWLEDGMENT_THRESHOLD} or more require a written acknowledgment from the charity`
+      });
+    } else {
+      if (!donation.acknowledgment_file_id) {
+        issues.push({
+          code: 'acknowledgment_not_on_file',
+          message: 'Acknowledgment marked received but no document is attached'
+        });
+      }
+
+      const deadline = getContemporaneousDeadline(donation.date);
+      if (donation.acknowledgment_date && donation.acknowledgment_date > deadline) {
+        issues.push({
+          code: 'acknowledgment_not_contemporaneous',
+          message: `Acknowledgment must be received by ${deadline}`
+        });
+      }
+    }
+  }
+
+  // Cash gifts of any amount need a bank record or written receipt
+  if (donation.type === 'money' && !donation.receipt_file_id && !donation.acknowledgment_file_id) {
+    issues.push({
+      code: 'cash_record_missing',
+      message: 'Cash contributions require a bank record or written receipt'
+    });
+  }
+
+  if (['items', 'stock', 'crypto'].includes(donation.type) && amount > NONCASH_DETAIL_THRESHOLD) {
+    if (!metadata.dateAcquired || donation.cost_basis === null || donation.cost_basis === undefined) {
+      issues.push({
+        code: 'noncash_details_missing',
+        message: 'Noncash gifts over $500 require date acquired and cost basis for Form 8283'
+      });
+    }
+
+    if (amount > APPRAISAL_THRESHOLD && !isPubliclyTradedSecurity(donation, metadata) && !metadata.appraiser) {
+      issues.push({
+        code: 'appraisal_missing',
+        message: 'Noncash gifts over $5,000 require a qualified appraisal'
+      });
+    }
+  }
+
+  return issues;
+}
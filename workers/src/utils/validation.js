@@ -2,6 +2,9 @@
  * Input validation utilities
  */
 
+import { getCryptoAsset, normalizeCryptoSymbol, fitsAssetPrecision, OTHER_CRYPTO_SYMBOL } from './cryptoAssets.js';
+import { queryInGroups } from './d1.js';
+
 /**
  * Validate email format
  */
@@ -50,12 +53,58 @@ export function isValidDonationType(type) {
 }
 
 /**
- * Validate cryptocurrency symbol (matching demo exactly)
+ * Validate cryptocurrency symbol against the asset registry ('OTHER' is always allowed)
+ */
+export async function isValidCryptoSymbol(symbol, env) {
+  if (normalizeCryptoSymbol(symbol) === OTHER_CRYPTO_SYMBOL) return true;
+  return !!(await getCryptoAsset(env, symbol));
+}
+
+/**
+ * Validate the asset in crypto donation metadata against the registry
+ */
+export async function validateCryptoMetadata(metadata, env) {
+  try {
+    const data = typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+    return await isValidCryptoSymbol(data?.symbol, env);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate the donated crypto amount against the registry asset's decimals
+ * ('OTHER' assets have no registry precision)
  */
-export function isValidCryptoSymbol(symbol) {
-  // Crypto symbols supported in demo
-  const validSymbols = ['BTC', 'ETH', 'ADA', 'SOL', 'XRP', 'DOT', 'AVAX', 'MATIC', 'LTC', 'OTHER'];
-  return validSymbols.includes(symbol);
+export async function validateCryptoAmount(metadata, env) {
+  try {
+    const data = typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+    if (normalizeCryptoSymbol(data?.symbol) === OTHER_CRYPTO_SYMBOL) return true;
+
+    const asset = await getCryptoAsset(env, data?.symbol);
+    return !!asset && fitsAssetPrecision(data.amount, asset.decimals);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate that valuation guide references in items metadata exist
+ */
+export async function validateItemValuations(metadata, env) {
+  try {
+    const data = typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+    const valuationIds = [...new Set((data?.items || []).map(item => item.valuationId).filter(Boolean))];
+    if (valuationIds.length === 0) return true;
+
+    const found = await queryInGroups(valuationIds, (placeholders, group) => env.DB.prepare(`
+      SELECT id FROM item_valuations WHERE id IN (${placeholders})
+    `).bind(...group));
+
+    return found.length === valuationIds.length;
+  } catch (error) {
+    return false;
+  }
 }
 
 /**
@@ -92,10 +141,13 @@ export function validateDonationMetadata(type, metadata) {
 
       case 'items':
         // Items list with category, condition, quantity validation
+        // (unitValue may be omitted when the item references a valuation guide entry)
         return Array.isArray(data.items) &&
                data.items.length > 0 &&
                data.items.every(item =>
-                 item.category && item.condition && item.quantity > 0 && item.unitValue > 0
+                 item.category && item.condition && item.quantity > 0 &&
+                 (item.valuationId === undefined || typeof item.valuationId === 'string') &&
+                 (item.unitValue > 0 || (item.valuationId && item.unitValue === undefined))
                );
 
       case 'mileage':
@@ -112,7 +164,8 @@ export function validateDonationMetadata(type, metadata) {
 
       case 'crypto':
         // Cryptocurrency with symbol, amount, and optional transaction details
-        return data.symbol && isValidCryptoSymbol(data.symbol) &&
+        // (the symbol is checked against the registry by validateCryptoMetadata)
+        return data.symbol && typeof data.symbol === 'string' &&
                data.amount && data.amount > 0;
 
       default:
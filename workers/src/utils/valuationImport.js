@@ -0,0 +1,255 @@
+/**
+ * Item valuation guide imports
+ * Parsing and diffing of guide CSVs, shared by the import routes and background
+ * import jobs. Each import builds a new edition for a source and tax year.
+ */
+
+import { sanitizeInput } from './validation.js';
+import { normalizeHeader, toRecord } from './csv.js';
+import { ITEM_CONDITIONS, getEditionInForce } from './valuations.js';
+import { groupRows, valuesPlaceholders } from './d1.js';
+
+export const VALUATION_SOURCES = ['goodwill', 'salvation_army', 'manual'];
+
+const REQUIRED_VALUATION_HEADERS = ['category', 'item_name'];
+
+/**
+ * Describe what is wrong with a CSV data row, if anything
+ */
+export function getRowError(row, headers) {
+  if (row.error) return row.error;
+  if (row.values.length !== headers.length) {
+    return `Expected ${headers.length} columns but found ${row.values.length}`;
+  }
+  return null;
+}
+
+/**
+ * Validate the source and tax year options of a valuation import
+ * @returns {{ source: string, taxYear: number, errors: Array<string> }}
+ */
+export function validateValuationImportOptions(options) {
+  const { source } = options;
+  const currentYear = new Date().getFullYear();
+  const taxYear = options.tax_year === undefined ? currentYear : parseInt(options.tax_year);
+  const errors = [];
+
+  if (!VALUATION_SOURCES.includes(source)) {
+    errors.push('Invalid source. Must be: goodwill, salvation_army, or manual');
+  }
+
+  if (!Number.isInteger(taxYear) || taxYear < 2000 || taxYear > currentYear + 1) {
+    errors.push(`Tax year must be between 2000 and ${currentYear + 1}`);
+  }
+
+  return { source, taxYear, errors };
+}
+
+/**
+ * Key identifying an item within a guide edition
+ */
+export function itemKey(item) {
+  return `${item.category}\u0000${item.item_name}`;
+}
+
+/**
+ * Read the header row of a guide CSV
+ * @returns {{ headers: Array<string> | null, error: string | null }}
+ */
+export function parseValuationHeaders(values) {
+  const columns = values.map(normalizeHeader);
+
+  // Validate required headers
+  const missingHeaders = REQUIRED_VALUATION_HEADERS.filter(h => !columns.includes(h));
+  if (missingHeaders.length > 0) {
+    return { headers: null, error: `Missing required headers: ${missingHeaders.join(', ')}` };
+  }
+
+  return { headers: columns, error: null };
+}
+
+/**
+ * Parse one data row of a guide CSV
+ * @returns {{ item: Object | null, error: string | null }}
+ */
+export function parseValuationRow(row, headers) {
+  const rowError = getRowError(row, headers);
+  if (rowError) {
+    return { item: null, error: rowError };
+  }
+
+  const item = toRecord(headers, row.values);
+
+  // Validate required fields
+  if (!item.category || !item.item_name) {
+    return { item: null, error: 'Missing required fields (category, item_name)' };
+  }
+
+  // Parse monetary values
+  return {
+    item: {
+      category: sanitizeInput(item.category),
+      item_name: sanitizeInput(item.item_name),
+      condition_good: parseFloat(item.condition_good) || null,
+      condition_fair: parseFloat(item.condition_fair) || null,
+      condition_poor: parseFloat(item.condition_poor) || null
+    },
+    error: null
+  };
+}
+
+/**
+ * Parse item valuation CSV rows (a repeated item keeps its last row)
+ * @returns {Promise<{ headers: Array<string> | null, items: Array, errors: Array<string> }>}
+ */
+export async function parseValuationRows(rows) {
+  let headers = null;
+  const itemsByKey = new Map();
+  const errors = [];
+
+  for await (const row of rows) {
+    if (!headers) {
+      const { headers: columns, error } = parseValuationHeaders(row.values);
+      if (error) {
+        return { headers: null, items: [], errors: [error] };
+      }
+
+      headers = columns;
+      continue;
+    }
+
+    const { item, error } = parseValuationRow(row, headers);
+    if (error) {
+      errors.push(`Line ${row.line}: ${error}`);
+      continue;
+    }
+
+    itemsByKey.set(itemKey(item), item);
+  }
+
+  return { headers, items: [...itemsByKey.values()], errors };
+}
+
+/**
+ * Get the edition an import for a source and tax year builds on
+ * (the one in force for that year, but never a later tax year's guide)
+ */
+export async function getBaseEdition(env, source, taxYear) {
+  const inForce = await getEditionInForce(env, source, taxYear);
+  return inForce && inForce.tax_year <= taxYear ? inForce : null;
+}
+
+/**
+ * Compare imported items with the items of the base edition
+ * @returns {{ added: Array, changed: Array, unchanged: Array, missing: Array }}
+ *   missing items are carried forward, or removed when replacing the guide
+ */
+export async function diffValuationItems(env, baseEdition, items) {
+  const previous = new Map();
+
+  if (baseEdition) {
+    const rows = await env.DB.prepare(`
+      SELECT category, item_name, condition_good, condition_fair, condition_poor
+      FROM item_valuations WHERE edition_id = ?
+      ORDER BY category ASC, item_name ASC
+    `).bind(baseEdition.id).all();
+
+    for (const row of rows.results || []) {
+      previous.set(itemKey(row), row);
+    }
+  }
+
+  const diff = { added: [], changed: [], unchanged: [], missing: [] };
+  const conditions = ITEM_CONDITIONS.map(condition => `condition_${condition}`);
+
+  for (const item of items) {
+    const old = previous.get(itemKey(item));
+
+    if (!old) {
+      diff.added.push(item);
+      continue;
+    }
+
+    const changes = {};
+    for (const column of conditions) {
+      const oldValue = old[column] === null ? null : parseFloat(old[column]);
+      if (oldValue !== item[column]) {
+        changes[column] = { old: oldValue, new: item[column] };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      diff.changed.push({ category: item.category, item_name: item.item_name, changes });
+    } else {
+      diff.unchanged.push(item);
+    }
+    previous.delete(itemKey(item));
+  }
+
+  diff.missing = [...previous.values()];
+  return diff;
+}
+
+/**
+ * Build the statements inserting items into an edition.
+ * An item already in the edition takes the new values, so an import written
+ * over several batches keeps the last row of a repeated item.
+ */
+export function buildValuationInserts(env, editionId, source, items, importDate) {
+  return groupRows(items, 5, 3).map(group => env.DB.prepare(`
+    INSERT INTO item_valuations (
+      edition_id, source, last_updated, category, item_name,
+      condition_good, condition_fair, condition_poor
+    )
+    SELECT ?, ?, ?, column1, column2, column3, column4, column5
+    FROM (VALUES ${valuesPlaceholders(group.length, 5)})
+    WHERE true
+    ON CONFLICT (edition_id, category, item_name) DO UPDATE SET
+      condition_good = excluded.condition_good,
+      condition_fair = excluded.condition_fair,
+      condition_poor = excluded.condition_poor,
+      last_updated = excluded.last_updated
+  `).bind(
+    editionId,
+    source,
+    importDate,
+    ...group.flatMap(item => [
+      item.category,
+      item.item_name,
+      item.condition_good,
+      item.condition_fair,
+      item.condition_poor
+    ])
+  ));
+}
+
+/**
+ * Build the statement copying the base edition's items that an edition lacks
+ */
+export function buildCarryForwardInsert(env, editionId, baseEditionId) {
+  return env.DB.prepare(`
+    INSERT INTO item_valuations (
+      edition_id, category, item_name, condition_good, condition_fair, condition_poor,
+      source, last_updated
+    )
+    SELECT ?, category, item_name, condition_good, condition_fair, condition_poor, source, last_updated
+    FROM item_valuations p
+    WHERE p.edition_id = ? AND NOT EXISTS (
+      SELECT 1 FROM item_valuations n
+      WHERE n.edition_id = ? AND n.category = p.category AND n.item_name = p.item_name
+    )
+  `).bind(editionId, baseEditionId, editionId);
+}
+
+/**
+ * Get the next version number for a source's guide in a tax year
+ */
+export async function getNextEditionVersion(env, source, taxYear) {
+  const latest = await env.DB.prepare(`
+    SELECT COALESCE(MAX(version), 0) as version
+    FROM valuation_guide_editions
+    WHERE source = ? AND tax_year = ?
+  `).bind(source, taxYear).first();
+
+  return latest.version + 1;
+}
@@ -0,0 +1,267 @@
+/**
+ * Item valuation guide lookups
+ * Guide values come from item_valuations (one row per item in each guide edition);
+ * lookups use the editions in force for a tax year, and ranges are taken across
+ * all sources for the requested condition.
+ */
+
+import { roundCents } from './donationRecords.js';
+
+export const ITEM_CONDITIONS = ['good', 'fair', 'poor'];
+
+// Item conditions used by the donation form that map onto guide columns
+const CONDITION_ALIASES = {
+  excellent: 'good',
+  'like new': 'good'
+};
+
+/**
+ * Ids of the guide editions in force for a tax year (bind the year where this is embedded).
+ * For each source this is the latest active version for the newest tax year on or
+ * before that year, or for the oldest tax year when the guide starts later.
+ */
+export const IN_FORCE_EDITIONS_SQL = `
+  SELECT ge.id FROM valuation_guide_editions ge
+  WHERE ge.id = (
+    SELECT ge2.id FROM valuation_guide_editions ge2
+    WHERE ge2.source = ge.source AND ge2.status = 'active'
+    ORDER BY
+      CASE WHEN ge2.tax_year <= ? THEN -ge2.tax_year ELSE ge2.tax_year + 10000 END,
+      ge2.version DESC
+    LIMIT 1
+  )
+`;
+
+/**
+ * Get the tax year of a date (YYYY-MM-DD), defaulting to the current year
+ */
+export function getTaxYear(date) {
+  const year = parseInt(String(date || '').substring(0, 4));
+  return isNaN(year) ? new Date().getFullYear() : year;
+}
+
+/**
+ * Get the edition of a source's guide in force for a tax year
+ * @returns {Promise<Object | null>}
+ */
+export async function getEditionInForce(env, source, taxYear) {
+  return env.DB.prepare(`
+    SELECT * FROM valuation_guide_editions
+    WHERE source = ? AND id IN (${IN_FORCE_EDITIONS_SQL})
+  `).bind(source, taxYear).first();
+}
+
+/**
+ * Normalize a donation form condition ('Good', 'Excellent', ...) to a guide condition
+ * @returns {string | null}
+ */
+export function normalizeCondition(condition) {
+  const value = String(condition || '').trim().toLowerCase();
+  const normalized = CONDITION_ALIASES[value] || value;
+  return ITEM_CONDITIONS.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Get the guide value of a valuation row for a condition
+ */
+export function getConditionValue(valuation, condition) {
+  const value = parseFloat(valuation[`condition_${condition}`]);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Summarize guide rows for one item into a low/high range
+ * @param {Array} valuations - item_valuations rows (with edition tax_year) for the same category and item
+ * @param {string | null} condition - Guide condition, or null for all conditions
+ */
+export function summarizeValuationRange(valuations, condition) {
+  const conditions = condition ? [condition] : ITEM_CONDITIONS;
+  const values = [];
+
+  const sources = valuations.map(valuation => {
+    const sourceValues = {};
+    for (const key of conditions) {
+      const value = getConditionValue(valuation, key);
+      sourceValues[key] = value;
+      if (value !== null) values.push(value);
+    }
+
+    return {
+      valuation_id: valuation.id,
+      edition_id: valuation.edition_id,
+      source: valuation.source,
+      source_year: valuation.tax_year,
+      edition_version: valuation.version,
+      ...(condition ? { value: sourceValues[condition] } : { values: sourceValues })
+    };
+  });
+
+  return {
+    category: valuations[0]?.category || null,
+    item_name: valuations[0]?.item_name || null,
+    condition: condition || null,
+    low: values.length > 0 ? Math.min(...values) : null,
+    high: values.length > 0 ? Math.max(...values) : null,
+    sources
+  };
+}
+
+/**
+ * Look up the guide range for an item in the editions in force on a date,
+ * by valuation id or by category and item name
+ * @returns {Promise<Object | null>} Range summary, or null if the item is not in the guides
+ */
+export async function getValuationRange(env, { valuationId, category, itemName, date }, condition = null) {
+  if (valuationId) {
+    const valuation = await env.DB.prepare(`
+      SELECT category, item_name FROM item_valuations WHERE id = ?
+    `).bind(valuationId).first();
+
+    if (!valuation) return null;
+    category = valuation.category;
+    itemName = valuation.item_name;
+  }
+
+  const valuations = await env.DB.prepare(`
+    SELECT v.*, e.tax_year, e.version
+    FROM item_valuations v
+    JOIN valuation_guide_editions e ON v.edition_id = e.id
+    WHERE v.category = ? AND v.item_name = ? AND v.edition_id IN (${IN_FORCE_EDITIONS_SQL})
+    ORDER BY v.source ASC
+  `).bind(category, itemName, getTaxYear(date)).all();
+
+  const rows = valuations.results || [];
+  return rows.length > 0 ? summarizeValuationRange(rows, condition) : null;
+}
+
+/**
+ * Resolve a referenced guide entry to the same item and source in the edition in
+ * force on a date, falling back to the referenced entry when that edition lacks it
+ * @returns {Promise<Object | null>} item_valuations row with its edition tax_year and version
+ */
+export async function resolveValuationOn(env, valuationId, date) {
+  const referenced = await env.DB.prepare(`
+    SELECT v.*, e.tax_year, e.version
+    FROM item_valuations v
+    JOIN valuation_guide_editions e ON v.edition_id = e.id
+    WHERE v.id = ?
+  `).bind(valuationId).first();
+
+  if (!referenced) return null;
+
+  const inForce = await env.DB.prepare(`
+    SELECT v.*, e.tax_year, e.version
+    FROM item_valuations v
+    JOIN valuation_guide_editions e ON v.edition_id = e.id
+    WHERE v.category = ? AND v.item_name = ? AND v.source = ?
+      AND v.edition_id IN (${IN_FORCE_EDITIONS_SQL})
+  `).bind(referenced.category, referenced.item_name, referenced.source, getTaxYear(date)).first();
+
+  return inForce || referenced;
+}
+
+/**
+ * Value the items list of an items donation against the guides in force on its date.
+ * Items that reference a guide entry take its value for their condition when no
+ * unitValue is entered, and keep a snapshot of the guide values used; entered
+ * values above the guide range are kept but reported as warnings.
+ * @returns {Promise<{ metadata: Object, fair_market_value: number, warnings: Array<string>, errors: Array<string> }>}
+ */
+export async function valueItemsMetadata(env, metadata, date) {
+  const data = typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+  const items = Array.isArray(data?.items) ? data.items : [];
+  const warnings = [];
+  const errors = [];
+  let total = 0;
+
+  if (items.length === 0) {
+    errors.push('At least one item is required');
+  }
+
+  const valuedItems = [];
+  for (const [index, item] of items.entries()) {
+    const label = item.type || item.description || item.category || `Item ${index + 1}`;
+    const quantity = parseFloat(item.quantity);
+    // A value filled in from an earlier guide lookup is looked up again
+    const fromGuide = item.valuation?.unitValueFromGuide && item.unitValue === item.valuation.guideValue;
+    const enteredValue = fromGuide || item.unitValue === undefined || item.unitValue === null || item.unitValue === ''
+      ? null
+      : parseFloat(item.unitValue);
+    const valuedItem = { ...item };
+    let unitValue = enteredValue;
+
+    if (!(quantity > 0)) {
+      errors.push(`${label}: quantity must be greater than zero`);
+    }
+
+    if (item.valuationId) {
+      const condition = normalizeCondition(item.condition);
+      const valuation = await resolveValuationOn(env, item.valuationId, date);
+
+      if (!valuation) {
+        errors.push(`${label}: valuation guide entry not found`);
+      } else if (!condition) {
+        errors.push(`${label}: condition must be one of ${ITEM_CONDITIONS.join(', ')} to use a valuation guide`);
+      } else {
+        const range = await getValuationRange(env, { valuationId: valuation.id, date }, condition) ||
+          summarizeValuationRange([valuation], condition);
+        const guideValue = getConditionValue(valuation, condition);
+        const unitValueFromGuide = unitValue === null;
+
+        if (unitValueFromGuide) {
+          unitValue = guideValue;
+          if (guideValue === null) {
+            errors.push(`${label}: the valuation guide has no value for ${condition} condition`);
+          }
+        } else if (range.high !== null && unitValue > range.high) {
+          warnings.push(
+            `${label}: $${unitValue.toFixed(2)} each exceeds the guide range of ` +
+            `$${range.low.toFixed(2)}-$${range.high.toFixed(2)} for ${condition} condition`
+          );
+        }
+
+        valuedItem.valuationId = valuation.id;
+        valuedItem.valuation = {
+          valuationId: valuation.id,
+          editionId: valuation.edition_id,
+          source: valuation.source,
+          sourceYear: valuation.tax_year,
+          editionVersion: valuation.version,
+          condition,
+          guideValue,
+          unitValueFromGuide,
+          low: range.low,
+          high: range.high,
+          valuedAt: new Date().toISOString()
+        };
+      }
+    }
+
+    // Failed guide lookups have already reported an error
+    if (unitValue === null && !item.valuationId) {
+      errors.push(`${label}: unit value is required`);
+    } else if (unitValue !== null && !(unitValue > 0)) {
+      errors.push(`${label}: unit value must be greater than zero`);
+    }
+
+    if (unitValue !== null) {
+      valuedItem.unitValue = unitValue;
+      total += (quantity || 0) * unitValue;
+    }
+    valuedItems.push(valuedItem);
+  }
+
+  // Warnings from an earlier valuation no longer apply
+  const { valuationWarnings, ...rest } = data || {};
+
+  return {
+    metadata: {
+      ...rest,
+      items: valuedItems,
+      ...(warnings.length > 0 ? { valuationWarnings: warnings } : {})
+    },
+    fair_market_value: roundCents(total),
+    warnings,
+    errors
+  };
+}
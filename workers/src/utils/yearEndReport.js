@@ -0,0 +1,256 @@
+/**
+ * Year-end donation report
+ * Combines the donation summary for a tax year with per-charity totals, the
+ * mileage log, noncash property detail and the receipts on file, and renders
+ * it as a PDF for the taxpayer's accountant.
+ */
+
+import { renderTextPdf, formatColumns, formatCurrency } from './pdf.js';
+import { describeProperty, isNoncashDonationType, FORM_8283_THRESHOLD } from './form8283.js';
+import { getScheduleACategory } from './donationExport.js';
+import { parseMetadata, roundCents } from './donationRecords.js';
+
+/**
+ * Make text safe for use in a file name inside the receipts bundle
+ */
+function toFileNamePart(text) {
+  return String(text || '')
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'file';
+}
+
+/**
+ * Build the year-end report
+ * @param {Object} summary - Donation summary for the year (year, summary, totals, carryforward)
+ * @param {Array} donations - The year's donations with charity_name and charity_ein
+ * @param {Array} files - file_uploads rows attached to those donations
+ */
+export function buildYearEndReport(summary, donations, files) {
+  const charities = new Map();
+  const mileage = [];
+  const noncash = [];
+  let cashTotal = 0;
+  let noncashTotal = 0;
+
+  for (const donation of donations) {
+    const metadata = parseMetadata(donation.metadata);
+    const amount = parseFloat(donation.tax_deductible_amount) || 0;
+
+    if (getScheduleACategory(donation.type) === 'cash') {
+      cashTotal += amount;
+    } else {
+      noncashTotal += amount;
+    }
+
+    if (!charities.has(donation.charity_id)) {
+      charities.set(donation.charity_id, {
+        charity_id: donation.charity_id,
+        name: donation.charity_name,
+        ein: donation.charity_ein || null,
+        count: 0,
+        total_deductible: 0
+      });
+    }
+    const charity = charities.get(donation.charity_id);
+    charity.count++;
+    charity.total_deductible = roundCents(charity.total_deductible + amount);
+
+    if (donation.type === 'mileage') {
+      mileage.push({
+        donation_id: donation.id,
+        date: donation.date,
+        charity_name: donation.charity_name,
+        purpose: metadata.purpose || donation.description || null,
+        miles: parseFloat(metadata.miles) || 0,
+        rate: parseFloat(metadata.rate) || null,
+        amount
+      });
+    }
+
+    if (isNoncashDonationType(donation.type)) {
+      noncash.push({
+        donation_id: donation.id,
+        date: donation.date,
+        charity_name: donation.charity_name,
+        type: donation.type,
+        description: describeProperty(donation, metadata),
+        fair_market_value: donation.fair_market_value !== null ? parseFloat(donation.fair_market_value) : null,
+        cost_basis: donation.cost_basis !== null ? parseFloat(donation.cost_basis) : null,
+        deductible: amount
+      });
+    }
+  }
+
+  // Receipts are named by gift date and charity so they sort alongside the report
+  const donationsById = new Map(donations.map(donation => [donation.id, donation]));
+  const usedPaths = new Set();
+  const receipts = files.map(file => {
+    const donation = donationsById.get(file.donation_id);
+    const base = `receipts/${donation.date}_${toFileNamePart(donation.charity_name)}_${toFileNamePart(file.original_filename)}`;
+    let path = base;
+    for (let n = 2; usedPaths.has(path); n++) {
+      path = base.replace(/(\.[^./]*)?$/, extension => `-${n}${extension}`);
+    }
+    usedPaths.add(path);
+
+    return {
+      file_id: file.id,
+      donation_id: file.donation_id,
+      date: donation.date,
+      charity_name: donation.charity_name,
+      filename: file.original_filename,
+      purpose: file.id === donation.acknowledgment_file_id ? 'acknowledgment' : 'receipt',
+      content_type: file.content_type,
+      file_size: file.file_size,
+      r2_key: file.r2_key,
+      bundle_path: path
+    };
+  });
+
+  return {
+    ...summary,
+    cash_total: roundCents(cashTotal),
+    noncash_total: roundCents(noncashTotal),
+    charities: [...charities.values()].sort((a, b) => b.total_deductible - a.total_deductible),
+    mileage,
+    total_miles: roundCents(mileage.reduce((total, trip) => total + trip.miles, 0)),
+    noncash,
+    receipts
+  };
+}
+
+/**
+ * Render the year-end report as a PDF
+ * @param {Object} report - Result of buildYearEndReport
+ * @param {Object} taxpayer - { name, email }
+ * @param {Object} options - { bundled } when the PDF ships in the receipts ZIP
+ */
+export function renderYearEndReportPdf(report, taxpayer, { bundled = false } = {}) {
+  const totals = report.totals || {};
+  const carryforward = report.carryforward || {};
+  const lines = [
+    `YEAR-END CHARITABLE GIVING REPORT - TAX YEAR ${report.year}`,
+    `Taxpayer: ${taxpayer.name} <${taxpayer.email}>`,
+    `Prepared: ${new Date().toISOString().split('T')[0]}`,
+    '',
+    'SUMMARY',
+    '-'.repeat(60),
+    formatColumns(['Donations', totals.total_donations || 0], [40, -19]),
+    formatColumns(['Total deductible contributions', formatCurrency(totals.total_deductible)], [40, -19]),
+    formatColumns(['  Cash (including mileage)', formatCurrency(report.cash_total)], [40, -19]),
+    formatColumns(['  Noncash property', formatCurrency(report.noncash_total)], [40, -19]),
+    formatColumns(['Capital gains avoided', formatCurrency(totals.total_capital_gains_avoided)], [40, -19]),
+    formatColumns(['Carryforward applied this year', formatCurrency(carryforward.applied)], [40, -19]),
+    formatColumns(['Excess carried forward', formatCurrency(carryforward.generated)], [40, -19]),
+    formatColumns(['Carryforward expired', formatCurrency(carryforward.expired)], [40, -19]),
+    formatColumns([
+      'Allowed deduction after AGI limits',
+      carryforward.allowed_deduction === null || carryforward.allowed_deduction === undefined
+        ? 'AGI not recorded'
+        : formatCurrency(carryforward.allowed_deduction)
+    ], [40, -19]),
+    ''
+  ];
+
+  if (carryforward.available?.length > 0) {
+    lines.push('Carryforward available at the start of the year:');
+    for (const lot of carryforward.available) {
+      lines.push(`  ${lot.origin_year} ${lot.label || lot.bucket}: ${formatCurrency(lot.remaining)} (expires after ${lot.expires_after_year})`);
+    }
+    lines.push('');
+  }
+
+  // By type
+  const typeWidths = [12, -8, -16, -22];
+  const typeHeader = formatColumns(['Type', 'Gifts', 'Deductible', 'Capital gains avoided'], typeWidths);
+  lines.push('BY DONATION TYPE', '-'.repeat(typeHeader.length), typeHeader, '-'.repeat(typeHeader.length));
+  if (!report.summary?.length) lines.push('(none)');
+  for (const row of report.summary || []) {
+    lines.push(formatColumns([
+      row.type,
+      row.count,
+      formatCurrency(row.total_deductible),
+      formatCurrency(row.total_capital_gains_avoided)
+    ], typeWidths));
+  }
+  lines.push('');
+
+  // By charity
+  const charityWidths = [44, 11, -8, -16];
+  const charityHeader = formatColumns(['Charity', 'EIN', 'Gifts', 'Deductible'], charityWidths);
+  lines.push('BY CHARITY', '-'.repeat(charityHeader.length), charityHeader, '-'.repeat(charityHeader.length));
+  if (report.charities.length === 0) lines.push('(none)');
+  for (const charity of report.charities) {
+    lines.push(formatColumns([
+      charity.name,
+      charity.ein || '',
+      charity.count,
+      formatCurrency(charity.total_deductible)
+    ], charityWidths));
+  }
+  lines.push('');
+
+  // Mileage log
+  const mileageWidths = [10, 26, 24, -8, -6, -12];
+  const mileageHeader = formatColumns(['Date', 'Charity', 'Purpose', 'Miles', 'Rate', 'Deductible'], mileageWidths);
+  lines.push('MILEAGE LOG', '-'.repeat(mileageHeader.length), mileageHeader, '-'.repeat(mileageHeader.length));
+  if (report.mileage.length === 0) lines.push('(none)');
+  for (const trip of report.mileage) {
+    lines.push(formatColumns([
+      trip.date,
+      trip.charity_name,
+      trip.purpose || '',
+      trip.miles,
+      trip.rate !== null ? trip.rate.toFixed(2) : '',
+      formatCurrency(trip.amount)
+    ], mileageWidths));
+  }
+  if (report.mileage.length > 0) {
+    lines.push(`Total: ${report.total_miles} miles, ${formatCurrency(report.mileage.reduce((total, trip) => total + trip.amount, 0))}`);
+  }
+  lines.push('');
+
+  // Noncash property
+  const noncashWidths = [10, 22, 27, -11, -11, -11];
+  const noncashHeader = formatColumns(['Date', 'Charity', 'Description', 'FMV', 'Cost basis', 'Deductible'], noncashWidths);
+  lines.push('NONCASH CONTRIBUTIONS', '-'.repeat(noncashHeader.length), noncashHeader, '-'.repeat(noncashHeader.length));
+  if (report.noncash.length === 0) lines.push('(none)');
+  for (const gift of report.noncash) {
+    lines.push(formatColumns([
+      gift.date,
+      gift.charity_name,
+      gift.description,
+      gift.fair_market_value !== null ? formatCurrency(gift.fair_market_value) : '',
+      gift.cost_basis !== null ? formatCurrency(gift.cost_basis) : 'N/A',
+      formatCurrency(gift.deductible)
+    ], noncashWidths));
+    // Long item lists do not fit the column; print them in full underneath
+    if (gift.description && gift.description.length > 27) {
+      lines.push(formatColumns(['', gift.description], [10, 87]));
+    }
+  }
+  if (report.noncash_total > FORM_8283_THRESHOLD) {
+    lines.push(`Noncash contributions exceed ${formatCurrency(FORM_8283_THRESHOLD)}: file Form 8283 with the return.`);
+  }
+  lines.push('');
+
+  // Receipts on file
+  const receiptWidths = [10, 24, 14, 46];
+  const receiptHeader = formatColumns(['Date', 'Charity', 'Document', 'File'], receiptWidths);
+  lines.push('RECEIPTS AND ACKNOWLEDGMENTS ON FILE', '-'.repeat(receiptHeader.length), receiptHeader, '-'.repeat(receiptHeader.length));
+  if (report.receipts.length === 0) lines.push('(none)');
+  for (const receipt of report.receipts) {
+    lines.push(formatColumns([
+      receipt.date,
+      receipt.charity_name,
+      receipt.purpose,
+      receipt.filename
+    ], receiptWidths));
+    if (bundled) lines.push(formatColumns(['', receipt.bundle_path], [10, 87]));
+  }
+  lines.push('');
+  lines.push('This report summarizes your records. Keep the receipts and acknowledgments with your tax return.');
+
+  return renderTextPdf(lines, { title: `Year-end donation report ${report.year}` });
+}
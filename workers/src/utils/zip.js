@@ -0,0 +1,163 @@
+/**
+ * Minimal ZIP archive writer for Cloudflare Workers
+ * Entries are stored without compression: receipts are already-compressed
+ * PDFs and images, so deflating them would cost CPU time for little gain.
+ * The archive is streamed: each entry's CRC and sizes follow its data in a
+ * data descriptor, so no entry has to be held in memory.
+ */
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Update a CRC-32 with a byte array (start from 0)
+ */
+function crc32(bytes, crc = 0) {
+  crc = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getUTCFullYear(), 1980);
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+}
+
+/**
+ * Read an entry's data as byte chunks
+ * @param {Uint8Array | string | ReadableStream} data
+ */
+async function* readEntryData(data) {
+  if (typeof data === 'string') {
+    yield new TextEncoder().encode(data);
+    return;
+  }
+  if (data instanceof Uint8Array) {
+    yield data;
+    return;
+  }
+
+  const reader = data.getReader();
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      yield value instanceof Uint8Array ? value : new Uint8Array(value);
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Yield the byte parts of a ZIP archive
+ */
+async function* generateZipParts(entries) {
+  const encoder = new TextEncoder();
+  const centralParts = [];
+  let offset = 0;
+  let count = 0;
+
+  for await (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const { time, date } = toDosDateTime(entry.date || new Date());
+
+    // Local file header; CRC and sizes are left zero and written in the data descriptor
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true); // version needed to extract
+    local.setUint16(6, 0x0808, true); // UTF-8 file names, data descriptor
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    yield new Uint8Array(local.buffer);
+    yield name;
+
+    let crc = 0;
+    let size = 0;
+    for await (const chunk of readEntryData(entry.data)) {
+      crc = crc32(chunk, crc);
+      size += chunk.length;
+      yield chunk;
+    }
+
+    // Data descriptor
+    const descriptor = new DataView(new ArrayBuffer(16));
+    descriptor.setUint32(0, 0x08074B50, true);
+    descriptor.setUint32(4, crc, true);
+    descriptor.setUint32(8, size, true);
+    descriptor.setUint32(12, size, true);
+    yield new Uint8Array(descriptor.buffer);
+
+    // Central directory header
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0808, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true); // local header offset
+
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + size + 16;
+    count++;
+  }
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  yield* centralParts;
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, count, true);
+  end.setUint16(10, count, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  yield new Uint8Array(end.buffer);
+}
+
+/**
+ * Stream a ZIP archive
+ * @param {Iterable | AsyncIterable<{ name: string, data: Uint8Array | string | ReadableStream, date?: Date }>} entries -
+ *   read one at a time as the stream is consumed; entry names may contain '/' for
+ *   folders; strings are written as UTF-8
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createZipStream(entries) {
+  const parts = generateZipParts(entries);
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await parts.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    async cancel() {
+      await parts.return();
+    }
+  });
+}